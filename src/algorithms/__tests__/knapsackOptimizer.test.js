@@ -97,5 +97,196 @@ describe('Knapsack Optimizer', () => {
     expect(result).toHaveProperty('selected');
     expect(result.selected.length).toBeGreaterThan(0);
   });
+  describe('bounded knapsack', () => {
+    const withQuantity = (product, quantity, category) => ({ ...product, quantity, category });
+
+    test('should take part of the quantity when allowPartial is set', () => {
+      const products = [withQuantity(createMockProduct(1, 2, 0.8), 5)];
+
+      const result = optimizeShoppingList(products, 7, { allowPartial: true });
+
+      expect(result.feasible).toBe(true);
+      expect(result.selected).toHaveLength(1);
+      expect(result.selected[0].quantity).toBe(3);
+      expect(result.totalCost).toBe(6);
+    });
+
+    test('should treat price * quantity as indivisible without allowPartial', () => {
+      const products = [withQuantity(createMockProduct(1, 2, 0.8), 5)];
+
+      const result = optimizeShoppingList(products, 7, { exclusiveGroups: [[1]] });
+
+      expect(result.selected).toHaveLength(0);
+    });
+
+    test('should always include required items', () => {
+      const products = [
+        createMockProduct(1, 8, 0.2),
+        createMockProduct(2, 5, 0.9),
+        createMockProduct(3, 5, 0.9)
+      ];
+
+      const result = optimizeShoppingList(products, 13, { required: [1] });
+
+      expect(result.feasible).toBe(true);
+      expect(result.selected.map(p => p.id).sort()).toEqual([1, 2]);
+      expect(result.totalCost).toBeLessThanOrEqual(13);
+    });
+
+    test('should report infeasible when required items exceed the budget', () => {
+      const products = [createMockProduct(1, 20, 0.5), createMockProduct(2, 5, 0.9)];
+
+      const result = optimizeShoppingList(products, 10, { required: [1] });
+
+      expect(result.feasible).toBe(false);
+      expect(result.selected).toHaveLength(0);
+    });
+
+    test('should pick at most one product from each exclusive group', () => {
+      const products = [
+        createMockProduct(1, 2, 0.6),
+        createMockProduct(2, 3, 0.9),
+        createMockProduct(3, 2, 0.5)
+      ];
+
+      const result = optimizeShoppingList(products, 10, { exclusiveGroups: [[1, 2]] });
+
+      const ids = result.selected.map(p => p.id).sort();
+      expect(ids).toEqual([2, 3]);
+    });
+
+    test('should resolve an exclusive group with its required product', () => {
+      const products = [
+        createMockProduct(1, 2, 0.4),
+        createMockProduct(2, 2, 0.9)
+      ];
+
+      const result = optimizeShoppingList(products, 10, { required: [1], exclusiveGroups: [[1, 2]] });
+
+      expect(result.selected.map(p => p.id)).toEqual([1]);
+    });
+
+    test('should satisfy per-category minimums', () => {
+      const products = [
+        withQuantity(createMockProduct(1, 3, 0.9), 1, 'snacks'),
+        withQuantity(createMockProduct(2, 4, 0.3), 2, 'Vegetables, Fresh'),
+        withQuantity(createMockProduct(3, 3, 0.8), 1, 'snacks')
+      ];
+
+      const result = optimizeShoppingList(products, 10, { allowPartial: true, categoryMinimums: { vegetables: 1 } });
+
+      expect(result.feasible).toBe(true);
+      const vegetables = result.selected.find(p => p.id === 2);
+      expect(vegetables.quantity).toBe(1);
+      expect(result.totalCost).toBeLessThanOrEqual(10);
+    });
+
+    test('should report infeasible when category minimums do not fit', () => {
+      const products = [
+        withQuantity(createMockProduct(1, 3, 0.9), 1, 'snacks'),
+        withQuantity(createMockProduct(2, 8, 0.3), 1, 'vegetables')
+      ];
+
+      const result = optimizeShoppingList(products, 5, { categoryMinimums: { vegetables: 1 } });
+
+      expect(result.feasible).toBe(false);
+    });
+  });
+  describe('large budgets', () => {
+    // Productos deterministas (sin Math.random) para que los benchmarks sean reproducibles
+    const createCatalog = (count, maxPrice) => Array.from({ length: count }, (_, i) =>
+      createMockProduct(i + 1, Math.round((((i * 7919) % 997) / 997) * maxPrice * 100) / 100 + 0.5, 0.3 + ((i * 31) % 70) / 100)
+    );
+
+    const bruteForceBest = (products, maxBudget) => {
+      let best = 0;
+      for (let mask = 0; mask < (1 << products.length); mask++) {
+        let cost = 0;
+        let score = 0;
+        products.forEach((product, i) => {
+          if (mask & (1 << i)) {
+            cost += product.price;
+            score += product.sustainability_score.total;
+          }
+        });
+        if (Math.round(cost * 100) <= Math.round(maxBudget * 100)) best = Math.max(best, score);
+      }
+      return Math.round(best * 100) / 100;
+    };
+
+    test('DP should match brute force on small lists', () => {
+      const products = createCatalog(12, 10);
+
+      const result = optimizeShoppingList(products, 30, { prioritizeSustainability: false });
+
+      expect(result.totalScore).toBeCloseTo(bruteForceBest(products, 30), 2);
+    });
+
+    // Los tiempos se miden aparte: npm run benchmark
+    test('should solve 40 items with a 500 budget exactly', () => {
+      const products = createCatalog(40, 60);
+
+      const result = optimizeShoppingList(products, 500, { prioritizeSustainability: false });
+
+      expect(result.message).toContain('Programación Dinámica');
+      expect(result.message).not.toContain('redondeados');
+      expect(result.totalCost).toBeLessThanOrEqual(500);
+      expect(result.selected.length).toBeGreaterThan(0);
+      expect(result.selected.length).toBeLessThan(40);
+    });
+
+    test('should scale prices for a huge budget and stay within it', () => {
+      const products = createCatalog(40, 200000);
+
+      const result = optimizeShoppingList(products, 2500000, { prioritizeSustainability: false });
+
+      expect(result.message).toContain('redondeados');
+      expect(result.totalCost).toBeLessThanOrEqual(2500000);
+      expect(result.selected.length).toBeGreaterThan(0);
+    });
+
+    test('should honour a coarser granularity option', () => {
+      const products = createCatalog(20, 10);
+
+      const result = optimizeShoppingList(products, 40, { prioritizeSustainability: false, granularity: 10 });
+
+      expect(result.totalCost).toBeLessThanOrEqual(40);
+      expect(result.message).toContain('10 céntimos');
+    });
+
+    test('should fall back to branch and bound when the DP would lose too much precision', () => {
+      const products = createCatalog(1000, 20);
+
+      const result = optimizeShoppingList(products, 1000, { prioritizeSustainability: false });
+
+      expect(result.message).toContain('Branch and Bound');
+      expect(result.message).not.toContain('límite de búsqueda alcanzado');
+      expect(result.totalCost).toBeLessThanOrEqual(1000);
+      expect(result.selected.length).toBeGreaterThan(0);
+    });
+
+    test('branch and bound should be exact on small lists', () => {
+      const products = createCatalog(12, 10);
+
+      const result = optimizeShoppingList(products, 30, { prioritizeSustainability: false, maxDpCells: 1 });
+
+      expect(result.message).toContain('Branch and Bound');
+      expect(result.totalScore).toBeCloseTo(bruteForceBest(products, 30), 2);
+    });
+
+    test('should solve the bounded knapsack with large quantities and budget', () => {
+      const products = createCatalog(30, 50).map(product => ({ ...product, quantity: 10 }));
+
+      const result = optimizeShoppingList(products, 2000, { allowPartial: true, maxDpCells: 2_000_000 });
+
+      expect(result.feasible).toBe(true);
+      expect(result.totalCost).toBeLessThanOrEqual(2000);
+      expect(result.selected.length).toBeGreaterThan(0);
+      result.selected.forEach(product => {
+        expect(product.quantity).toBeGreaterThanOrEqual(1);
+        expect(product.quantity).toBeLessThanOrEqual(10);
+      });
+    });
+  });
 });
 
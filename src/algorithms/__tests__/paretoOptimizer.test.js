@@ -0,0 +1,91 @@
+import { findParetoFrontier, BASKET_LABELS, MAX_BASKETS } from '../paretoOptimizer.js';
+
+describe('Pareto Optimizer', () => {
+  const createMockProduct = (price, carbon, score, quantity = 1) => ({
+    price,
+    quantity,
+    carbon_footprint: carbon,
+    sustainability_score: { total: score }
+  });
+
+  const dominates = (a, b) =>
+    a.totalCost <= b.totalCost && a.totalCarbon <= b.totalCarbon && a.totalScore >= b.totalScore &&
+    (a.totalCost < b.totalCost || a.totalCarbon < b.totalCarbon || a.totalScore > b.totalScore);
+
+  test('should return only non-dominated baskets', () => {
+    const slots = [
+      [createMockProduct(2, 1.0, 0.5), createMockProduct(3, 0.5, 0.7), createMockProduct(4, 1.2, 0.4)],
+      [createMockProduct(5, 3.0, 0.4), createMockProduct(4, 2.0, 0.6)]
+    ];
+
+    const { baskets } = findParetoFrontier(slots, 100);
+
+    expect(baskets.length).toBeGreaterThan(0);
+    baskets.forEach(basket => {
+      baskets.forEach(other => expect(dominates(other, basket)).toBe(false));
+    });
+    // La alternativa 4€ / 1.2 kg / 0.4 está dominada por la de 2€ / 1.0 kg / 0.5
+    baskets.forEach(basket => expect(basket.choices[0]).not.toBe(2));
+  });
+
+  test('should label cheapest, lowest carbon, highest score and balanced baskets', () => {
+    const slots = [
+      [createMockProduct(1, 3.0, 0.3), createMockProduct(2, 2.0, 0.5), createMockProduct(4, 0.5, 0.9)],
+      [createMockProduct(1, 2.0, 0.4), createMockProduct(3, 0.4, 0.8)]
+    ];
+
+    const { baskets } = findParetoFrontier(slots, 100);
+    const withLabel = (label) => baskets.filter(basket => basket.labels.includes(label));
+
+    Object.values(BASKET_LABELS).forEach(label => expect(withLabel(label)).toHaveLength(1));
+    expect(withLabel(BASKET_LABELS.CHEAPEST)[0].totalCost).toBe(Math.min(...baskets.map(b => b.totalCost)));
+    expect(withLabel(BASKET_LABELS.LOWEST_CARBON)[0].totalCarbon).toBe(Math.min(...baskets.map(b => b.totalCarbon)));
+    expect(withLabel(BASKET_LABELS.HIGHEST_SCORE)[0].totalScore).toBe(Math.max(...baskets.map(b => b.totalScore)));
+  });
+
+  test('should respect the budget and quantities', () => {
+    const slots = [
+      [createMockProduct(2, 1.0, 0.5, 3), createMockProduct(4, 0.2, 0.9, 3)],
+      [createMockProduct(1, 1.0, 0.5), createMockProduct(2, 0.5, 0.6)]
+    ];
+
+    const result = findParetoFrontier(slots, 10);
+
+    expect(result.withinBudget).toBe(true);
+    result.baskets.forEach(basket => expect(basket.totalCost).toBeLessThanOrEqual(10));
+    expect(result.baskets.every(basket => basket.choices[0] === 0)).toBe(true);
+  });
+
+  test('should ignore the budget when no basket fits', () => {
+    const slots = [[createMockProduct(20, 1.0, 0.5), createMockProduct(25, 0.5, 0.8)]];
+
+    const result = findParetoFrontier(slots, 10);
+
+    expect(result.withinBudget).toBe(false);
+    expect(result.baskets.length).toBeGreaterThan(0);
+  });
+
+  test('should cap the number of baskets and sort them by cost', () => {
+    const slots = Array.from({ length: 12 }, (_, i) =>
+      Array.from({ length: 4 }, (_, j) =>
+        createMockProduct(1 + ((i * 7 + j * 13) % 17), 0.1 + ((i * 3 + j * 11) % 19) / 5, 0.2 + ((i * 5 + j * 7) % 23) / 30)
+      )
+    );
+
+    const result = findParetoFrontier(slots, 1000, { maxBaskets: 6 });
+
+    expect(result.frontierSize).toBeGreaterThan(6);
+    expect(result.baskets).toHaveLength(6);
+    const costs = result.baskets.map(basket => basket.totalCost);
+    expect(costs).toEqual([...costs].sort((a, b) => a - b));
+
+    const capped = findParetoFrontier(slots, 1000, { maxBaskets: 50 });
+    expect(capped.baskets.length).toBeLessThanOrEqual(MAX_BASKETS);
+  });
+
+  test('should handle an empty list', () => {
+    const result = findParetoFrontier([], 100);
+
+    expect(result.baskets).toEqual([]);
+  });
+});
@@ -1,4 +1,4 @@
-import { findSmartSubstitutes, findBestSubstitute } from '../smartSubstitution.js';
+import { findSmartSubstitutes, findSmartSubstitutesWithExplanation, findBestSubstitute, scoreDelta } from '../smartSubstitution.js';
 import { calculateSustainabilityScore } from '../sustainabilityScoring.js';
 
 describe('Smart Substitution', () => {
@@ -117,5 +117,91 @@ describe('Smart Substitution', () => {
     expect(best).not.toBeNull();
     expect(best.sustainability_score.total).toBeGreaterThan(originalProduct.sustainability_score.total);
   });
+  test('should exclude brands from criteria', () => {
+    const originalProduct = { ...createMockProduct(1, 10, 0.5), barcode: 'b1' };
+    const availableProducts = [
+      { ...createMockProduct(2, 10, 0.7), barcode: 'b2', brand: 'Marca Uno' },
+      { ...createMockProduct(3, 10, 0.8), barcode: 'b3', brand: 'Marca Dos, Otra' }
+    ];
+
+    const substitutes = findSmartSubstitutes(originalProduct, availableProducts, {
+      sameCategory: false,
+      excludedBrands: ['marca dos']
+    });
+
+    expect(substitutes.length).toBeGreaterThan(0);
+    substitutes.forEach(sub => {
+      expect(sub.id).toBe(2);
+    });
+  });
+
+  test('should apply dietary restrictions to normalized Open Food Facts data', () => {
+    const originalProduct = { ...createMockProduct(1, 10, 0.5), barcode: 'b1' };
+    const availableProducts = [
+      { ...createMockProduct(2, 10, 0.8), barcode: 'b2', openfoodfacts_data: { ingredients: 'Harina de trigo, agua', labels: [] } },
+      { ...createMockProduct(3, 10, 0.7), barcode: 'b3', openfoodfacts_data: { ingredients: 'Leche, azúcar', labels: [] } },
+      { ...createMockProduct(4, 10, 0.6), barcode: 'b4', openfoodfacts_data: { ingredients: 'Avena, agua', labels: ['en:vegan'] } }
+    ];
+
+    const substitutes = findSmartSubstitutes(originalProduct, availableProducts, {
+      sameCategory: false,
+      dietaryRestrictions: { vegan: true, glutenFree: true }
+    });
+
+    expect(substitutes.length).toBeGreaterThan(0);
+    substitutes.forEach(sub => {
+      expect(sub.id).toBe(4);
+    });
+  });
+
+  test('should reject candidates containing declared allergens', () => {
+    const originalProduct = { ...createMockProduct(1, 10, 0.5), barcode: 'b1' };
+    const availableProducts = [
+      { ...createMockProduct(2, 10, 0.8), barcode: 'b2', openfoodfacts_data: { allergens: 'en:milk,en:soybeans' } },
+      { ...createMockProduct(3, 10, 0.7), barcode: 'b3', openfoodfacts_data: { allergens: 'en:gluten' } }
+    ];
+
+    const substitutes = findSmartSubstitutes(originalProduct, availableProducts, {
+      sameCategory: false,
+      dietaryRestrictions: { allergens: ['leche'] }
+    });
+
+    expect(substitutes.length).toBeGreaterThan(0);
+    substitutes.forEach(sub => {
+      expect(sub.id).toBe(3);
+    });
+  });
+  test('should explain why each candidate was rejected', () => {
+    const originalProduct = { ...createMockProduct(1, 10, 0.5), barcode: 'b1' };
+    const availableProducts = [
+      { ...createMockProduct(2, 10, 0.8), barcode: 'b2' },
+      { ...createMockProduct(3, 30, 0.9), barcode: 'b3' }, // Demasiado caro
+      { ...createMockProduct(4, 10, 0.8), barcode: 'b4', brand: 'Marca X' },
+      { ...createMockProduct(5, 10, 0.7), barcode: 'b1' } // Mismo producto
+    ];
+
+    const { substitutes, candidates } = findSmartSubstitutesWithExplanation(originalProduct, availableProducts, {
+      sameCategory: false,
+      excludedBrands: ['marca x']
+    });
+
+    expect(substitutes.map(sub => sub.id)).toEqual([2]);
+    expect(candidates).toHaveLength(availableProducts.length);
+    const byId = Object.fromEntries(candidates.map(candidate => [candidate.id, candidate]));
+    expect(byId[2].status).toBe('suggested');
+    expect(byId[3]).toMatchObject({ status: 'rejected', reason: 'price_too_high' });
+    expect(byId[4]).toMatchObject({ status: 'rejected', reason: 'excluded_brand' });
+    expect(byId[5]).toMatchObject({ status: 'rejected', reason: 'same_product' });
+    expect(byId[2].scoreDelta.total).toBeCloseTo(0.3, 4);
+  });
+
+  test('scoreDelta should compare every dimension', () => {
+    const delta = scoreDelta(createMockProduct(2, 10, 0.8), createMockProduct(1, 10, 0.5));
+
+    expect(delta.total).toBeCloseTo(0.3, 4);
+    expect(delta.economic).toBeCloseTo(0.12, 4);
+    expect(delta.environmental).toBeCloseTo(0.12, 4);
+    expect(delta.social).toBeCloseTo(0.06, 4);
+  });
 });
 
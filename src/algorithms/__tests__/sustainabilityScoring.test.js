@@ -1,4 +1,4 @@
-import { calculateSustainabilityScore, calculateScoresForProducts } from '../sustainabilityScoring.js';
+import { DEFAULT_WEIGHTS, calculateSustainabilityScore, calculateScoresForProducts } from '../sustainabilityScoring.js';
 
 describe('Sustainability Scoring Algorithm', () => {
   const mockProduct = {
@@ -66,5 +66,11 @@ describe('Sustainability Scoring Algorithm', () => {
     
     expect(result.weights).toEqual(customWeights);
   });
+
+  test('should use default weights when none are given', () => {
+    const result = calculateSustainabilityScore(mockProduct);
+
+    expect(result.weights).toEqual(DEFAULT_WEIGHTS);
+  });
 });
 
@@ -0,0 +1,49 @@
+import { optimizeShoppingList } from '../knapsackOptimizer.js';
+
+/**
+ * Benchmark del optimizador de mochila: `npm run benchmark`
+ * Mide los casos grandes que los tests solo verifican por resultado
+ * (los tiempos dependen de la máquina y no van en los tests)
+ */
+
+const createProduct = (id, price, score, quantity = 1) => ({
+  id,
+  name: `Product ${id}`,
+  price,
+  quantity,
+  carbon_footprint: 1.0,
+  sustainability_score: {
+    total: score,
+    breakdown: { economic: score * 0.4, environmental: score * 0.4, social: score * 0.2 }
+  }
+});
+
+// Catálogo determinista (mismos precios y scores en cada ejecución)
+const createCatalog = (count, maxPrice, quantity = 1) => Array.from({ length: count }, (_, i) =>
+  createProduct(i + 1, Math.round((((i * 7919) % 997) / 997) * maxPrice * 100) / 100 + 0.5, 0.3 + ((i * 31) % 70) / 100, quantity)
+);
+
+const cases = [
+  { name: 'DP 0/1: 40 items, presupuesto 500', products: createCatalog(40, 60), budget: 500, options: { prioritizeSustainability: false } },
+  { name: 'DP 0/1 con precios escalados: 40 items, presupuesto 2.500.000', products: createCatalog(40, 200000), budget: 2500000, options: { prioritizeSustainability: false } },
+  { name: 'Branch and Bound: 2000 items, presupuesto 1000', products: createCatalog(2000, 20), budget: 1000, options: { prioritizeSustainability: false } },
+  { name: 'Mochila acotada: 30 items x 10 unidades, presupuesto 2000', products: createCatalog(30, 50, 10), budget: 2000, options: { allowPartial: true, maxDpCells: 2_000_000 } }
+];
+
+const ROUNDS = parseInt(process.env.BENCHMARK_ROUNDS) || 5;
+
+for (const { name, products, budget, options } of cases) {
+  const times = [];
+  let result;
+  for (let round = 0; round < ROUNDS; round++) {
+    const start = process.hrtime.bigint();
+    result = optimizeShoppingList(products, budget, options);
+    times.push(Number(process.hrtime.bigint() - start) / 1e6);
+  }
+
+  times.sort((a, b) => a - b);
+  const median = times[Math.floor(times.length / 2)];
+  console.log(`${name}`);
+  console.log(`  mediana ${median.toFixed(1)} ms, mín ${times[0].toFixed(1)} ms, máx ${times[times.length - 1].toFixed(1)} ms (${ROUNDS} rondas)`);
+  console.log(`  ${result.message}; coste ${result.totalCost}, score ${result.totalScore}`);
+}
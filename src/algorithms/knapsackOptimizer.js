@@ -15,8 +15,20 @@ export function optimizeShoppingList(products, maxBudget, options = {}) {
   const {
     minScore = 0,
     prioritizeSustainability = true,
-    allowPartial = false
+    allowPartial = false, // Cada producto se puede tomar 0..quantity veces
+    required = [], // IDs de productos que se toman siempre (cantidad completa)
+    exclusiveGroups = [], // Grupos de IDs de los que se toma como máximo un producto
+    categoryMinimums = {}, // { categoría: unidades mínimas }
+    granularity = 1, // Céntimos por unidad de presupuesto en la DP
+    maxDpCells = DEFAULT_MAX_DP_CELLS,
+    maxNodes = DEFAULT_MAX_BB_NODES
   } = options;
+  const limits = { granularity, maxDpCells, maxNodes };
+
+  const hasConstraints = allowPartial ||
+    required.length > 0 ||
+    exclusiveGroups.length > 0 ||
+    Object.keys(categoryMinimums).length > 0;
 
   // Validar que todos los productos tengan precio y score
   const validProducts = products.filter(p => 
@@ -42,10 +54,22 @@ export function optimizeShoppingList(products, maxBudget, options = {}) {
     ratio: product.sustainability_score.total / product.price
   }));
 
-  // Usar algoritmo híbrido: Greedy + Dynamic Programming
-  const result = prioritizeSustainability 
-    ? greedyOptimization(productsWithRatio, maxBudget, minScore)
-    : dynamicProgrammingOptimization(productsWithRatio, maxBudget, minScore);
+  // Con cantidades o restricciones se usa la mochila acotada (exacta);
+  // si no, algoritmo híbrido: Greedy + Dynamic Programming
+  let result;
+  if (hasConstraints) {
+    result = boundedKnapsackOptimization(productsWithRatio, maxBudget, {
+      minScore,
+      allowPartial,
+      required,
+      exclusiveGroups,
+      categoryMinimums
+    }, limits);
+  } else {
+    result = prioritizeSustainability
+      ? greedyOptimization(productsWithRatio, maxBudget, minScore)
+      : dynamicProgrammingOptimization(productsWithRatio, maxBudget, minScore, limits);
+  }
 
   // Calcular estadísticas
   const totalCost = result.selected.reduce((sum, p) => sum + (p.price * (p.quantity || 1)), 0);
@@ -67,6 +91,7 @@ export function optimizeShoppingList(products, maxBudget, options = {}) {
       percentage: originalCost > 0 ? Math.round(((originalCost - totalCost) / originalCost) * 100) : 0
     },
     budgetUsed: Math.round((totalCost / maxBudget) * 100) / 100,
+    feasible: result.feasible !== false,
     message: result.message || 'Lista optimizada exitosamente'
   };
 }
@@ -97,11 +122,35 @@ function greedyOptimization(products, maxBudget, minScore) {
   };
 }
 
+// Límites del solver DP: celdas (filas x unidades de presupuesto) antes de
+// escalar los precios, fracción del presupuesto que puede perderse por el
+// redondeo de precios y nodos de branch-and-bound si la DP no es viable
+const DEFAULT_MAX_DP_CELLS = 10_000_000;
+const MAX_ROUNDING_LOSS = 0.05;
+const DEFAULT_MAX_BB_NODES = 200_000;
+
+const costInCents = (product, units = product.quantity || 1) => Math.round(product.price * units * 100);
+
+/**
+ * Granularidad de precios de la DP (céntimos por unidad de presupuesto)
+ * Se agranda lo necesario para no pasar de maxDpCells; los costes se redondean
+ * hacia arriba, así la solución nunca supera el presupuesto real
+ * @param {number} budgetCents
+ * @param {number} rows - Filas de la DP (productos u opciones x estados)
+ * @param {Object} limits - { granularity, maxDpCells }
+ */
+function chooseGranularity(budgetCents, rows, { granularity = 1, maxDpCells = DEFAULT_MAX_DP_CELLS } = {}) {
+  return Math.max(1, Math.ceil(granularity), Math.ceil((rows * (budgetCents + 1)) / maxDpCells));
+}
+
 /**
  * Optimización con Programación Dinámica (óptima, pero más lenta)
- * Usa 0/1 Knapsack con aproximación para valores decimales
+ * 0/1 Knapsack con un único array de scores (recorrido de mayor a menor
+ * presupuesto) y un bitset por producto para reconstruir la solución.
+ * Si el redondeo de precios necesario para respetar el límite de celdas
+ * desperdiciaría más de MAX_ROUNDING_LOSS del presupuesto, usa branch-and-bound.
  */
-function dynamicProgrammingOptimization(products, maxBudget, minScore) {
+function dynamicProgrammingOptimization(products, maxBudget, minScore, limits = {}) {
   // Filtrar productos que cumplen score mínimo
   const validProducts = products.filter(p => p.sustainability_score.total >= minScore);
 
@@ -111,49 +160,339 @@ function dynamicProgrammingOptimization(products, maxBudget, minScore) {
 
   // Convertir presupuesto a centavos para trabajar con enteros
   const budgetCents = Math.floor(maxBudget * 100);
-  
-  // Crear tabla DP: dp[i][w] = máximo score con primeros i productos y presupuesto w
   const n = validProducts.length;
-  const dp = Array(n + 1).fill(null).map(() => Array(budgetCents + 1).fill(0));
-  const selected = Array(n + 1).fill(null).map(() => Array(budgetCents + 1).fill(false));
+  const granularity = chooseGranularity(budgetCents, n, limits);
+  if (granularity > 1 && granularity * n > budgetCents * MAX_ROUNDING_LOSS) {
+    return branchAndBoundOptimization(validProducts, maxBudget, limits);
+  }
 
-  // Llenar tabla DP
-  for (let i = 1; i <= n; i++) {
-    const product = validProducts[i - 1];
-    const costCents = Math.floor(product.price * (product.quantity || 1) * 100);
-    const score = product.sustainability_score.total;
+  const capacity = Math.floor(budgetCents / granularity);
+  const costs = validProducts.map(product => Math.ceil(costInCents(product) / granularity));
 
-    for (let w = 0; w <= budgetCents; w++) {
-      // No tomar el producto
-      dp[i][w] = dp[i - 1][w];
-      selected[i][w] = false;
-
-      // Tomar el producto si cabe en el presupuesto
-      if (w >= costCents) {
-        const scoreWithProduct = dp[i - 1][w - costCents] + score;
-        if (scoreWithProduct > dp[i][w]) {
-          dp[i][w] = scoreWithProduct;
-          selected[i][w] = true;
-        }
+  // dp[w] = máximo score con presupuesto w; taken: bit (i, w) = producto i tomado con presupuesto w
+  const dp = new Float64Array(capacity + 1);
+  const rowBytes = (capacity >> 3) + 1;
+  const taken = new Uint8Array(n * rowBytes);
+
+  for (let i = 0; i < n; i++) {
+    const cost = costs[i];
+    const score = validProducts[i].sustainability_score.total;
+
+    for (let w = capacity; w >= cost; w--) {
+      const scoreWithProduct = dp[w - cost] + score;
+      if (scoreWithProduct > dp[w]) {
+        dp[w] = scoreWithProduct;
+        taken[i * rowBytes + (w >> 3)] |= 1 << (w & 7);
       }
     }
   }
 
   // Reconstruir solución
   const result = [];
-  let w = budgetCents;
+  let w = capacity;
 
-  for (let i = n; i > 0; i--) {
-    if (selected[i][w]) {
-      result.push(validProducts[i - 1]);
-      const costCents = Math.floor(validProducts[i - 1].price * (validProducts[i - 1].quantity || 1) * 100);
-      w -= costCents;
+  for (let i = n - 1; i >= 0; i--) {
+    if (taken[i * rowBytes + (w >> 3)] & (1 << (w & 7))) {
+      result.push(validProducts[i]);
+      w -= costs[i];
     }
   }
 
+  const precision = granularity > 1 ? ` (precios redondeados a ${granularity} céntimos)` : '';
   return {
     selected: result.reverse(),
-    message: `Seleccionados ${result.length} productos usando Programación Dinámica`
+    message: `Seleccionados ${result.length} productos usando Programación Dinámica${precision}`
+  };
+}
+
+/**
+ * Branch-and-bound para listas demasiado grandes para la DP
+ * Recorre los productos por ratio score/precio, poda con la cota de la
+ * mochila fraccionaria y parte de la solución greedy. Si se alcanza maxNodes
+ * retorna la mejor solución encontrada hasta ese momento.
+ */
+function branchAndBoundOptimization(products, maxBudget, { maxNodes = DEFAULT_MAX_BB_NODES } = {}) {
+  const budgetCents = Math.floor(maxBudget * 100);
+  const items = products
+    .map(product => ({ product, cost: costInCents(product), value: product.sustainability_score.total }))
+    .filter(item => item.cost <= budgetCents)
+    .sort((a, b) => b.value * a.cost - a.value * b.cost);
+
+  // Cota superior: llenar el presupuesto restante de forma fraccionaria
+  const upperBound = (index, remaining, value) => {
+    let bound = value;
+    for (let i = index; i < items.length && remaining > 0; i++) {
+      if (items[i].cost <= remaining) {
+        remaining -= items[i].cost;
+        bound += items[i].value;
+      } else {
+        bound += items[i].value * (remaining / items[i].cost);
+        remaining = 0;
+      }
+    }
+    return bound;
+  };
+
+  // Solución inicial greedy
+  let best = [];
+  let bestValue = 0;
+  let remaining = budgetCents;
+  items.forEach((item, index) => {
+    if (item.cost <= remaining) {
+      remaining -= item.cost;
+      bestValue += item.value;
+      best.push(index);
+    }
+  });
+
+  let nodes = 0;
+  const chosen = [];
+  const explore = (index, remaining, value) => {
+    if (++nodes > maxNodes) return;
+    if (value > bestValue + 1e-9) {
+      bestValue = value;
+      best = [...chosen];
+    }
+    if (index === items.length || upperBound(index, remaining, value) <= bestValue + 1e-9) return;
+
+    if (items[index].cost <= remaining) {
+      chosen.push(index);
+      explore(index + 1, remaining - items[index].cost, value + items[index].value);
+      chosen.pop();
+    }
+    explore(index + 1, remaining, value);
+  };
+  explore(0, budgetCents, 0);
+
+  const selected = best.map(index => items[index].product);
+  const suffix = nodes > maxNodes ? ' (límite de búsqueda alcanzado)' : '';
+  return {
+    selected,
+    message: `Seleccionados ${selected.length} productos usando Branch and Bound${suffix}`
+  };
+}
+
+// Límite de estados de conteo por categoría (producto de (mínimo + 1) de cada categoría)
+const MAX_CATEGORY_STATES = 256;
+
+/**
+ * Categorías de un producto en minúsculas (campo category separado por comas)
+ */
+function productCategories(product) {
+  return (product.category || '')
+    .toLowerCase()
+    .split(',')
+    .map(category => category.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Array de enteros sin signo de `bits` bits empaquetados en palabras de 32
+ * (back-pointers de la mochila acotada: una clase con 3 opciones ocupa 2 bits por celda)
+ * @param {number} length - Cantidad de valores
+ * @param {number} bits - Bits por valor (1 a 31)
+ */
+function createPackedArray(length, bits) {
+  const words = new Uint32Array(Math.ceil((length * bits) / 32) + 1);
+  const mask = (1 << bits) - 1;
+
+  return {
+    get(index) {
+      const bit = index * bits;
+      const word = Math.floor(bit / 32);
+      const offset = bit % 32;
+      let value = words[word] >>> offset;
+      if (offset + bits > 32) {
+        value |= words[word + 1] << (32 - offset);
+      }
+      return value & mask;
+    },
+    set(index, value) {
+      const bit = index * bits;
+      const word = Math.floor(bit / 32);
+      const offset = bit % 32;
+      words[word] = (words[word] & ~(mask << offset)) | (value << offset);
+      if (offset + bits > 32) {
+        const highMask = (1 << (offset + bits - 32)) - 1;
+        words[word + 1] = (words[word + 1] & ~highMask) | (value >>> (32 - offset));
+      }
+    }
+  };
+}
+
+// Bits necesarios para guardar valores de 0 a max
+const bitsFor = (max) => Math.max(1, Math.ceil(Math.log2(max + 1)));
+
+/**
+ * Mochila acotada con restricciones (Programación Dinámica exacta)
+ *
+ * Cada clase de la DP es un grupo excluyente o un producto suelto; de cada
+ * clase se elige como máximo una opción (producto, unidades). Con
+ * allowPartial las unidades van de 1 a quantity; si no, solo quantity.
+ * Los productos requeridos se toman antes, completos, y si están en un grupo
+ * excluyente ese grupo queda resuelto. Los mínimos por categoría se llevan
+ * en el estado de la DP como un contador por categoría (limitado al mínimo).
+ * Con presupuestos grandes los precios se escalan igual que en la DP 0/1.
+ */
+function boundedKnapsackOptimization(products, maxBudget, { minScore, allowPartial, required, exclusiveGroups, categoryMinimums }, limits = {}) {
+  const requiredIds = new Set(required);
+  const unitsOf = (product) => Math.max(1, product.quantity || 1);
+
+  // Estado de categorías: contador por categoría con mínimo, en base mixta
+  const categories = Object.entries(categoryMinimums)
+    .map(([category, minimum]) => ({ category: category.toLowerCase().trim(), minimum: Math.max(0, Math.floor(minimum)) }))
+    .filter(entry => entry.minimum > 0);
+  const radices = categories.map(entry => entry.minimum + 1);
+  const stateCount = radices.reduce((product, radix) => product * radix, 1);
+  if (stateCount > MAX_CATEGORY_STATES) {
+    return { selected: [], feasible: false, message: 'Demasiadas restricciones de categoría para optimizar' };
+  }
+
+  const categoryIndexes = (product) => {
+    const tags = productCategories(product);
+    return categories
+      .map((entry, index) => (tags.includes(entry.category) ? index : -1))
+      .filter(index => index >= 0);
+  };
+
+  // Avanza el estado sumando unidades a las categorías del producto (sin pasar del mínimo)
+  const advanceState = (state, indexes, units) => {
+    let next = 0;
+    let multiplier = 1;
+    let rest = state;
+    for (let c = 0; c < radices.length; c++) {
+      let count = rest % radices[c];
+      rest = Math.floor(rest / radices[c]);
+      if (indexes.includes(c)) {
+        count = Math.min(categories[c].minimum, count + units);
+      }
+      next += count * multiplier;
+      multiplier *= radices[c];
+    }
+    return next;
+  };
+
+  // 1. Productos requeridos: se toman completos
+  const requiredProducts = products.filter(p => requiredIds.has(p.id));
+  let startState = 0;
+  let requiredCents = 0;
+  for (const product of requiredProducts) {
+    requiredCents += costInCents(product, unitsOf(product));
+    startState = advanceState(startState, categoryIndexes(product), unitsOf(product));
+  }
+
+  const budgetCents = Math.floor(maxBudget * 100) - requiredCents;
+  if (budgetCents < 0) {
+    return { selected: [], feasible: false, message: 'Los productos requeridos superan el presupuesto' };
+  }
+
+  // 2. Clases: grupos excluyentes (sin los ya resueltos por un requerido) y productos sueltos
+  const optional = products.filter(p => !requiredIds.has(p.id) && p.sustainability_score.total >= minScore);
+  const groupOf = new Map();
+  exclusiveGroups.forEach((group, index) => group.forEach(id => groupOf.set(id, index)));
+  const resolvedGroups = new Set(requiredProducts.filter(p => groupOf.has(p.id)).map(p => groupOf.get(p.id)));
+
+  const classes = [];
+  const classByGroup = new Map();
+  for (const product of optional) {
+    const group = groupOf.get(product.id);
+    if (group === undefined) {
+      classes.push([product]);
+    } else if (!resolvedGroups.has(group)) {
+      if (!classByGroup.has(group)) {
+        classByGroup.set(group, []);
+        classes.push(classByGroup.get(group));
+      }
+      classByGroup.get(group).push(product);
+    }
+  }
+
+  const classOptions = classes.map(members => members.flatMap(product => {
+    const maxUnits = unitsOf(product);
+    const unitChoices = allowPartial ? Array.from({ length: maxUnits }, (_, i) => i + 1) : [maxUnits];
+    const indexes = categoryIndexes(product);
+    return unitChoices.map(units => ({
+      product,
+      units,
+      cost: costInCents(product, units),
+      value: product.sustainability_score.total * units,
+      indexes
+    }));
+  }));
+
+  // 3. DP: dp[w * stateCount + s] = mejor score con presupuesto w y estado de categorías s
+  // (w en unidades de granularity céntimos, costes redondeados hacia arriba)
+  const optionCount = classOptions.reduce((sum, options) => sum + options.length, 0);
+  const granularity = chooseGranularity(budgetCents, Math.max(1, optionCount) * stateCount, limits);
+  for (const options of classOptions) {
+    options.forEach(option => { option.cost = Math.ceil(option.cost / granularity); });
+  }
+  const capacity = Math.floor(budgetCents / granularity);
+  const width = capacity + 1;
+  let dp = new Float64Array(width * stateCount).fill(-Infinity);
+  for (let w = 0; w < width; w++) {
+    dp[w * stateCount + startState] = 0;
+  }
+
+  // choices[i][celda] = opción elegida + 1 (0 = ninguna); previousStates[i][celda] = estado anterior
+  // Empaquetados con los bits justos por clase; sin mínimos por categoría hay un único estado y no
+  // se guarda el anterior (sin allowPartial, un producto suelto ocupa un bit por celda como en la DP 0/1)
+  const cells = width * stateCount;
+  const choices = [];
+  const previousStates = [];
+  for (const options of classOptions) {
+    const next = Float64Array.from(dp);
+    const choice = createPackedArray(cells, bitsFor(options.length));
+    const previous = stateCount > 1 ? createPackedArray(cells, bitsFor(stateCount - 1)) : null;
+
+    options.forEach((option, optionIndex) => {
+      const transitions = Array.from({ length: stateCount }, (_, state) => advanceState(state, option.indexes, option.units));
+
+      for (let w = option.cost; w < width; w++) {
+        for (let state = 0; state < stateCount; state++) {
+          const base = dp[(w - option.cost) * stateCount + state];
+          if (base === -Infinity) continue;
+
+          const target = w * stateCount + transitions[state];
+          if (base + option.value > next[target]) {
+            next[target] = base + option.value;
+            choice.set(target, optionIndex + 1);
+            previous?.set(target, state);
+          }
+        }
+      }
+    });
+
+    dp = next;
+    choices.push(choice);
+    previousStates.push(previous);
+  }
+
+  // Estado final: todos los mínimos cumplidos
+  const targetState = stateCount - 1;
+  if (dp[capacity * stateCount + targetState] === -Infinity) {
+    return { selected: [...requiredProducts], feasible: false, message: 'No se pueden cumplir los mínimos por categoría con el presupuesto' };
+  }
+
+  // 4. Reconstruir solución
+  const selected = [];
+  let w = capacity;
+  let state = targetState;
+  for (let i = classOptions.length - 1; i >= 0; i--) {
+    const cell = w * stateCount + state;
+    const optionIndex = choices[i].get(cell);
+    if (optionIndex > 0) {
+      const option = classOptions[i][optionIndex - 1];
+      selected.push({ ...option.product, quantity: option.units });
+      state = previousStates[i] ? previousStates[i].get(cell) : state;
+      w -= option.cost;
+    }
+  }
+
+  return {
+    selected: [...requiredProducts, ...selected.reverse()],
+    feasible: true,
+    message: `Seleccionados ${requiredProducts.length + selected.length} productos usando mochila acotada`
   };
 }
 
@@ -0,0 +1,213 @@
+/**
+ * Optimizador Multi-objetivo (Frontera de Pareto)
+ * En lugar de combinar todo en un único ratio score/precio, busca las cestas
+ * no dominadas en coste, carbono y score: ninguna otra cesta es a la vez más
+ * barata, con menos carbono y con mejor score.
+ *
+ * Cada item de la lista es una posición con varias alternativas (el producto
+ * original y sus sustitutos); una cesta elige una alternativa por posición.
+ */
+
+export const DEFAULT_MAX_BASKETS = 8;
+export const MAX_BASKETS = 10;
+
+// Cestas parciales que se conservan en cada paso (limita tiempo y memoria)
+const MAX_PARTIAL_BASKETS = 200;
+
+export const BASKET_LABELS = {
+  CHEAPEST: 'cheapest',
+  LOWEST_CARBON: 'lowest_carbon',
+  HIGHEST_SCORE: 'highest_score',
+  BALANCED: 'balanced'
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const round4 = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Coste, carbono y score de una alternativa (por la cantidad del item)
+ */
+function objectivesOf(product) {
+  const quantity = product.quantity || 1;
+  return {
+    cost: (parseFloat(product.price) || 0) * quantity,
+    carbon: (parseFloat(product.carbon_footprint) || 0) * quantity,
+    score: (product.sustainability_score?.total || 0) * quantity
+  };
+}
+
+/**
+ * a domina a b si no es peor en nada y es mejor en algo
+ * (los objetivos de las cestas van redondeados, así no se separan cestas casi iguales)
+ */
+function dominates(a, b) {
+  return a.cost <= b.cost && a.carbon <= b.carbon && a.score >= b.score &&
+    (a.cost < b.cost || a.carbon < b.carbon || a.score > b.score);
+}
+
+const sameObjectives = (a, b) => a.cost === b.cost && a.carbon === b.carbon && a.score === b.score;
+
+/**
+ * Cestas no dominadas (sin duplicados con los mismos objetivos)
+ */
+function nonDominated(baskets) {
+  return baskets.filter((basket, index) =>
+    !baskets.some((other, otherIndex) =>
+      dominates(other, basket) || (otherIndex < index && sameObjectives(other, basket))
+    )
+  );
+}
+
+/**
+ * Objetivos normalizados a [0, 1] donde 0 es lo mejor de la frontera
+ */
+function normalizer(baskets) {
+  const range = (key) => {
+    const values = baskets.map(basket => basket[key]);
+    const min = Math.min(...values);
+    const span = Math.max(...values) - min;
+    return { min, span };
+  };
+  const cost = range('cost');
+  const carbon = range('carbon');
+  const score = range('score');
+  const scale = (value, { min, span }) => (span > 0 ? (value - min) / span : 0);
+
+  return (basket) => [
+    scale(basket.cost, cost),
+    scale(basket.carbon, carbon),
+    score.span > 0 ? 1 - scale(basket.score, score) : 0
+  ];
+}
+
+const distance = (a, b) => Math.sqrt(a.reduce((sum, value, i) => sum + (value - b[i]) ** 2, 0));
+
+/**
+ * Elige hasta max cestas repartidas por la frontera: primero las ya elegidas
+ * (extremos), luego la más alejada de todas las elegidas en cada paso
+ */
+function spread(baskets, initial, max, normalize) {
+  const chosen = [...initial];
+  const isChosen = new Set(chosen);
+  const points = baskets.map(normalize);
+  // Distancia de cada cesta a la elegida más cercana
+  const nearest = points.map(point => Math.min(...chosen.map(basket => distance(point, normalize(basket)))));
+
+  while (chosen.length < Math.min(max, baskets.length)) {
+    let farthest = -1;
+    for (let i = 0; i < baskets.length; i++) {
+      if (!isChosen.has(baskets[i]) && (farthest === -1 || nearest[i] > nearest[farthest])) {
+        farthest = i;
+      }
+    }
+    chosen.push(baskets[farthest]);
+    isChosen.add(baskets[farthest]);
+    points.forEach((point, i) => {
+      nearest[i] = Math.min(nearest[i], distance(point, points[farthest]));
+    });
+  }
+  return chosen;
+}
+
+/**
+ * Frontera de Pareto de las cestas posibles
+ * @param {Array<Array<Object>>} slots - Alternativas de cada item (price, quantity, carbon_footprint, sustainability_score)
+ * @param {number} maxBudget - Presupuesto; si ninguna cesta cabe se ignora (withinBudget: false)
+ * @param {Object} options - { maxBaskets } cestas a devolver (máximo MAX_BASKETS)
+ * @returns {Object} { baskets: [{ choices, labels, totalCost, totalCarbon, totalScore }], frontierSize, withinBudget }
+ *   choices: índice de la alternativa elegida en cada posición; baskets ordenadas por coste
+ */
+export function findParetoFrontier(slots, maxBudget, { maxBaskets = DEFAULT_MAX_BASKETS } = {}) {
+  const slotObjectives = slots.map(alternatives => alternatives.map(objectivesOf));
+  if (slotObjectives.length === 0 || slotObjectives.some(alternatives => alternatives.length === 0)) {
+    return { baskets: [], frontierSize: 0, withinBudget: true };
+  }
+
+  // Coste mínimo de las posiciones que faltan, para podar cestas parciales fuera de presupuesto
+  const minRemainingCost = new Array(slots.length + 1).fill(0);
+  for (let i = slots.length - 1; i >= 0; i--) {
+    minRemainingCost[i] = minRemainingCost[i + 1] + Math.min(...slotObjectives[i].map(o => o.cost));
+  }
+  const withinBudget = minRemainingCost[0] <= maxBudget + 1e-9;
+  const budgetLimit = withinBudget ? maxBudget : Infinity;
+
+  let partial = [{ cost: 0, carbon: 0, score: 0, choices: [] }];
+  slotObjectives.forEach((alternatives, slot) => {
+    const extended = [];
+    for (const basket of partial) {
+      alternatives.forEach((alternative, index) => {
+        const cost = basket.cost + alternative.cost;
+        if (cost + minRemainingCost[slot + 1] > budgetLimit + 1e-9) return;
+        extended.push({
+          cost: round2(cost),
+          carbon: round4(basket.carbon + alternative.carbon),
+          score: round4(basket.score + alternative.score),
+          choices: [...basket.choices, index]
+        });
+      });
+    }
+
+    partial = nonDominated(extended);
+    if (partial.length > MAX_PARTIAL_BASKETS) {
+      const normalize = normalizer(partial);
+      partial = spread(partial, [...new Set(extremes(partial))], MAX_PARTIAL_BASKETS, normalize);
+    }
+  });
+
+  const frontier = partial;
+  if (frontier.length === 0) {
+    return { baskets: [], frontierSize: 0, withinBudget };
+  }
+  const normalize = normalizer(frontier);
+  const labelled = labelBaskets(frontier, normalize);
+  const limit = Math.max(1, Math.min(maxBaskets, MAX_BASKETS));
+  const selected = spread(frontier, [...labelled.keys()].slice(0, limit), limit, normalize);
+
+  return {
+    baskets: selected
+      .sort((a, b) => a.cost - b.cost || a.carbon - b.carbon)
+      .map(basket => ({
+        choices: basket.choices,
+        labels: labelled.get(basket) || [],
+        totalCost: basket.cost,
+        totalCarbon: round2(basket.carbon),
+        totalScore: basket.score
+      })),
+    frontierSize: frontier.length,
+    withinBudget
+  };
+}
+
+/**
+ * Cestas extremas: [más barata, menos carbono, mejor score]
+ * (los empates se deshacen con los otros objetivos)
+ */
+function extremes(baskets) {
+  const pick = (compare) => baskets.reduce((best, basket) => (compare(basket, best) < 0 ? basket : best));
+  return [
+    pick((a, b) => a.cost - b.cost || a.carbon - b.carbon || b.score - a.score),
+    pick((a, b) => a.carbon - b.carbon || a.cost - b.cost || b.score - a.score),
+    pick((a, b) => b.score - a.score || a.cost - b.cost || a.carbon - b.carbon)
+  ];
+}
+
+/**
+ * Etiquetas de las cestas destacadas: la más barata, la de menos carbono,
+ * la de mejor score y la equilibrada (la más cercana al punto ideal)
+ * @returns {Map<Object, Array<string>>}
+ */
+function labelBaskets(frontier, normalize) {
+  const [cheapest, lowestCarbon, highestScore] = extremes(frontier);
+
+  const ideal = [0, 0, 0];
+  const balanced = frontier.reduce((best, basket) =>
+    (distance(normalize(basket), ideal) < distance(normalize(best), ideal) ? basket : best));
+
+  const labels = new Map();
+  const add = (basket, label) => labels.set(basket, [...(labels.get(basket) || []), label]);
+  add(cheapest, BASKET_LABELS.CHEAPEST);
+  add(lowestCarbon, BASKET_LABELS.LOWEST_CARBON);
+  add(highestScore, BASKET_LABELS.HIGHEST_SCORE);
+  add(balanced, BASKET_LABELS.BALANCED);
+  return labels;
+}
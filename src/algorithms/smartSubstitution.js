@@ -1,40 +1,76 @@
+import { findAllergens } from '../utils/allergens.js';
+import { getProductCategoryTags, toCategoryTag } from '../utils/categoryTags.js';
+
 /**
  * Lógica de Sustitución Inteligente
  * Sugiere alternativas de mejor Score cuando un producto es añadido
  */
 
+// Las categorías se comparan como tags normalizados (ver utils/categoryTags.js)
+const asTags = (categories) => [...new Set(categories.map(toCategoryTag))];
+
+// Categorías genéricas que no son útiles para comparación
+const GENERIC_CATEGORIES = asTags([
+  'alimentos y bebidas de origen vegetal',
+  'alimentos de origen vegetal',
+  'alimentos',
+  'bebidas',
+  'desayunos',
+  'specific products',
+  'products for specific diets'
+]);
+
+// Grupos de categorías incompatibles basados en datos reales
+const INCOMPATIBLE_CATEGORY_GROUPS = [
+  // Grupo de leches (no compatible con cremas, quesos, mantequillas)
+  {
+    categories: asTags(['leche', 'leches', 'milk', 'milks', 'leche semidesnatada', 'leche semidescremada',
+                        'leche entera', 'leche desnatada', 'leche descremada', 'whole-milks', 'semi-skimmed milk',
+                        'skimmed milk', 'leche-uht', 'leche-de-vaca', 'leche sin lactosa']),
+    incompatibleWith: asTags(['nata', 'crema', 'cream', 'queso', 'cheese', 'mantequilla', 'butter',
+                              'dairy-spread', 'grasas de la leche', 'grasas animales'])
+  },
+  // Grupo de cremas (no compatible con leches, quesos, mantequillas)
+  {
+    categories: asTags(['nata', 'crema', 'cream']),
+    incompatibleWith: asTags(['leche', 'leches', 'milk', 'milks', 'queso', 'cheese', 'mantequilla', 'butter'])
+  },
+  // Grupo de quesos (no compatible con leches, cremas, mantequillas)
+  {
+    categories: asTags(['queso', 'cheese', 'queso rallado']),
+    incompatibleWith: asTags(['leche', 'leches', 'milk', 'nata', 'crema', 'mantequilla', 'butter'])
+  },
+  // Grupo de mantequillas (no compatible con leches, cremas, quesos)
+  {
+    categories: asTags(['mantequilla', 'butter', 'dairy-spread', 'grasas de la leche']),
+    incompatibleWith: asTags(['leche', 'leches', 'milk', 'nata', 'crema', 'queso', 'cheese'])
+  }
+];
+
 /**
- * Extrae todas las categorías de un producto (de category y openfoodfacts_data)
- * @param {Object} product - Producto del cual extraer categorías
- * @returns {Array} Array de categorías normalizadas
+ * Tags de categoría de un candidato: los que trae del índice product_categories
+ * (Product.findByCategoryTags) o, si no viene del índice, los de sus categorías
  */
-function extractCategories(product) {
-  const categories = [];
-  
-  // Categorías del campo category (separadas por comas)
-  if (product.category) {
-    categories.push(...product.category.toLowerCase().split(',').map(c => c.trim()));
-  }
-  
-  // Categorías de openfoodfacts_data.categories_tags si existe
-  let openfoodfactsData = product.openfoodfacts_data;
-  if (typeof openfoodfactsData === 'string') {
-    try {
-      openfoodfactsData = JSON.parse(openfoodfactsData);
-    } catch (e) {
-      openfoodfactsData = {};
-    }
-  }
-  
-  if (openfoodfactsData && typeof openfoodfactsData === 'object') {
-    if (Array.isArray(openfoodfactsData.categories_tags)) {
-      categories.push(...openfoodfactsData.categories_tags.map(c => 
-        c.toLowerCase().replace(/^en:/, '').replace(/^es:/, '')
-      ));
-    }
-  }
-  
-  return [...new Set(categories)]; // Eliminar duplicados
+function candidateCategoryTags(candidate) {
+  return Array.isArray(candidate.category_tags)
+    ? candidate.category_tags
+    : getProductCategoryTags(candidate).map(({ tag }) => tag);
+}
+
+/**
+ * Diferencia de score de un candidato frente al producto, total y por dimensión
+ * @returns {Object} { total, economic, environmental, social }
+ */
+export function scoreDelta(candidate, product) {
+  const candidateScore = candidate.sustainability_score || {};
+  const productScore = product.sustainability_score || {};
+  const delta = (a, b) => Math.round(((a || 0) - (b || 0)) * 10000) / 10000;
+  return {
+    total: delta(candidateScore.total, productScore.total),
+    economic: delta(candidateScore.breakdown?.economic, productScore.breakdown?.economic),
+    environmental: delta(candidateScore.breakdown?.environmental, productScore.breakdown?.environmental),
+    social: delta(candidateScore.breakdown?.social, productScore.breakdown?.social)
+  };
 }
 
 /**
@@ -45,12 +81,49 @@ function extractCategories(product) {
  * @returns {Array} Lista de productos sustitutos ordenados por score
  */
 export function findSmartSubstitutes(product, availableProducts, criteria = {}) {
+  return findSmartSubstitutesWithExplanation(product, availableProducts, criteria).substitutes;
+}
+
+/**
+ * Igual que findSmartSubstitutes, con la explicación de cada candidato
+ * status: 'suggested' (en los sustitutos), 'rejected' (con reason) o
+ * 'outranked' (pasó los filtros pero otros candidatos fueron mejores)
+ * @returns {Object} { substitutes, candidates: [{ id, name, brand, price, status, reason, scoreDelta }] }
+ */
+export function findSmartSubstitutesWithExplanation(product, availableProducts, criteria = {}) {
+  const rejectionReasons = new Map();
+  const substitutes = selectSmartSubstitutes(product, availableProducts, criteria, rejectionReasons);
+  const suggestedIds = new Set(substitutes.map(substitute => substitute.id));
+
+  const candidates = availableProducts.map(candidate => {
+    const reason = rejectionReasons.get(candidate) || null;
+    return {
+      id: candidate.id,
+      name: candidate.name,
+      brand: candidate.brand || null,
+      price: candidate.price,
+      status: reason ? 'rejected' : (suggestedIds.has(candidate.id) ? 'suggested' : 'outranked'),
+      reason,
+      scoreDelta: scoreDelta(candidate, product)
+    };
+  });
+
+  return { substitutes, candidates };
+}
+
+/**
+ * Filtra y ordena los candidatos; anota en rejectionReasons (Map candidato -> motivo)
+ * por qué se descartó cada uno
+ */
+function selectSmartSubstitutes(product, availableProducts, criteria, rejectionReasons) {
   const {
     minScoreImprovement = 0.1, // Mejora mínima del 10%
     sameCategory = true,
     maxResults = 5,
-    maxPriceIncrease = 0.2 // Máximo 20% más caro
+    maxPriceIncrease = 0.2, // Máximo 20% más caro
+    excludedBrands: excludedBrandsCriteria = [] // Marcas que el usuario no quiere (se comparan en minúsculas)
   } = criteria;
+  const excludedBrands = excludedBrandsCriteria.map(brand => brand.toLowerCase().trim());
 
   const currentScore = product.sustainability_score?.total || 0;
   const currentPrice = product.price || 0;
@@ -61,16 +134,19 @@ export function findSmartSubstitutes(product, availableProducts, criteria = {})
   console.log(`[SmartSubstitution] Finding substitutes for "${product.name}"`);
   console.log(`[SmartSubstitution] Original score: ${(currentScore * 100).toFixed(1)}%, price: ${currentPrice.toFixed(2)} ${productCurrency}`);
   
-  // Debug: Log de categorías del producto original
-  const productCatsDebug = extractCategories(product);
-  console.log(`[SmartSubstitution] Original categories: ${productCatsDebug.join(', ')}`);
+  // Tags de categoría del producto original (una vez para todos los candidatos)
+  const productCategoryTags = getProductCategoryTags(product);
+  const productCategories = productCategoryTags.map(({ tag }) => tag);
+  console.log(`[SmartSubstitution] Original categories: ${productCategories.join(', ')}`);
+  // Profundidad de la categoría significativa más específica del producto
+  const isSignificant = (cat) => !GENERIC_CATEGORIES.some(gen => cat.includes(gen)) && cat.length > 3;
+  const productSignificantDepth = Math.max(0, ...productCategoryTags.filter(({ tag }) => isSignificant(tag)).map(({ depth }) => depth));
 
   // Filtrar productos candidatos
-  const rejectionReasons = {};
-  
   const candidates = availableProducts.filter(candidate => {
     // No incluir el mismo producto (verificar por ID, barcode Y nombre)
     if (candidate.id === product.id || candidate.barcode === product.barcode) {
+      rejectionReasons.set(candidate, 'same_product');
       return false;
     }
     
@@ -78,43 +154,26 @@ export function findSmartSubstitutes(product, availableProducts, criteria = {})
     const candidateName = (candidate.name || '').toLowerCase().trim();
     const productName = (product.name || '').toLowerCase().trim();
     if (candidateName === productName) {
+      rejectionReasons.set(candidate, 'same_product');
       return false; // No reemplazar por el mismo producto
     }
     
     let rejectionReason = null;
 
-    // Extraer categorías de la base de datos (tanto de category como de openfoodfacts_data)
-    const productCategories = extractCategories(product);
-    const candidateCategories = extractCategories(candidate);
+    // Categorías del candidato (del índice de categorías si viene de él)
+    const candidateCategories = candidateCategoryTags(candidate);
     
     // Debug: Log de categorías del candidato (solo para los primeros 3)
     if (availableProducts.indexOf(candidate) < 3) {
       console.log(`[SmartSubstitution] Candidate "${candidateName}" categories: ${candidateCategories.join(', ')}`);
     }
 
-    // Lista de categorías genéricas que no son útiles para comparación
-    const genericCategories = [
-      'alimentos y bebidas de origen vegetal',
-      'alimentos de origen vegetal',
-      'alimentos',
-      'bebidas',
-      'desayunos',
-      'specific products',
-      'products for specific diets',
-      'en:specific products',
-      'en:products for specific diets'
-    ];
-    
     // NOTA: No excluir "lácteos" y "dairies" porque pueden ser útiles para comparación
     // cuando otros productos solo tienen categorías genéricas
 
     // Filtrar categorías significativas (no genéricas, pero incluir lácteos/dairies)
-    const productSignificantCats = productCategories.filter(cat =>
-      !genericCategories.some(gen => cat.includes(gen)) && cat.length > 3
-    );
-    const candidateSignificantCats = candidateCategories.filter(cat =>
-      !genericCategories.some(gen => cat.includes(gen)) && cat.length > 3
-    );
+    const productSignificantCats = productCategories.filter(isSignificant);
+    const candidateSignificantCats = candidateCategories.filter(isSignificant);
     
     // También extraer palabras clave de categorías (ej: "leche", "milk") para comparación flexible
     const extractKeywords = (cats) => {
@@ -137,12 +196,13 @@ export function findSmartSubstitutes(product, availableProducts, criteria = {})
       const allCandidateCats = candidateCategories.filter(cat => cat.length > 2);
       
       // Verificar coincidencias en múltiples niveles
-      const hasBasicMatch = allProductCats.length > 0 && allCandidateCats.length > 0 &&
+      // (los candidatos del índice de categorías ya traen las que comparten)
+      const hasBasicMatch = candidate.matched_tags?.length > 0 || (allProductCats.length > 0 && allCandidateCats.length > 0 &&
         allProductCats.some(cat =>
           allCandidateCats.some(candCat =>
             candCat.includes(cat) || cat.includes(candCat)
           )
-        );
+        ));
       
       const hasKeywordMatch = productKeywords.length > 0 && candidateKeywords.length > 0 &&
         productKeywords.some(kw =>
@@ -174,41 +234,14 @@ export function findSmartSubstitutes(product, availableProducts, criteria = {})
       if (!hasBasicMatch && !hasKeywordMatch && !hasSignificantMatch && !hasNameMatch && 
           !(productHasLeche && candidateHasLeche)) {
         rejectionReason = 'no_category_match';
-        rejectionReasons[candidateName] = rejectionReason;
+        rejectionReasons.set(candidate, rejectionReason);
         return false;
       }
     }
 
     // VALIDACIÓN DE INCOMPATIBILIDADES BASADA EN CATEGORÍAS DE LA BASE DE DATOS
-    // Definir grupos de categorías incompatibles basados en datos reales
-    const incompatibleCategoryGroups = [
-      // Grupo de leches (no compatible con cremas, quesos, mantequillas)
-      {
-        categories: ['leche', 'leches', 'milk', 'milks', 'leche semidesnatada', 'leche semidescremada', 
-                     'leche entera', 'leche desnatada', 'leche descremada', 'whole-milks', 'semi-skimmed milk',
-                     'skimmed milk', 'leche-uht', 'leche-de-vaca', 'leche sin lactosa'],
-        incompatibleWith: ['nata', 'crema', 'cream', 'queso', 'cheese', 'mantequilla', 'butter', 
-                           'dairy-spread', 'grasas de la leche', 'grasas animales']
-      },
-      // Grupo de cremas (no compatible con leches, quesos, mantequillas)
-      {
-        categories: ['nata', 'crema', 'cream'],
-        incompatibleWith: ['leche', 'leches', 'milk', 'milks', 'queso', 'cheese', 'mantequilla', 'butter']
-      },
-      // Grupo de quesos (no compatible con leches, cremas, mantequillas)
-      {
-        categories: ['queso', 'cheese', 'queso rallado'],
-        incompatibleWith: ['leche', 'leches', 'milk', 'nata', 'crema', 'mantequilla', 'butter']
-      },
-      // Grupo de mantequillas (no compatible con leches, cremas, quesos)
-      {
-        categories: ['mantequilla', 'butter', 'dairy-spread', 'grasas de la leche'],
-        incompatibleWith: ['leche', 'leches', 'milk', 'nata', 'crema', 'queso', 'cheese']
-      }
-    ];
-
     // Verificar incompatibilidades basadas en categorías
-    for (const group of incompatibleCategoryGroups) {
+    for (const group of INCOMPATIBLE_CATEGORY_GROUPS) {
       const productHasGroupCategory = group.categories.some(cat =>
         productSignificantCats.some(pCat => pCat.includes(cat) || cat.includes(pCat))
       );
@@ -219,6 +252,7 @@ export function findSmartSubstitutes(product, availableProducts, criteria = {})
       if (productHasGroupCategory && candidateHasIncompatible) {
         // Productos incompatibles basados en categorías: rechazar
         rejectionReason = 'incompatible_categories';
+        rejectionReasons.set(candidate, rejectionReason);
         return false;
       }
     }
@@ -226,11 +260,15 @@ export function findSmartSubstitutes(product, availableProducts, criteria = {})
     // Bonus por categorías compartidas (especialmente las más específicas)
     let categoryBonus = 0;
     if (productSignificantCats.length > 0 && candidateSignificantCats.length > 0) {
-      const sharedSignificantCats = productSignificantCats.filter(cat =>
-        candidateSignificantCats.some(candCat =>
-          candCat.includes(cat) || cat.includes(candCat)
-        )
-      );
+      // Del índice: las compartidas con su profundidad en el producto; si no, coincidencias por texto
+      const matchedSignificantTags = (candidate.matched_tags || []).filter(({ tag }) => productSignificantCats.includes(tag));
+      const sharedSignificantCats = candidate.matched_tags
+        ? matchedSignificantTags.map(({ tag }) => tag)
+        : productSignificantCats.filter(cat =>
+          candidateSignificantCats.some(candCat =>
+            candCat.includes(cat) || cat.includes(candCat)
+          )
+        );
       
       if (sharedSignificantCats.length > 0) {
         // Bonus proporcional al número de categorías compartidas
@@ -239,8 +277,10 @@ export function findSmartSubstitutes(product, availableProducts, criteria = {})
         // Bonus adicional si comparten la categoría más específica
         const productMostSpecific = productSignificantCats[productSignificantCats.length - 1];
         const candidateMostSpecific = candidateSignificantCats[candidateSignificantCats.length - 1];
-        if (productMostSpecific.includes(candidateMostSpecific) || 
-            candidateMostSpecific.includes(productMostSpecific)) {
+        const sharesMostSpecific = candidate.matched_tags
+          ? matchedSignificantTags.some(({ depth }) => depth >= productSignificantDepth)
+          : productMostSpecific.includes(candidateMostSpecific) || candidateMostSpecific.includes(productMostSpecific);
+        if (sharesMostSpecific) {
           categoryBonus += 0.1;
         }
       }
@@ -287,7 +327,7 @@ export function findSmartSubstitutes(product, availableProducts, criteria = {})
       // Permitir si es igual o mejor, o solo ligeramente peor (hasta 5% peor - más flexible)
       if (adjustedCandidateScore < currentScore - 0.05) {
         rejectionReason = `score_too_low_shared`;
-        rejectionReasons[candidateName] = rejectionReason;
+        rejectionReasons.set(candidate, rejectionReason);
         return false; // Rechazar solo si es más de 5% peor
       }
     } else {
@@ -302,14 +342,14 @@ export function findSmartSubstitutes(product, availableProducts, criteria = {})
         // Si tiene categorías similares, permitir hasta 3% peor
         if (adjustedCandidateScore < currentScore - 0.03) {
           rejectionReason = `score_too_low`;
-          rejectionReasons[candidateName] = rejectionReason;
+          rejectionReasons.set(candidate, rejectionReason);
           return false;
         }
       } else {
         // Si no comparte categorías, requiere mejora mínima
         if (adjustedCandidateScore <= requiredScore) {
           rejectionReason = `score_too_low`;
-          rejectionReasons[candidateName] = rejectionReason;
+          rejectionReasons.set(candidate, rejectionReason);
           return false;
         }
       }
@@ -325,7 +365,7 @@ export function findSmartSubstitutes(product, availableProducts, criteria = {})
     if (candidateCurrency === productCurrency) {
       if (candidatePrice > currentPrice * (1 + maxPriceIncrease)) {
         rejectionReason = `price_too_high`;
-        rejectionReasons[candidateName] = rejectionReason;
+        rejectionReasons.set(candidate, rejectionReason);
         return false;
       }
     } else {
@@ -333,12 +373,23 @@ export function findSmartSubstitutes(product, availableProducts, criteria = {})
       console.warn(`[SmartSubstitution] Currency mismatch: product=${productCurrency}, candidate=${candidateCurrency} for "${candidateName}"`);
     }
 
+    // Marcas excluidas por el usuario
+    if (excludedBrands.length > 0) {
+      const candidateBrands = (candidate.brand || '').toLowerCase().split(',').map(b => b.trim());
+      if (candidateBrands.some(brand => excludedBrands.includes(brand))) {
+        rejectionReason = 'excluded_brand';
+        rejectionReasons.set(candidate, rejectionReason);
+        return false;
+      }
+    }
+
     // Filtros dietéticos (Personalización)
     if (criteria.dietaryRestrictions) {
-      const { vegan, glutenFree } = criteria.dietaryRestrictions;
-      const labels = (candidate.openfoodfacts_data?.labels_tags || []).join(' ').toLowerCase();
-      const ingredients = (candidate.openfoodfacts_data?.ingredients_text || '').toLowerCase();
-      const categories = (candidate.category || '').toLowerCase();
+      const { vegan, glutenFree, allergens = [] } = criteria.dietaryRestrictions;
+      // openfoodfacts_data puede venir de la API (labels_tags, ingredients_text) o normalizado (labels, ingredients)
+      const offData = candidate.openfoodfacts_data || {};
+      const labels = (offData.labels_tags || offData.labels || []).join(' ').toLowerCase();
+      const ingredients = (offData.ingredients_text || offData.ingredients || '').toLowerCase();
 
       if (vegan) {
         // Verificar si es vegano (etiqueta o ausencia de ingredientes animales comunes)
@@ -346,16 +397,25 @@ export function findSmartSubstitutes(product, availableProducts, criteria = {})
         const hasAnimalIngredients = ingredients.includes('leche') || ingredients.includes('huevo') || ingredients.includes('miel') || ingredients.includes('carne');
         if (!isVeganLabel && hasAnimalIngredients) {
           rejectionReason = 'not_vegan';
+          rejectionReasons.set(candidate, rejectionReason);
           return false;
         }
       }
 
+      // Nunca sugerir un producto con alérgenos declarados por el usuario
+      if (findAllergens(candidate, allergens).length > 0) {
+        rejectionReason = 'contains_allergen';
+        rejectionReasons.set(candidate, rejectionReason);
+        return false;
+      }
+
       if (glutenFree) {
         // Verificar si es sin gluten
         const isGlutenFreeLabel = labels.includes('gluten-free') || labels.includes('sin gluten');
         const hasGluten = ingredients.includes('trigo') || ingredients.includes('cebada') || ingredients.includes('centeno');
         if (!isGlutenFreeLabel && hasGluten) {
           rejectionReason = 'has_gluten';
+          rejectionReasons.set(candidate, rejectionReason);
           return false;
         }
       }
@@ -369,7 +429,7 @@ export function findSmartSubstitutes(product, availableProducts, criteria = {})
   console.log(`[SmartSubstitution] Filtered ${candidates.length} valid candidates from ${availableProducts.length} total`);
   if (candidates.length === 0 && availableProducts.length > 0) {
     const reasonCounts = {};
-    Object.values(rejectionReasons).forEach(reason => {
+    rejectionReasons.forEach(reason => {
       if (reason) {
         const baseReason = reason.split('(')[0].trim();
         reasonCounts[baseReason] = (reasonCounts[baseReason] || 0) + 1;
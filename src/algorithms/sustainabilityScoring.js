@@ -3,13 +3,18 @@
  * Calcula una puntuación que combina aspectos económicos, ambientales y sociales
  */
 
+/**
+ * Pesos por defecto de cada dimensión (suman 1)
+ */
+export const DEFAULT_WEIGHTS = { economic: 0.4, environmental: 0.4, social: 0.2 };
+
 /**
  * Calcula el score de sostenibilidad para un producto
  * @param {Object} product - Producto con sus datos
  * @param {Object} weights - Pesos para cada dimensión {economic: 0.4, environmental: 0.4, social: 0.2}
  * @returns {Object} Score total y desglose por dimensiones
  */
-export function calculateSustainabilityScore(product, weights = { economic: 0.4, environmental: 0.4, social: 0.2 }) {
+export function calculateSustainabilityScore(product, weights = DEFAULT_WEIGHTS) {
   const economicScore = calculateEconomicScore(product);
   const environmentalScore = calculateEnvironmentalScore(product);
   const socialScore = calculateSocialScore(product);
@@ -1,130 +1,226 @@
 import { User } from '../models/User.js';
 import bcrypt from 'bcryptjs'; // npm install bcryptjs
+import { issueTokens, rotateRefreshToken, revokeRefreshToken } from '../services/tokenService.js';
+import { isDevSeedMode, DEMO_USER_EMAIL } from '../db/seeds/index.js';
+import {
+  sendVerificationEmail,
+  verifyEmail,
+  requestPasswordReset,
+  resetPassword
+} from '../services/accountRecoveryService.js';
+import { recordLoginFailure, clearLoginFailures } from '../services/authThrottleService.js';
+import {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+  TooManyRequestsError,
+  UnauthorizedError
+} from '../utils/errors.js';
 
 /**
  * Registrar nuevo usuario
  */
 export async function registerController(req, res) {
-  try {
-    const { email, name, password } = req.body;
+  const { email, name, password } = req.body;
 
-    if (!email || !name || !password) {
-      return res.status(400).json({ error: 'email, name, and password are required' });
-    }
+  // Verificar si el usuario ya existe
+  const existingUser = await User.findByEmail(email);
+  if (existingUser) {
+    throw new ConflictError('User already exists');
+  }
 
-    // Verificar si el usuario ya existe
-    const existingUser = await User.findByEmail(email);
-    if (existingUser) {
-      return res.status(400).json({ error: 'User already exists' });
-    }
+  // Hash de la contraseña
+  const hashedPassword = await bcrypt.hash(password, 10);
 
-    // Hash de la contraseña
-    const hashedPassword = await bcrypt.hash(password, 10);
-
-    // Crear usuario
-    const user = await User.create({
-      email,
-      name,
-      password: hashedPassword
-    });
-
-    // No retornar la contraseña
-    const { password: _, ...userWithoutPassword } = user;
-
-    res.status(201).json({
-      user: userWithoutPassword,
-      message: 'User created successfully'
-    });
-  } catch (error) {
-    console.error('Error in registerController:', error);
-    res.status(500).json({ error: 'Internal server error' });
+  // Crear usuario
+  const user = await User.create({
+    email,
+    name,
+    password: hashedPassword
+  });
+
+  // No retornar la contraseña
+  const { password: _, ...userWithoutPassword } = user;
+
+  // Enviar email de verificación (un fallo de envío no impide el registro)
+  try {
+    await sendVerificationEmail(user);
+  } catch (mailError) {
+    console.error('Error sending verification email:', mailError.message);
   }
+
+  const tokens = await issueTokens(user);
+
+  res.status(201).json({
+    user: userWithoutPassword,
+    ...tokens,
+    message: 'User created successfully'
+  });
 }
 
 /**
  * Iniciar sesión
  */
 export async function loginController(req, res) {
-  try {
-    const { email, password } = req.body;
+  const { email, password } = req.body;
 
-    if (!email || !password) {
-      return res.status(400).json({ error: 'email and password are required' });
-    }
+  // Buscar usuario y verificar contraseña
+  const user = await User.findByEmail(email);
+  const isValidPassword = user ? await bcrypt.compare(password, user.password || '') : false;
 
-    // Buscar usuario
-    const user = await User.findByEmail(email);
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+  if (!isValidPassword) {
+    // Contar el fallo (también para emails inexistentes) y bloquear si corresponde
+    const lockSeconds = await recordLoginFailure(email);
+    if (lockSeconds) {
+      throw new TooManyRequestsError('Account temporarily locked due to too many failed attempts', lockSeconds);
     }
+    throw new UnauthorizedError('Invalid credentials');
+  }
 
-    // Verificar contraseña
-    const isValidPassword = await bcrypt.compare(password, user.password || '');
-    if (!isValidPassword) {
-      return res.status(401).json({ error: 'Invalid credentials' });
-    }
+  await clearLoginFailures(email);
 
-    // No retornar la contraseña
-    const { password: _, ...userWithoutPassword } = user;
+  // No retornar la contraseña
+  const { password: _, ...userWithoutPassword } = user;
 
-    res.json({
-      user: userWithoutPassword,
-      message: 'Login successful'
-    });
-  } catch (error) {
-    console.error('Error in loginController:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
+  const tokens = await issueTokens(user);
+
+  res.json({
+    user: userWithoutPassword,
+    ...tokens,
+    message: 'Login successful'
+  });
 }
 
 /**
  * Login rápido con usuario TEST (sin contraseña)
+ * Solo disponible en desarrollo (NODE_ENV=development)
  */
 export async function quickLoginTestController(req, res) {
-  try {
-    // Buscar usuario TEST
-    const user = await User.findById(1);
-    
-    if (!user || user.email !== 'test@example.com') {
-      return res.status(404).json({ error: 'Test user not found' });
-    }
+  if (!isDevSeedMode()) {
+    throw new NotFoundError();
+  }
+
+  // Buscar usuario TEST (creado por los seeds)
+  const user = await User.findByEmail(DEMO_USER_EMAIL);
+
+  if (!user) {
+    throw new NotFoundError('Test user not found');
+  }
+
+  // No retornar la contraseña
+  const { password: _, ...userWithoutPassword } = user;
+
+  const tokens = await issueTokens(user);
+
+  res.json({
+    user: userWithoutPassword,
+    ...tokens,
+    message: 'Quick login successful'
+  });
+}
+
+/**
+ * Renovar sesión con un refresh token (rota el refresh token)
+ */
+export async function refreshTokenController(req, res) {
+  const { refreshToken } = req.body;
+
+  // Rotación: el refresh token usado deja de ser válido (solo se emite un par por token)
+  const session = await rotateRefreshToken(refreshToken);
+  if (!session) {
+    throw new UnauthorizedError('Invalid refresh token');
+  }
+
+  const user = await User.findById(session.userId);
+  if (!user) {
+    throw new UnauthorizedError('Invalid refresh token');
+  }
 
-    // No retornar la contraseña
-    const { password: _, ...userWithoutPassword } = user;
+  const tokens = await issueTokens(user);
 
-    res.json({
-      user: userWithoutPassword,
-      message: 'Quick login successful'
-    });
-  } catch (error) {
-    console.error('Error in quickLoginTestController:', error);
-    res.status(500).json({ error: 'Internal server error' });
+  res.json(tokens);
+}
+
+/**
+ * Cerrar sesión (revoca el refresh token)
+ */
+export async function logoutController(req, res) {
+  const { refreshToken } = req.body;
+
+  const revoked = await revokeRefreshToken(refreshToken);
+  if (!revoked) {
+    throw new UnauthorizedError('Invalid or already revoked refresh token');
   }
+  res.json({ message: 'Logout successful' });
 }
 
 /**
  * Obtener usuario actual (verificar sesión)
  */
 export async function getCurrentUserController(req, res) {
-  try {
-    const { userId } = req.query; // En producción, esto vendría del token JWT
+  const user = await User.findById(req.user.id);
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
 
-    if (!userId) {
-      return res.status(401).json({ error: 'Not authenticated' });
-    }
+  // No retornar la contraseña
+  const { password: _, ...userWithoutPassword } = user;
 
-    const user = await User.findById(userId);
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
+  res.json({ user: userWithoutPassword });
+}
+
+/**
+ * Reenviar email de verificación al usuario autenticado
+ */
+export async function resendVerificationController(req, res) {
+  const user = await User.findById(req.user.id);
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  if (user.email_verified_at) {
+    throw new BadRequestError('Email already verified');
+  }
 
-    // No retornar la contraseña
-    const { password: _, ...userWithoutPassword } = user;
+  await sendVerificationEmail(user);
+  res.json({ message: 'Verification email sent' });
+}
+
+/**
+ * Confirmar email con el token recibido por correo
+ */
+export async function verifyEmailController(req, res) {
+  const { token } = req.body;
 
-    res.json({ user: userWithoutPassword });
-  } catch (error) {
-    console.error('Error in getCurrentUserController:', error);
-    res.status(500).json({ error: 'Internal server error' });
+  const user = await verifyEmail(token);
+  if (!user) {
+    throw new BadRequestError('Invalid or expired token');
   }
+
+  res.json({ message: 'Email verified successfully' });
+}
+
+/**
+ * Solicitar reseteo de contraseña
+ * Siempre responde lo mismo para no revelar qué emails están registrados
+ */
+export async function forgotPasswordController(req, res) {
+  const { email } = req.body;
+
+  await requestPasswordReset(email);
+  res.json({ message: 'If the email is registered, a reset link has been sent' });
 }
 
+/**
+ * Establecer nueva contraseña con el token de reseteo
+ */
+export async function resetPasswordController(req, res) {
+  const { token, password } = req.body;
+
+  const updated = await resetPassword(token, password);
+  if (!updated) {
+    throw new BadRequestError('Invalid or expired token');
+  }
+
+  res.json({ message: 'Password updated successfully' });
+}
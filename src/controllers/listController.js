@@ -1,496 +1,376 @@
 import { ShoppingList } from '../models/ShoppingList.js';
 import { Product } from '../models/Product.js';
-import { calculateScoresForProducts, calculateSustainabilityScore } from '../algorithms/sustainabilityScoring.js';
-import { optimizeShoppingList } from '../algorithms/knapsackOptimizer.js';
-import { findSmartSubstitutes } from '../algorithms/smartSubstitution.js';
-import { searchProducts as searchOpenFoodFacts } from '../services/openFoodFactsService.js';
-import { estimatePriceFromCategory } from '../services/priceEstimationService.js';
+import { OptimizationRun, SWAP_STATUS } from '../models/OptimizationRun.js';
+import {
+  findSubstitutesForProduct,
+  runListOptimization,
+  replayOptimizationRun,
+  acceptSwaps
+} from '../services/listOptimizationService.js';
+import { diffOptimizationRuns } from '../services/optimizationDiffService.js';
+import { enqueueOptimizationJob, toJobStatus } from '../services/optimizationJobService.js';
+import { OptimizationJob } from '../models/OptimizationJob.js';
+import { checkoutList } from '../services/checkoutService.js';
+import { getUserPreferences } from '../services/userPreferencesService.js';
+import { getPurchaseCarbonBudget } from '../services/carbonBudgetService.js';
+import { AppError, BadRequestError, ConflictError, ForbiddenError, NotFoundError } from '../utils/errors.js';
+import { findAllergens } from '../utils/allergens.js';
 
 /**
- * Función compartida para buscar sustitutos de un producto
- * REUTILIZADA por optimizeListController y getSubstitutesController
- * @param {Object} product - Producto para el cual buscar sustitutos
- * @param {string} country - País para conversión de precios
- * @returns {Promise<Array>} Array de sustitutos válidos
+ * Crear nueva lista de compras
  */
-async function findSubstitutesForProduct(product, country = null) {
-  // Asegurar que el producto tenga precio convertido según el país
-  // Si el producto no tiene precio convertido, convertirlo ahora
-  let productWithPrice = { ...product };
-  if (!productWithPrice.currency || productWithPrice.currency === 'EUR' || !country) {
-    try {
-      const { getProductPrice } = await import('../services/priceService.js');
-      const priceInfo = await getProductPrice(product, country || null);
-      productWithPrice = {
-        ...productWithPrice,
-        price: parseFloat(priceInfo.amount || productWithPrice.price || 0),
-        currency: priceInfo.currency || 'EUR',
-        currency_symbol: priceInfo.symbol || '€'
-      };
-    } catch (err) {
-      console.warn(`Could not convert price for product ${product.id || product.name}:`, err.message);
-    }
-  }
+export async function createListController(req, res) {
+  const userId = req.user.id;
+  const { name, budget } = req.body;
 
-  // Usar la misma lógica de búsqueda
-  // Búsqueda más amplia: buscar por varias palabras del nombre
-  const words = productWithPrice.name.toLowerCase().split(' ').filter(w => w.length > 3);
-  const searchTerms = words.slice(0, 2); // Primeras 2 palabras significativas
+  const list = await ShoppingList.create(userId, name, parseFloat(budget));
+  res.status(201).json(list);
+}
 
-  let allCandidates = [];
-  for (const term of searchTerms) {
-    const results = await Product.search(term, 50, 0, country || null);
-    allCandidates = [...allCandidates, ...results];
+/**
+ * Obtener las listas del usuario autenticado
+ * Acepta ?userId por compatibilidad, pero solo si es el propio usuario
+ */
+export async function getListsController(req, res) {
+  const { userId } = req.query;
+  if (userId && userId !== req.user.id) {
+    throw new ForbiddenError();
   }
 
-  // Eliminar duplicados por ID
-  let uniqueCandidates = Array.from(new Map(allCandidates.map(p => [p.id, p])).values());
-
-  // Si hay pocos candidatos en BD, buscar más en Open Food Facts y guardarlos
-  if (uniqueCandidates.length < 10) {
-    try {
-      const { searchProducts } = await import('../services/openFoodFactsService.js');
-      const { calculateCarbonFootprint } = await import('../services/carbonFootprintService.js');
-      const { estimatePriceFromCategory } = await import('../services/priceEstimationService.js');
-      
-      const searchQuery = searchTerms.join(' ');
-      const offResults = await searchProducts(searchQuery, 1, 20, country || null);
-      
-      if (offResults.products && offResults.products.length > 0) {
-        const existingBarcodes = new Set(uniqueCandidates.map(p => p.barcode).filter(Boolean));
-        const newCandidates = [];
-
-        for (const apiProduct of offResults.products) {
-          if (!apiProduct.barcode || existingBarcodes.has(apiProduct.barcode)) {
-            continue;
-          }
-
-          try {
-            let productToSave = { ...apiProduct };
-
-            // Calcular carbon_footprint si no existe
-            if (!productToSave.carbon_footprint) {
-              productToSave.carbon_footprint = await calculateCarbonFootprint(productToSave);
-            }
-
-            // Estimar precio base en EUR si no existe
-            if (!productToSave.price) {
-              const basePriceInfo = estimatePriceFromCategory(productToSave, null);
-              productToSave.price = basePriceInfo.amount;
-            }
-
-            const savedProduct = await Product.create({
-              ...productToSave,
-              price: productToSave.price,
-              carbon_footprint: productToSave.carbon_footprint || null,
-              country: country || null,
-              openfoodfacts_data: productToSave.openfoodfacts_data || {}
-            });
-
-            newCandidates.push(savedProduct);
-            existingBarcodes.add(savedProduct.barcode);
-          } catch (saveError) {
-            if (!saveError.message?.includes('duplicate key')) {
-              console.error(`Error saving product ${apiProduct.barcode} from Open Food Facts:`, saveError.message);
-            }
-          }
-        }
-
-        if (newCandidates.length > 0) {
-          uniqueCandidates = [...uniqueCandidates, ...newCandidates];
-          console.log(`Added ${newCandidates.length} new candidates from Open Food Facts`);
-        }
-      }
-    } catch (extraError) {
-      console.error('Error fetching extra substitutes from Open Food Facts:', extraError.message);
-    }
-  }
+  const lists = await ShoppingList.findByUserId(req.user.id);
+  res.json(lists);
+}
 
-  console.log(`Searching substitutes for "${product.name}" found ${uniqueCandidates.length} candidates`);
-
-  // Calcular scores para todos los candidatos
-  const candidatesWithScores = calculateScoresForProducts(uniqueCandidates);
-
-  // Convertir precios de candidatos según país
-  const { getProductPrice } = await import('../services/priceService.js');
-  const candidatesWithPrices = await Promise.all(
-    candidatesWithScores.map(async (candidate) => {
-      try {
-        const candidatePriceInfo = await getProductPrice(candidate, country || null);
-        return {
-          ...candidate,
-          price: parseFloat(candidatePriceInfo.amount || candidate.price || 0),
-          currency: candidatePriceInfo.currency || 'EUR',
-          currency_symbol: candidatePriceInfo.symbol || '€'
-        };
-      } catch (err) {
-        return {
-          ...candidate,
-          price: parseFloat(candidate.price || 0),
-          currency: 'EUR',
-          currency_symbol: '€'
-        };
-      }
-    })
-  );
-
-  // Encontrar sustitutos válidos usando los mismos criterios
-  // Usar productWithPrice que tiene el precio convertido correctamente
-  const substitutes = findSmartSubstitutes(productWithPrice, candidatesWithPrices, {
-    minScoreImprovement: 0.05, // 5% mejora mínima
-    sameCategory: true, // Activar comparación inteligente de categorías
-    maxResults: 5
+/**
+ * Obtener lista por ID
+ */
+export async function getListByIdController(req, res) {
+  // La lista ya fue cargada y verificada por requireListOwner
+  const { list } = req;
+  const [items, preferences] = await Promise.all([
+    ShoppingList.getItems(list.id),
+    getUserPreferences(req.user.id)
+  ]);
+
+  // Marcar los items con alérgenos declarados por el usuario
+  res.json({
+    ...list,
+    items: items.map(item => ({ ...item, allergen_warnings: findAllergens(item, preferences.allergens) }))
   });
+}
 
-  console.log(`Found ${substitutes.length} valid substitutes for "${productWithPrice.name}"`);
-  if (substitutes.length > 0) {
-    console.log(`Best substitute: "${substitutes[0].name}" with score ${(substitutes[0].sustainability_score.total * 100).toFixed(0)}% and price ${substitutes[0].price} ${substitutes[0].currency}`);
+/**
+ * Renombrar lista y/o cambiar su presupuesto
+ */
+export async function updateListController(req, res) {
+  const { name, budget } = req.body;
+  if (name === undefined && budget === undefined) {
+    throw new BadRequestError('Nothing to update: provide name and/or budget');
   }
 
-  return substitutes;
+  const list = await ShoppingList.update(req.list.id, { name, budget });
+  res.json(list);
 }
 
 /**
- * Crear nueva lista de compras
+ * Eliminar lista (y sus items)
  */
-export async function createListController(req, res) {
-  try {
-    const { userId, name, budget } = req.body;
-
-    if (!userId || !name || !budget) {
-      return res.status(400).json({ error: 'userId, name, and budget are required' });
-    }
-
-    // Verificar o crear usuario si no existe
-    const { User } = await import('../models/User.js');
-    let user = await User.findById(userId);
-    if (!user) {
-      // Crear usuario por defecto si no existe
-      // Usar createOrGet que maneja mejor la creación
-      try {
-        user = await User.createOrGet(
-          userId,
-          `user${userId}@example.com`,
-          `Usuario ${userId}`
-        );
-        console.log('Created/retrieved user:', user);
-      } catch (userError) {
-        console.error('Error creating user:', userError);
-        // Continuar de todas formas, el error podría ser que el usuario ya existe
-        user = await User.findById(userId);
-        if (!user) {
-          throw new Error(`Could not create or find user with id ${userId}`);
-        }
-      }
-    }
-
-    const list = await ShoppingList.create(userId, name, parseFloat(budget));
-    res.status(201).json(list);
-  } catch (error) {
-    console.error('Error in createListController:', error);
-    console.error('Error details:', error.message);
-    console.error('Error stack:', error.stack);
-    res.status(500).json({
-      error: 'Internal server error',
-      message: error.message,
-      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
-    });
+export async function deleteListController(req, res) {
+  await ShoppingList.delete(req.list.id);
+  res.status(204).end();
+}
+
+/**
+ * Agregar producto a lista
+ */
+export async function addItemToListController(req, res) {
+  const { listId } = req.params;
+  const { productId, quantity = 1, mustHave = false } = req.body;
+
+  // Verificar que el producto existe
+  const product = await Product.findById(productId);
+  if (!product) {
+    throw new NotFoundError('Product not found');
   }
+
+  // Si el producto ya está en la lista se suma la cantidad al item existente
+  const item = await ShoppingList.addItem(listId, productId, quantity, mustHave);
+  res.status(201).json(item);
 }
 
 /**
- * Obtener lista por ID
+ * Cambiar la cantidad de un item de la lista y/o marcarlo como imprescindible
  */
-export async function getListByIdController(req, res) {
-  try {
-    const { id } = req.params;
-    const list = await ShoppingList.findById(id);
-
-    if (!list) {
-      return res.status(404).json({ error: 'List not found' });
-    }
-
-    const items = await ShoppingList.getItems(id);
-    res.json({ ...list, items });
-  } catch (error) {
-    console.error('Error in getListByIdController:', error);
-    res.status(500).json({ error: 'Internal server error' });
+export async function updateListItemController(req, res) {
+  const { listId, itemId } = req.params;
+  const { quantity, mustHave } = req.body;
+  if (quantity === undefined && mustHave === undefined) {
+    throw new BadRequestError('quantity or mustHave is required');
   }
+
+  const item = await ShoppingList.updateItem(listId, itemId, { quantity, mustHave });
+  if (!item) {
+    throw new NotFoundError('List item not found');
+  }
+  res.json(item);
 }
 
 /**
- * Agregar producto a lista
+ * Quitar un item de la lista
  */
-export async function addItemToListController(req, res) {
-  try {
-    const { listId } = req.params;
-    const { productId, quantity = 1 } = req.body;
-
-    if (!productId) {
-      return res.status(400).json({ error: 'productId is required' });
-    }
-
-    const item = await ShoppingList.addItem(listId, productId, quantity);
-    res.status(201).json(item);
-  } catch (error) {
-    console.error('Error in addItemToListController:', error);
-    res.status(500).json({ error: 'Internal server error' });
+export async function removeListItemController(req, res) {
+  const { listId, itemId } = req.params;
+
+  const deleted = await ShoppingList.deleteItem(listId, itemId);
+  if (!deleted) {
+    throw new NotFoundError('List item not found');
   }
+  res.json({ message: 'Item removed from list' });
 }
 
 /**
  * Optimizar lista de compras
  */
 export async function optimizeListController(req, res) {
-  try {
-    const { id } = req.params;
-    const { options = {} } = req.body;
+  const { options = {} } = req.body;
+  const { country } = req.query;
 
-    const list = await ShoppingList.findById(id);
-    if (!list) {
-      return res.status(404).json({ error: 'List not found' });
-    }
+  const response = await runListOptimization(req.list, req.user.id, { options, country });
+  res.json(response);
+}
 
-    // Obtener items de la lista
-    const items = await ShoppingList.getItems(id);
-    console.log(`List ${id} has ${items.length} items`);
+/**
+ * Optimizar lista de compras en segundo plano
+ * Responde 202 con el trabajo; el avance y el resultado se consultan con su jobId
+ */
+export async function createOptimizationJobController(req, res) {
+  const { options = {} } = req.body;
+  const { country } = req.query;
 
-    if (items.length === 0) {
-      return res.status(400).json({
-        error: 'List is empty',
-        message: 'No products found in the list. Make sure products are added to the list before optimizing.'
-      });
-    }
+  const items = await ShoppingList.getItems(req.list.id);
+  if (items.length === 0) {
+    throw new BadRequestError('List is empty. Add products to the list before optimizing');
+  }
 
-    // Obtener país de query params si está disponible (para conversión de precios)
-    const { country } = req.query;
+  const job = await enqueueOptimizationJob(req.list, req.user.id, { options, country });
+  res.status(202).json(toJobStatus(job));
+}
 
-    // Calcular scores y convertir precios según país
-    const { getProductPrice } = await import('../services/priceService.js');
-    const productsWithScores = await Promise.all(
-      items.map(async (item) => {
-        // Calcular score
-        const score = calculateSustainabilityScore(item);
-
-        // Convertir precio según país
-        let priceInfo;
-        try {
-          priceInfo = await getProductPrice(item, country || null);
-        } catch (err) {
-          console.error('Error getting product price:', err);
-          priceInfo = {
-            amount: parseFloat(item.price || 0),
-            currency: 'EUR',
-            symbol: '€',
-            source: 'default'
-          };
-        }
-
-        return {
-          ...item,
-          price: parseFloat(priceInfo.amount || item.price || 0), // Asegurar que sea número
-          currency: priceInfo.currency || 'EUR',
-          currency_symbol: priceInfo.symbol || '€',
-          sustainability_score: score
-        };
-      })
-    );
-
-    // Optimizar: Estrategia de Sustitución Inteligente (Smart Swap)
-    // 1. Para cada producto, buscar sustitutos
-    // 2. Intentar mejorar el score cambiando por sustitutos si el presupuesto lo permite
-
-    const { Product } = await import('../models/Product.js');
-    const { calculateScoresForProducts } = await import('../algorithms/sustainabilityScoring.js');
-
-    // Copia de trabajo para la optimización
-    let currentItems = [...productsWithScores];
-    let currentCost = currentItems.reduce((sum, p) => sum + (p.price * (p.quantity || 1)), 0);
-    const maxBudget = parseFloat(list.budget);
-
-    // Buscar sustitutos para cada item en paralelo
-    // REUTILIZAR LA MISMA FUNCIÓN QUE getSubstitutesController
-    const itemsWithSubstitutes = await Promise.all(currentItems.map(async (item) => {
-      try {
-        // Usar la función compartida findSubstitutesForProduct
-        const substitutes = await findSubstitutesForProduct(item, country || null);
-        return { item, substitutes };
-      } catch (err) {
-        console.error(`Error finding substitutes for ${item.name}:`, err);
-        return { item, substitutes: [] };
-      }
-    }));
-
-    // Aplicar sustituciones
-    // findSmartSubstitutes ahora devuelve 3 opciones (económico, ambiental, social)
-    // Seleccionar automáticamente la mejor opción para la optimización
-    const optimizedItems = itemsWithSubstitutes.map(({ item, substitutes }) => {
-      if (!substitutes || substitutes.length === 0) return item;
-
-      // findSmartSubstitutes devuelve hasta 3 opciones con recommendationType
-      // Seleccionar la mejor: priorizar score total, luego precio
-      const sortedSubstitutes = substitutes
-        .filter(sub => {
-          // Solo considerar sustitutos que mejoren o igualen el score total
-          const subTotal = sub.sustainability_score?.total || 0;
-          const itemTotal = item.sustainability_score?.total || 0;
-          return subTotal >= itemTotal - 0.02; // Permitir hasta 2% peor
-        })
-        .sort((a, b) => {
-          // Priorizar mejor score total
-          const aTotal = a.sustainability_score?.total || 0;
-          const bTotal = b.sustainability_score?.total || 0;
-          if (Math.abs(aTotal - bTotal) > 0.01) {
-            return bTotal - aTotal;
-          }
-          // Si scores similares, priorizar más barato
-          return a.price - b.price;
-        });
-
-      const bestSubstitute = sortedSubstitutes[0];
-
-      // Si no hay mejor sustituto, mantener original
-      if (!bestSubstitute) return item;
-
-      // Verificar que no sea el mismo producto (por ID, barcode o nombre)
-      if (bestSubstitute.id === item.id || 
-          bestSubstitute.barcode === item.barcode ||
-          (bestSubstitute.name || '').toLowerCase().trim() === (item.name || '').toLowerCase().trim()) {
-        console.log(`✗ Keeping "${item.name}" - substitute is the same product`);
-        return item;
-      }
-
-      // Calcular diferencia de costo
-      // IMPORTANTE: Ambos precios deben estar en la misma moneda
-      const originalCost = item.price * (item.quantity || 1);
-      const substituteCost = bestSubstitute.price * (item.quantity || 1);
-      const costDiff = substituteCost - originalCost;
-
-      // Lógica de decisión:
-      // 1. Si mejora score y es más barato (Win-Win) -> CAMBIAR
-      // 2. Si mejora score y es más caro -> CAMBIAR SOLO SI HAY PRESUPUESTO
-
-      const scoreImprovement = bestSubstitute.sustainability_score.total - item.sustainability_score.total;
-
-      if (scoreImprovement > 0) {
-        if (costDiff <= 0) {
-          // Es más barato o igual, y mejor score: Cambiar siempre
-          currentCost += costDiff;
-          console.log(`✓ Swapping "${item.name}" for "${bestSubstitute.name}" (cheaper & better)`);
-          return { ...bestSubstitute, quantity: item.quantity, improvement: scoreImprovement };
-        } else if (currentCost + costDiff <= maxBudget) {
-          // Es más caro, pero cabe en el presupuesto: Cambiar
-          currentCost += costDiff;
-          console.log(`✓ Swapping "${item.name}" for "${bestSubstitute.name}" (better score, within budget)`);
-          return { ...bestSubstitute, quantity: item.quantity, improvement: scoreImprovement };
-        } else {
-          console.log(`✗ Keeping "${item.name}" - substitute would exceed budget`);
-        }
-      } else {
-        console.log(`✗ Keeping "${item.name}" - substitute does not improve score`);
-      }
-
-      return item;
-    });
-
-    // Si después de los swaps seguimos dentro del presupuesto, esa es nuestra lista optimizada.
-    // Si nos pasamos (o si queremos filtrar items de bajo valor), podríamos pasar una segunda pasada de Knapsack.
-    // Pero por ahora, asumimos que el usuario quiere mantener todos los items si es posible.
-
-    // Recalcular totales finales
-    const finalSelected = optimizedItems;
-    const finalTotalCost = finalSelected.reduce((sum, p) => sum + (p.price * (p.quantity || 1)), 0);
-    const finalTotalScore = finalSelected.reduce((sum, p) => sum + (p.sustainability_score.total * (p.quantity || 1)), 0);
-    const finalTotalCarbon = finalSelected.reduce((sum, p) => sum + (parseFloat(p.carbon_footprint || 0) * (p.quantity || 1)), 0);
-
-    // Calcular ahorros
-    const originalCost = productsWithScores.reduce((sum, p) => sum + (p.price * (p.quantity || 1)), 0);
-    const originalCarbon = productsWithScores.reduce((sum, p) => sum + (parseFloat(p.carbon_footprint || 0) * (p.quantity || 1)), 0);
-
-    const optimized = {
-      selected: finalSelected,
-      totalCost: Math.round(finalTotalCost * 100) / 100,
-      totalScore: Math.round((finalTotalScore / finalSelected.reduce((sum, p) => sum + (p.quantity || 1), 0)) * 100) / 100, // Promedio
-      totalCarbon: Math.round(finalTotalCarbon * 100) / 100,
-      savings: {
-        economic: Math.max(0, Math.round((originalCost - finalTotalCost) * 100) / 100),
-        carbon: Math.max(0, Math.round((originalCarbon - finalTotalCarbon) * 100) / 100),
-        percentage: originalCost > 0 ? Math.round(((originalCost - finalTotalCost) / originalCost) * 100) : 0
-      },
-      budgetUsed: Math.round((finalTotalCost / maxBudget) * 100) / 100,
-      message: 'Lista optimizada con sustituciones inteligentes'
-    };
+/**
+ * Carga un trabajo de optimización de la lista (req.list)
+ */
+async function loadOptimizationJob(req) {
+  const job = await OptimizationJob.findById(req.params.jobId);
+  if (!job || job.list_id !== req.list.id) {
+    throw new NotFoundError('Optimization job not found');
+  }
+  return job;
+}
+
+/**
+ * Estado, avance y resultado de un trabajo de optimización
+ */
+export async function getOptimizationJobController(req, res) {
+  const job = await loadOptimizationJob(req);
+  res.json(toJobStatus(job));
+}
 
-    // Actualizar estado de la lista
-    await ShoppingList.updateStatus(id, 'optimized');
-
-    res.json({
-      listId: id,
-      original: {
-        items: productsWithScores,
-        totalCost: originalCost,
-        totalCarbon: originalCarbon,
-        totalScore: productsWithScores.reduce((sum, p) => sum + (p.sustainability_score.total * (p.quantity || 1)), 0) / productsWithScores.reduce((sum, p) => sum + (p.quantity || 1), 0)
-      },
-      optimized
-    });
-  } catch (error) {
-    console.error('Error in optimizeListController:', error);
-    res.status(500).json({ error: 'Internal server error' });
+/**
+ * Cancelar un trabajo de optimización pendiente o en ejecución
+ */
+export async function cancelOptimizationJobController(req, res) {
+  const job = await loadOptimizationJob(req);
+  const cancelled = await OptimizationJob.cancel(job.id);
+  if (!cancelled) {
+    throw new ConflictError(`Optimization job is already ${job.status}`);
+  }
+  res.json(toJobStatus(cancelled));
+}
+
+/**
+ * Carga una ejecución de optimización de la lista (req.list)
+ */
+async function loadOptimizationRun(req, runId = req.params.runId) {
+  const run = await OptimizationRun.findById(runId);
+  if (!run || run.list_id !== req.list.id) {
+    throw new NotFoundError('Optimization run not found');
   }
+  return run;
+}
+
+/**
+ * Obtener las ejecuciones de optimización de una lista
+ */
+export async function getOptimizationRunsController(req, res) {
+  const runs = await OptimizationRun.findByListId(req.list.id);
+  res.json(runs);
+}
+
+/**
+ * Obtener una ejecución de optimización con sus swaps
+ */
+export async function getOptimizationRunController(req, res) {
+  const run = await loadOptimizationRun(req);
+  const swaps = await OptimizationRun.getSwaps(run.id);
+  res.json({ ...run, swaps });
+}
+
+/**
+ * Repetir una ejecución con su snapshot (mismas entradas y opciones)
+ * Responde como la optimización, con las diferencias frente a la ejecución original
+ */
+export async function replayOptimizationRunController(req, res) {
+  const run = await loadOptimizationRun(req);
+  const replay = await replayOptimizationRun(req.list, run, req.user.id);
+  if (!replay) {
+    throw new AppError('This optimization run has no snapshot and cannot be replayed', { status: 422, code: 'RUN_NOT_REPLAYABLE' });
+  }
+
+  const { run: replayRun, result } = replay;
+  res.status(201).json({
+    listId: req.list.id,
+    runId: replayRun.id,
+    replayOfRunId: run.id,
+    original: result.original,
+    optimized: result.optimized,
+    swaps: replayRun.swaps,
+    explanation: result.explanation,
+    ...(result.frontier ? { frontier: result.frontier } : {}),
+    diff: diffOptimizationRuns(run, replayRun)
+  });
+}
+
+/**
+ * Diferencias entre dos ejecuciones de la lista
+ */
+export async function diffOptimizationRunsController(req, res) {
+  const run = await loadOptimizationRun(req);
+  const other = await loadOptimizationRun(req, req.params.otherRunId);
+  res.json(diffOptimizationRuns(run, other));
+}
+
+/**
+ * Aceptar todos los swaps pendientes de una ejecución
+ */
+export async function acceptAllSwapsController(req, res) {
+  const run = await loadOptimizationRun(req);
+  const { allergens } = await getUserPreferences(req.user.id);
+  const { accepted, stale, blocked } = await acceptSwaps(req.list, run.id, null, { allergens });
+  const items = await ShoppingList.getItems(req.list.id);
+  res.json({ accepted, stale, blocked, items });
+}
+
+/**
+ * Aceptar un swap sugerido
+ */
+export async function acceptSwapController(req, res) {
+  const run = await loadOptimizationRun(req);
+  const swap = await OptimizationRun.findSwap(run.id, req.params.swapId);
+  if (!swap) {
+    throw new NotFoundError('Swap not found');
+  }
+  if (swap.status !== SWAP_STATUS.SUGGESTED) {
+    throw new ConflictError(`Swap already ${swap.status}`);
+  }
+
+  const { allergens } = await getUserPreferences(req.user.id);
+  const { accepted, blocked } = await acceptSwaps(req.list, run.id, [swap.id], { allergens });
+  if (blocked.length > 0) {
+    throw new AppError('The substitute contains one of your declared allergens', { status: 422, code: 'CONTAINS_ALLERGEN' });
+  }
+  if (accepted.length === 0) {
+    throw new ConflictError('The list item changed after the optimization. Run the optimization again');
+  }
+
+  const items = await ShoppingList.getItems(req.list.id);
+  res.json({ accepted, stale: [], blocked: [], items });
+}
+
+/**
+ * Rechazar un swap sugerido (la lista no cambia)
+ */
+export async function rejectSwapController(req, res) {
+  const run = await loadOptimizationRun(req);
+  const swap = await OptimizationRun.findSwap(run.id, req.params.swapId);
+  if (!swap) {
+    throw new NotFoundError('Swap not found');
+  }
+
+  const rejected = await OptimizationRun.rejectSwap(run.id, swap.id);
+  if (!rejected) {
+    throw new ConflictError(`Swap already ${swap.status}`);
+  }
+  res.json(rejected);
+}
+
+/**
+ * Comprar la lista: crea la compra con precios calculados en el servidor
+ * y marca la lista como completada
+ */
+export async function checkoutListController(req, res) {
+  const { country } = req.query;
+  // Cobrar en el mismo país con el que se muestran los precios
+  const preferences = await getUserPreferences(req.user.id);
+  const { purchase, replayed } = await checkoutList(req.list, req.user.id, {
+    country: country || preferences.preferredCountry,
+    idempotencyKey: req.get('Idempotency-Key') || null
+  });
+
+  const carbonBudget = await getPurchaseCarbonBudget(req.user.id, purchase);
+
+  res.set('Idempotent-Replayed', String(replayed));
+  res.status(replayed ? 200 : 201).json({ ...purchase, carbonBudget });
 }
 
 /**
  * Obtener sustitutos inteligentes para un producto
- * Usa la misma lógica que optimizeListController para consistencia
+ * Usa la misma lógica que la optimización de listas para consistencia
  */
 export async function getSubstitutesController(req, res) {
+  const { productId } = req.params;
+  const { country } = req.query;
+
+  const product = await Product.findById(productId);
+  if (!product) {
+    throw new NotFoundError('Product not found');
+  }
+
+  const preferences = await getUserPreferences(req.user.id);
+  const effectiveCountry = country || preferences.preferredCountry;
+
+  // Calcular score del producto con los pesos del usuario
+  const { calculateSustainabilityScore } = await import('../algorithms/sustainabilityScoring.js');
+  const productScore = calculateSustainabilityScore(product, preferences.weights);
+  product.sustainability_score = productScore;
+
+  // Convertir precio según país si está disponible
+  let priceInfo;
   try {
-    const { productId } = req.params;
-    const { country } = req.query;
-
-    const product = await Product.findById(productId);
-    if (!product) {
-      return res.status(404).json({ error: 'Product not found' });
-    }
-
-    // Calcular score del producto
-    const { calculateSustainabilityScore, calculateScoresForProducts } = await import('../algorithms/sustainabilityScoring.js');
-    const productScore = calculateSustainabilityScore(product);
-    product.sustainability_score = productScore;
-
-    // Convertir precio según país si está disponible
-    let priceInfo;
-    try {
-      const { getProductPrice } = await import('../services/priceService.js');
-      priceInfo = await getProductPrice(product, country || null);
-    } catch (err) {
-      console.error('Error getting product price:', err);
-      priceInfo = {
-        amount: parseFloat(product.price || 0),
-        currency: 'EUR',
-        symbol: '€',
-        source: 'default'
-      };
-    }
-
-    const productWithPrice = {
-      ...product,
-      price: parseFloat(priceInfo.amount || product.price || 0),
-      currency: priceInfo.currency || 'EUR',
-      currency_symbol: priceInfo.symbol || '€'
+    const { getProductPrice } = await import('../services/priceService.js');
+    priceInfo = await getProductPrice(product, effectiveCountry);
+  } catch (err) {
+    console.error('Error getting product price:', err);
+    priceInfo = {
+      amount: parseFloat(product.price || 0),
+      currency: 'EUR',
+      symbol: '€',
+      source: 'default'
     };
+  }
 
-    // REUTILIZAR LA MISMA FUNCIÓN QUE optimizeListController
-    const substitutes = await findSubstitutesForProduct(productWithPrice, country || null);
+  const productWithPrice = {
+    ...product,
+    price: parseFloat(priceInfo.amount || product.price || 0),
+    currency: priceInfo.currency || 'EUR',
+    currency_symbol: priceInfo.symbol || '€'
+  };
 
-    res.json({
-      original: productWithPrice,
-      substitutes
-    });
-  } catch (error) {
-    console.error('Error in getSubstitutesController:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
+  // Misma búsqueda de sustitutos que usa la optimización de listas
+  const substitutes = await findSubstitutesForProduct(productWithPrice, effectiveCountry, preferences);
+
+  res.json({
+    original: { ...productWithPrice, allergen_warnings: findAllergens(productWithPrice, preferences.allergens) },
+    substitutes
+  });
 }
 
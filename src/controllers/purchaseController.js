@@ -1,52 +1,57 @@
-import { Purchase } from '../models/Purchase.js';
+import { ShoppingList } from '../models/ShoppingList.js';
+import { createPurchase } from '../services/checkoutService.js';
+import { getPurchaseDetail, getPurchaseHistory } from '../services/purchaseHistoryService.js';
+import { getUserPreferences } from '../services/userPreferencesService.js';
+import { ForbiddenError, NotFoundError } from '../utils/errors.js';
 
 /**
- * Registrar una compra
+ * Registrar una compra manual (precios y totales calculados en el servidor)
  */
 export async function createPurchaseController(req, res) {
-  try {
-    const { userId, listId, items, totalPrice, totalCarbon, totalSavings } = req.body;
+  const userId = req.user.id;
+  const { listId, items } = req.body;
+  const { country } = req.query;
 
-    if (!userId || !items || !totalPrice) {
-      return res.status(400).json({ error: 'userId, items, and totalPrice are required' });
+  // La lista asociada (si existe) debe pertenecer al usuario
+  if (listId) {
+    const list = await ShoppingList.findById(listId);
+    if (!list) {
+      throw new NotFoundError('List not found');
     }
-
-    const purchase = await Purchase.create(
-      userId,
-      listId,
-      parseFloat(totalPrice),
-      totalCarbon ? parseFloat(totalCarbon) : null,
-      totalSavings ? parseFloat(totalSavings) : null
-    );
-
-    // Agregar items de la compra
-    for (const item of items) {
-      await Purchase.addItem(
-        purchase.id,
-        item.productId,
-        item.quantity,
-        item.price
-      );
+    if (list.user_id !== userId) {
+      throw new ForbiddenError();
     }
-
-    res.status(201).json(purchase);
-  } catch (error) {
-    console.error('Error in createPurchaseController:', error);
-    res.status(500).json({ error: 'Internal server error' });
   }
+
+  // Cobrar en el mismo país con el que se muestran los precios
+  const preferences = await getUserPreferences(userId);
+  const { purchase, replayed } = await createPurchase(
+    userId,
+    { listId, items },
+    { country: country || preferences.preferredCountry, idempotencyKey: req.get('Idempotency-Key') || null }
+  );
+
+  // Una request repetida con la misma Idempotency-Key devuelve la compra original
+  res.set('Idempotent-Replayed', String(replayed));
+  res.status(replayed ? 200 : 201).json(purchase);
 }
 
 /**
- * Obtener historial de compras de un usuario
+ * Obtener historial de compras de un usuario (paginado, filtrable por fecha)
  */
 export async function getPurchaseHistoryController(req, res) {
-  try {
-    const { userId } = req.params;
-    const purchases = await Purchase.findByUserId(userId);
-    res.json(purchases);
-  } catch (error) {
-    console.error('Error in getPurchaseHistoryController:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
+  const { userId } = req.params;
+  const { limit = 20, offset = 0, from, to } = req.query;
+
+  const history = await getPurchaseHistory(userId, { limit, offset, from, to });
+  res.json(history);
 }
 
+/**
+ * Obtener una compra con sus items y el desglose de carbono y ahorros
+ */
+export async function getPurchaseController(req, res) {
+  // La compra ya fue cargada y verificada por requirePurchaseOwner
+  const purchase = await getPurchaseDetail(req.purchase);
+  res.json(purchase);
+}
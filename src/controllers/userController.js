@@ -1,39 +1,54 @@
 import { User } from '../models/User.js';
+import { getSustainabilityDashboard } from '../services/sustainabilityDashboardService.js';
+import { getCarbonBudgetStatus } from '../services/carbonBudgetService.js';
+import { NotFoundError } from '../utils/errors.js';
 
 export async function updatePreferencesController(req, res) {
-    try {
-        const { userId } = req.params;
-        const { preferences } = req.body;
+    const { userId } = req.params;
+    const { preferences } = req.body;
 
-        if (!preferences) {
-            return res.status(400).json({ error: 'Preferences are required' });
-        }
+    const updatedUser = await User.updatePreferences(userId, preferences);
 
-        const updatedUser = await User.updatePreferences(userId, preferences);
-
-        if (!updatedUser) {
-            return res.status(404).json({ error: 'User not found' });
-        }
-
-        res.json(updatedUser);
-    } catch (error) {
-        console.error('Error in updatePreferencesController:', error);
-        res.status(500).json({ error: 'Internal server error' });
+    if (!updatedUser) {
+        throw new NotFoundError('User not found');
     }
+
+    // No retornar la contraseña
+    const { password: _, ...userWithoutPassword } = updatedUser;
+    res.json(userWithoutPassword);
 }
 
 export async function getUserController(req, res) {
-    try {
-        const { userId } = req.params;
-        const user = await User.findById(userId);
-
-        if (!user) {
-            return res.status(404).json({ error: 'User not found' });
-        }
-
-        res.json(user);
-    } catch (error) {
-        console.error('Error in getUserController:', error);
-        res.status(500).json({ error: 'Internal server error' });
+    const { userId } = req.params;
+    const user = await User.findById(userId);
+
+    if (!user) {
+        throw new NotFoundError('User not found');
     }
+
+    // No retornar la contraseña
+    const { password: _, ...userWithoutPassword } = user;
+    res.json(userWithoutPassword);
+}
+
+/**
+ * Dashboard de sostenibilidad a partir del historial de compras
+ */
+export async function getDashboardController(req, res) {
+    const { userId } = req.params;
+    const { groupBy = 'month', from, to } = req.query;
+
+    const dashboard = await getSustainabilityDashboard(userId, { groupBy, from, to });
+    res.json(dashboard);
+}
+
+/**
+ * Presupuesto de carbono del mes: consumido según las compras y restante
+ */
+export async function getCarbonBudgetController(req, res) {
+    const { userId } = req.params;
+    const { month } = req.query;
+
+    const status = await getCarbonBudgetStatus(userId, { month });
+    res.json(status);
 }
@@ -0,0 +1,42 @@
+import dotenv from 'dotenv';
+import pool from '../config/database.js';
+import { migrateUp, migrateDown, migrationStatus } from './migrator.js';
+
+dotenv.config();
+
+/**
+ * CLI de migraciones
+ *   npm run migrate                 -> aplica las migraciones pendientes
+ *   npm run migrate:down [-- N]     -> revierte las últimas N migraciones (default: 1)
+ *   npm run migrate:status          -> muestra qué migraciones están aplicadas
+ */
+async function main() {
+  const [command = 'up', arg] = process.argv.slice(2);
+
+  try {
+    if (command === 'up') {
+      await migrateUp();
+    } else if (command === 'down') {
+      const steps = arg ? parseInt(arg) : 1;
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error(`Invalid number of steps: ${arg}`);
+      }
+      await migrateDown({ steps });
+    } else if (command === 'status') {
+      const status = await migrationStatus();
+      for (const migration of status) {
+        const state = migration.modified ? 'modified' : (migration.applied ? 'applied' : 'pending');
+        console.log(`${state.padEnd(8)} ${migration.file}${migration.appliedAt ? ` (${new Date(migration.appliedAt).toISOString()})` : ''}`);
+      }
+    } else {
+      throw new Error(`Unknown command "${command}". Use: up | down [steps] | status`);
+    }
+  } catch (error) {
+    console.error('[Migrations]', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+main();
@@ -0,0 +1,7 @@
+-- Revierte 001: elimina las tablas base (en orden inverso por las foreign keys)
+DROP TABLE IF EXISTS purchase_items;
+DROP TABLE IF EXISTS purchases;
+DROP TABLE IF EXISTS list_items;
+DROP TABLE IF EXISTS shopping_lists;
+DROP TABLE IF EXISTS products_cache;
+DROP TABLE IF EXISTS users;
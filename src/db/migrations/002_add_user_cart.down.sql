@@ -0,0 +1,2 @@
+-- Revierte 002: elimina el carrito persistente
+DROP TABLE IF EXISTS user_cart_items;
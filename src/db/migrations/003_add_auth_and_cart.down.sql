@@ -0,0 +1,3 @@
+-- Revierte 003: elimina la contraseña de los usuarios
+-- (user_cart_items lo crea 002, se elimina al revertir esa migración)
+ALTER TABLE users DROP COLUMN IF EXISTS password;
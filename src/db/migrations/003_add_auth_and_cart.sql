@@ -9,13 +9,8 @@ BEGIN
     END IF;
 END $$;
 
--- Crear usuario TEST por defecto (si no existe)
-INSERT INTO users (id, email, name, password)
-VALUES (1, 'test@example.com', 'Usuario TEST', 'test123')
-ON CONFLICT (id) DO UPDATE 
-SET email = EXCLUDED.email, 
-    name = EXCLUDED.name,
-    password = EXCLUDED.password;
+-- NOTA: El usuario TEST ya no se crea aquí. Los usuarios de demo se crean
+-- con contraseña hasheada mediante los seeds (src/db/seeds), solo en desarrollo.
 
 -- Tabla para el carrito de compras del usuario (persistencia)
 CREATE TABLE IF NOT EXISTS user_cart_items (
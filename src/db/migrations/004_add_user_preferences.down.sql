@@ -0,0 +1,2 @@
+-- Revierte 004: elimina las preferencias de usuario
+ALTER TABLE users DROP COLUMN IF EXISTS preferences;
@@ -0,0 +1,4 @@
+-- Revierte 005: elimina el país de los productos y sus índices
+DROP INDEX IF EXISTS idx_products_name_country;
+DROP INDEX IF EXISTS idx_products_country;
+ALTER TABLE products_cache DROP COLUMN IF EXISTS country;
@@ -0,0 +1,2 @@
+-- Revierte 006: elimina los refresh tokens
+DROP TABLE IF EXISTS refresh_tokens;
@@ -0,0 +1,12 @@
+-- Tabla de refresh tokens emitidos (permite revocarlos en logout y rotarlos en refresh)
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    token_id VARCHAR(64) UNIQUE NOT NULL, -- jti del JWT de refresh
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Índice para revocar todos los tokens de un usuario
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens(user_id);
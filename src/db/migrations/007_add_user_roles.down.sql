@@ -0,0 +1,2 @@
+-- Revierte 007: elimina los roles de usuario
+ALTER TABLE users DROP COLUMN IF EXISTS role;
@@ -0,0 +1,3 @@
+-- Revierte 008: no hay cambios de esquema que deshacer
+-- Las contraseñas en texto plano eliminadas no se pueden (ni deben) restaurar
+SELECT 1;
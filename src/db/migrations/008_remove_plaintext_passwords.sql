@@ -0,0 +1,6 @@
+-- Eliminar contraseñas guardadas en texto plano (ej: usuario TEST con 'test123')
+-- Las contraseñas válidas son hashes bcrypt ($2a$/$2b$/$2y$)
+UPDATE users
+SET password = NULL
+WHERE password IS NOT NULL
+  AND password NOT LIKE '$2_$%';
@@ -0,0 +1,3 @@
+-- Revierte 009: elimina los tokens de un solo uso y la verificación de email
+DROP TABLE IF EXISTS user_tokens;
+ALTER TABLE users DROP COLUMN IF EXISTS email_verified_at;
@@ -0,0 +1,3 @@
+-- Revierte 010: elimina las tablas del rate limiting de autenticación
+DROP TABLE IF EXISTS auth_lockouts;
+DROP TABLE IF EXISTS auth_rate_limit_hits;
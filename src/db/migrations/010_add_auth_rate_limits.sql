@@ -0,0 +1,15 @@
+-- Registro de intentos para el rate limiting de autenticación (store "postgres")
+-- Permite compartir los contadores entre varias instancias del backend
+CREATE TABLE IF NOT EXISTS auth_rate_limit_hits (
+    id BIGSERIAL PRIMARY KEY,
+    key VARCHAR(320) NOT NULL, -- ej: login:ip:1.2.3.4, login:email:user@example.com
+    hit_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_rate_limit_hits_key ON auth_rate_limit_hits(key, hit_at);
+
+-- Bloqueos temporales de cuenta tras varios intentos fallidos
+CREATE TABLE IF NOT EXISTS auth_lockouts (
+    key VARCHAR(320) PRIMARY KEY,
+    locked_until TIMESTAMP NOT NULL
+);
@@ -0,0 +1,2 @@
+-- Revierte 011: permite de nuevo productos repetidos en una lista (las filas fusionadas no se separan)
+ALTER TABLE list_items DROP CONSTRAINT IF EXISTS list_items_list_product_unique;
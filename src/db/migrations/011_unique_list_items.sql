@@ -0,0 +1,24 @@
+-- Un producto aparece una sola vez por lista: los duplicados se fusionan sumando cantidades
+
+-- 1. Sumar las cantidades de los duplicados en la fila más antigua
+--    (sin pasar de 99, MAX_ITEM_QUANTITY en validators/common.js)
+UPDATE list_items li
+SET quantity = dup.total_quantity
+FROM (
+    SELECT MIN(id) AS keep_id, LEAST(SUM(COALESCE(quantity, 1)), 99) AS total_quantity
+    FROM list_items
+    GROUP BY list_id, product_id
+    HAVING COUNT(*) > 1
+) dup
+WHERE li.id = dup.keep_id;
+
+-- 2. Eliminar el resto de filas duplicadas
+DELETE FROM list_items li
+USING list_items keep
+WHERE li.list_id = keep.list_id
+  AND li.product_id = keep.product_id
+  AND li.id > keep.id;
+
+-- 3. Evitar nuevos duplicados (ShoppingList.addItem hace UPSERT sobre esta restricción)
+ALTER TABLE list_items
+    ADD CONSTRAINT list_items_list_product_unique UNIQUE (list_id, product_id);
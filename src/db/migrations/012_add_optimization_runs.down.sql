@@ -0,0 +1,3 @@
+-- Revierte 012: elimina las ejecuciones de optimización guardadas
+DROP TABLE IF EXISTS optimization_swaps;
+DROP TABLE IF EXISTS optimization_runs;
@@ -0,0 +1,29 @@
+-- Ejecuciones de optimización de una lista (resultado guardado para consultarlo después)
+CREATE TABLE IF NOT EXISTS optimization_runs (
+    id SERIAL PRIMARY KEY,
+    list_id INTEGER NOT NULL REFERENCES shopping_lists(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    options JSONB DEFAULT '{}'::jsonb,
+    original_items JSONB NOT NULL,
+    optimized_items JSONB NOT NULL,
+    totals JSONB NOT NULL, -- { original: {...}, optimized: {...} } con costo, carbono, score y ahorros
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_optimization_runs_list ON optimization_runs(list_id, created_at DESC);
+
+-- Cambios sugeridos por cada ejecución (el usuario los acepta o rechaza uno a uno)
+CREATE TABLE IF NOT EXISTS optimization_swaps (
+    id SERIAL PRIMARY KEY,
+    run_id INTEGER NOT NULL REFERENCES optimization_runs(id) ON DELETE CASCADE,
+    list_item_id INTEGER REFERENCES list_items(id) ON DELETE SET NULL,
+    original_product_id INTEGER NOT NULL REFERENCES products_cache(id) ON DELETE CASCADE,
+    substitute_product_id INTEGER NOT NULL REFERENCES products_cache(id) ON DELETE CASCADE,
+    quantity INTEGER DEFAULT 1,
+    score_improvement DECIMAL(6, 4),
+    cost_difference DECIMAL(10, 2),
+    status VARCHAR(20) NOT NULL DEFAULT 'suggested', -- suggested, accepted, rejected
+    decided_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_optimization_swaps_run ON optimization_swaps(run_id);
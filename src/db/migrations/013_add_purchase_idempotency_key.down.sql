@@ -0,0 +1,3 @@
+-- Revierte 013: elimina la clave de idempotencia de las compras
+DROP INDEX IF EXISTS idx_purchases_user_idempotency_key;
+ALTER TABLE purchases DROP COLUMN IF EXISTS idempotency_key;
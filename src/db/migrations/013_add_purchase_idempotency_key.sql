@@ -0,0 +1,15 @@
+-- Clave de idempotencia enviada por el cliente (header Idempotency-Key)
+-- Reintentar la misma request devuelve la compra ya creada en lugar de duplicarla
+DO $$ 
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns 
+        WHERE table_name = 'purchases' AND column_name = 'idempotency_key'
+    ) THEN
+        ALTER TABLE purchases ADD COLUMN idempotency_key VARCHAR(255);
+    END IF;
+END $$;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_purchases_user_idempotency_key
+    ON purchases(user_id, idempotency_key)
+    WHERE idempotency_key IS NOT NULL;
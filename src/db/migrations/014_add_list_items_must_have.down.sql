@@ -0,0 +1,2 @@
+-- Revierte 014: elimina la marca de imprescindible de los items
+ALTER TABLE list_items DROP COLUMN IF EXISTS must_have;
@@ -0,0 +1,3 @@
+-- Items que el usuario marca como imprescindibles: la optimización nunca
+-- los quita ni reduce su cantidad aunque la lista supere el presupuesto
+ALTER TABLE list_items ADD COLUMN IF NOT EXISTS must_have BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,3 @@
+-- Revierte 015: elimina los snapshots de las ejecuciones de optimización
+ALTER TABLE optimization_runs DROP COLUMN IF EXISTS replay_of_run_id;
+ALTER TABLE optimization_runs DROP COLUMN IF EXISTS snapshot;
@@ -0,0 +1,5 @@
+-- Entradas exactas de cada optimización (items con precio y score, candidatos
+-- de cada item) para poder repetirla sin consultar precios ni Open Food Facts.
+-- replay_of_run_id: ejecución de la que es repetición
+ALTER TABLE optimization_runs ADD COLUMN IF NOT EXISTS snapshot JSONB;
+ALTER TABLE optimization_runs ADD COLUMN IF NOT EXISTS replay_of_run_id INTEGER REFERENCES optimization_runs(id) ON DELETE SET NULL;
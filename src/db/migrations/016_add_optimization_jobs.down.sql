@@ -0,0 +1,2 @@
+-- Revierte 016: elimina los trabajos de optimización en segundo plano
+DROP TABLE IF EXISTS optimization_jobs;
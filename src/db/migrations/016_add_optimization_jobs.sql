@@ -0,0 +1,23 @@
+-- Optimizaciones en segundo plano: la petición crea el trabajo y un worker
+-- lo procesa (los workers toman trabajos con FOR UPDATE SKIP LOCKED)
+CREATE TABLE IF NOT EXISTS optimization_jobs (
+    id SERIAL PRIMARY KEY,
+    list_id INTEGER NOT NULL REFERENCES shopping_lists(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'queued', -- queued, running, completed, failed, cancelled
+    options JSONB NOT NULL DEFAULT '{}'::jsonb, -- opciones de la optimización y país
+    progress_completed INTEGER NOT NULL DEFAULT 0, -- items con sustitutos ya buscados
+    progress_total INTEGER NOT NULL DEFAULT 0,
+    run_id INTEGER REFERENCES optimization_runs(id) ON DELETE SET NULL,
+    result JSONB, -- misma respuesta que POST /api/lists/:id/optimize
+    error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_optimization_jobs_queued ON optimization_jobs(created_at, id) WHERE status = 'queued';
+CREATE INDEX IF NOT EXISTS idx_optimization_jobs_list ON optimization_jobs(list_id, created_at DESC);
+-- Un solo trabajo pendiente o en ejecución por lista
+CREATE UNIQUE INDEX IF NOT EXISTS idx_optimization_jobs_active_list ON optimization_jobs(list_id) WHERE status IN ('queued', 'running');
@@ -0,0 +1,2 @@
+-- Revierte 017: elimina el índice de categorías de productos
+DROP TABLE IF EXISTS product_categories;
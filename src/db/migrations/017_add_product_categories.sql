@@ -0,0 +1,45 @@
+-- Índice de categorías de products_cache para buscar sustitutos por categoría
+-- compartida en lugar de por nombre. Un tag por categoría del producto
+-- (campo category y openfoodfacts_data.categories_tags), normalizado como en
+-- utils/categoryTags.js: sin prefijo de idioma, sin acentos y con guiones.
+-- depth: posición en la jerarquía (1 = la más general)
+CREATE TABLE IF NOT EXISTS product_categories (
+    product_id INTEGER NOT NULL REFERENCES products_cache(id) ON DELETE CASCADE,
+    tag VARCHAR(255) NOT NULL,
+    depth SMALLINT NOT NULL DEFAULT 1,
+    PRIMARY KEY (product_id, tag)
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_categories_tag ON product_categories(tag, product_id);
+
+-- Rellenar con los productos existentes (Product.create mantiene el índice desde ahora)
+INSERT INTO product_categories (product_id, tag, depth)
+SELECT product_id, tag, MAX(depth)
+FROM (
+    SELECT product_id,
+           trim(BOTH '-' FROM regexp_replace(
+               translate(
+                   regexp_replace(lower(trim(category)), '^[a-z]{2}:', ''),
+                   'áàâäãåéèêëíìîïóòôöõúùûüñç',
+                   'aaaaaaeeeeiiiiooooouuuunc'
+               ),
+               '[^a-z0-9]+', '-', 'g'
+           )) AS tag,
+           depth
+    FROM (
+        SELECT p.id AS product_id, c.category, c.depth
+        FROM products_cache p,
+             LATERAL unnest(string_to_array(p.category, ',')) WITH ORDINALITY AS c(category, depth)
+        WHERE trim(c.category) <> ''
+        UNION ALL
+        SELECT p.id, t.category, t.depth
+        FROM products_cache p,
+             LATERAL jsonb_array_elements_text(
+                 CASE WHEN jsonb_typeof(p.openfoodfacts_data->'categories_tags') = 'array'
+                      THEN p.openfoodfacts_data->'categories_tags' ELSE '[]'::jsonb END
+             ) WITH ORDINALITY AS t(category, depth)
+    ) raw
+) tags
+WHERE tag <> '' AND length(tag) <= 255
+GROUP BY product_id, tag
+ON CONFLICT (product_id, tag) DO NOTHING;
@@ -0,0 +1,2 @@
+-- Revierte 018: elimina la concesión de los trabajos de optimización
+ALTER TABLE optimization_jobs DROP COLUMN IF EXISTS attempt;
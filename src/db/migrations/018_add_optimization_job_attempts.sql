@@ -0,0 +1,4 @@
+-- Concesión de cada toma de un trabajo: claimNext incrementa attempt y el
+-- worker solo puede escribir avance o resultado con el attempt que tomó
+-- (si el trabajo se reencoló y lo tomó otro worker, sus escrituras se descartan)
+ALTER TABLE optimization_jobs ADD COLUMN IF NOT EXISTS attempt INTEGER NOT NULL DEFAULT 0;
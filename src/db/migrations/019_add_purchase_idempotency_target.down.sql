@@ -0,0 +1,2 @@
+-- Revierte 019: elimina el destino de la clave de idempotencia
+ALTER TABLE purchases DROP COLUMN IF EXISTS idempotency_target;
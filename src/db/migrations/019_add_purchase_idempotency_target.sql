@@ -0,0 +1,4 @@
+-- Destino de la request que usó la clave de idempotencia ('list:<id>', 'cart'
+-- o 'purchase'): repetir la clave con otro destino es un error, no una repetición.
+-- Las compras anteriores quedan sin destino y se repiten como antes
+ALTER TABLE purchases ADD COLUMN IF NOT EXISTS idempotency_target VARCHAR(64);
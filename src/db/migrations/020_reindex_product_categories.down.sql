@@ -0,0 +1,3 @@
+-- Revierte 020: elimina la marca de indexado (los tags regenerados se conservan)
+DROP INDEX IF EXISTS idx_products_cache_categories_pending;
+ALTER TABLE products_cache DROP COLUMN IF EXISTS categories_indexed_at;
@@ -0,0 +1,11 @@
+-- La migración 017 rellenó product_categories normalizando en SQL (translate),
+-- que no da los mismos tags que utils/categoryTags.js (normalización NFD en JS)
+-- para todas las categorías. El índice se regenera desde la aplicación con una
+-- sola normalización: al iniciar, el servidor indexa los productos con
+-- categories_indexed_at NULL (Product.indexPendingCategoryTags)
+ALTER TABLE products_cache ADD COLUMN IF NOT EXISTS categories_indexed_at TIMESTAMP;
+
+DELETE FROM product_categories;
+
+CREATE INDEX IF NOT EXISTS idx_products_cache_categories_pending
+    ON products_cache(id) WHERE categories_indexed_at IS NULL;
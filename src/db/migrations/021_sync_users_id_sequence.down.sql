@@ -0,0 +1,2 @@
+-- Revierte 021: no hay cambios de esquema que deshacer
+SELECT 1;
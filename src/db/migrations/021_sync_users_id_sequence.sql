@@ -0,0 +1,4 @@
+-- La versión anterior de 003 creaba el usuario TEST con id = 1 fijo sin
+-- avanzar users_id_seq: el primer registro fallaba con clave duplicada.
+-- Alinear la secuencia con el mayor id existente
+SELECT setval(pg_get_serial_sequence('users', 'id'), GREATEST((SELECT MAX(id) FROM users), 1), (SELECT MAX(id) FROM users) IS NOT NULL);
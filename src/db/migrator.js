@@ -0,0 +1,232 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import pool from '../config/database.js';
+
+/**
+ * Runner de migraciones versionadas
+ *
+ * - Descubre automáticamente los archivos NNN_nombre.sql de src/db/migrations
+ *   (NNN_nombre.down.sql es la migración inversa, opcional)
+ * - Registra cada migración aplicada en schema_migrations con el checksum del archivo
+ * - Ejecuta cada migración dentro de su propia transacción
+ * - Usa un advisory lock para que dos instancias no migren a la vez
+ */
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Clave arbitraria (constante) para pg_advisory_lock
+const MIGRATION_LOCK_KEY = 727274;
+
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.sql$/;
+const DOWN_FILE_PATTERN = /^(\d+)_([\w-]+)\.down\.sql$/;
+
+export class MigrationError extends Error {
+  constructor(message, migration) {
+    super(message);
+    this.name = 'MigrationError';
+    this.migration = migration;
+  }
+}
+
+function checksum(sql) {
+  return crypto.createHash('sha256').update(sql).digest('hex');
+}
+
+/**
+ * Lee las migraciones disponibles en disco, ordenadas por versión
+ * @returns {Array} [{ version, name, file, sql, checksum, downFile }]
+ */
+export function loadMigrations(dir = MIGRATIONS_DIR) {
+  const files = fs.readdirSync(dir);
+  const downFiles = new Map(
+    files
+      .map(file => file.match(DOWN_FILE_PATTERN))
+      .filter(Boolean)
+      .map(match => [match[1], match[0]])
+  );
+
+  const migrations = files
+    .filter(file => !DOWN_FILE_PATTERN.test(file))
+    .map(file => file.match(MIGRATION_FILE_PATTERN))
+    .filter(Boolean)
+    .map(([file, version, name]) => {
+      const sql = fs.readFileSync(path.join(dir, file), 'utf8');
+      return {
+        version,
+        name,
+        file,
+        sql,
+        checksum: checksum(sql),
+        downFile: downFiles.get(version) || null
+      };
+    })
+    .sort((a, b) => parseInt(a.version) - parseInt(b.version));
+
+  // Dos archivos con la misma versión harían el orden ambiguo
+  for (let i = 1; i < migrations.length; i++) {
+    if (parseInt(migrations[i].version) === parseInt(migrations[i - 1].version)) {
+      throw new MigrationError(
+        `Duplicate migration version ${migrations[i].version}: ${migrations[i - 1].file}, ${migrations[i].file}`,
+        migrations[i].file
+      );
+    }
+  }
+
+  return migrations;
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(20) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      checksum CHAR(64) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+async function getAppliedMigrations(client) {
+  const result = await client.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+  return new Map(result.rows.map(row => [row.version, row]));
+}
+
+/**
+ * Ejecuta una función con una conexión dedicada y el lock de migraciones tomado
+ */
+async function withMigrationLock(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    try {
+      await ensureMigrationsTable(client);
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function runInTransaction(client, migration, sql, afterSql) {
+  try {
+    await client.query('BEGIN');
+    await client.query(sql);
+    await afterSql();
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw new MigrationError(`Migration ${migration} failed: ${error.message}`, migration);
+  }
+}
+
+/**
+ * Verifica que las migraciones ya aplicadas no hayan sido modificadas
+ */
+function verifyChecksums(migrations, applied) {
+  for (const migration of migrations) {
+    const record = applied.get(migration.version);
+    if (record && record.checksum !== migration.checksum) {
+      throw new MigrationError(
+        `Migration ${migration.file} was modified after being applied (checksum mismatch)`,
+        migration.file
+      );
+    }
+  }
+}
+
+/**
+ * Aplica todas las migraciones pendientes en orden
+ * @returns {Promise<Array>} Archivos de las migraciones aplicadas
+ */
+export async function migrateUp({ dir = MIGRATIONS_DIR } = {}) {
+  const migrations = loadMigrations(dir);
+
+  return withMigrationLock(async (client) => {
+    const applied = await getAppliedMigrations(client);
+    verifyChecksums(migrations, applied);
+
+    const pending = migrations.filter(m => !applied.has(m.version));
+    for (const migration of pending) {
+      await runInTransaction(client, migration.file, migration.sql, () =>
+        client.query(
+          'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+          [migration.version, migration.name, migration.checksum]
+        )
+      );
+      console.log(`[Migrations] Applied ${migration.file}`);
+    }
+
+    if (pending.length === 0) {
+      console.log('[Migrations] Database is up to date');
+    }
+    return pending.map(m => m.file);
+  });
+}
+
+/**
+ * Revierte las últimas migraciones aplicadas usando sus archivos .down.sql
+ * @param {number} steps - Cantidad de migraciones a revertir (default: 1)
+ * @returns {Promise<Array>} Archivos de las migraciones revertidas
+ */
+export async function migrateDown({ steps = 1, dir = MIGRATIONS_DIR } = {}) {
+  const migrations = loadMigrations(dir);
+  const byVersion = new Map(migrations.map(m => [m.version, m]));
+
+  return withMigrationLock(async (client) => {
+    const applied = await getAppliedMigrations(client);
+    const toRevert = [...applied.keys()]
+      .sort((a, b) => parseInt(b) - parseInt(a))
+      .slice(0, steps);
+
+    const reverted = [];
+    for (const version of toRevert) {
+      const migration = byVersion.get(version);
+      if (!migration) {
+        throw new MigrationError(`Applied migration ${version} not found in ${dir}`, version);
+      }
+      if (!migration.downFile) {
+        throw new MigrationError(`Migration ${migration.file} has no down migration`, migration.file);
+      }
+
+      const downSql = fs.readFileSync(path.join(dir, migration.downFile), 'utf8');
+      await runInTransaction(client, migration.downFile, downSql, () =>
+        client.query('DELETE FROM schema_migrations WHERE version = $1', [version])
+      );
+      console.log(`[Migrations] Reverted ${migration.file}`);
+      reverted.push(migration.file);
+    }
+
+    if (reverted.length === 0) {
+      console.log('[Migrations] Nothing to revert');
+    }
+    return reverted;
+  });
+}
+
+/**
+ * Estado de cada migración (aplicada o pendiente)
+ * @returns {Promise<Array>} [{ file, applied, appliedAt, modified }]
+ */
+export async function migrationStatus({ dir = MIGRATIONS_DIR } = {}) {
+  const migrations = loadMigrations(dir);
+
+  return withMigrationLock(async (client) => {
+    const applied = await getAppliedMigrations(client);
+    return migrations.map(migration => {
+      const record = applied.get(migration.version);
+      return {
+        file: migration.file,
+        applied: Boolean(record),
+        appliedAt: record?.applied_at || null,
+        modified: Boolean(record) && record.checksum !== migration.checksum
+      };
+    });
+  });
+}
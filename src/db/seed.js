@@ -0,0 +1,28 @@
+import dotenv from 'dotenv';
+import pool from '../config/database.js';
+import { runSeeds } from './seeds/index.js';
+
+dotenv.config();
+
+/**
+ * Comando explícito para cargar datos de demo: `npm run seed`
+ * Requiere que las migraciones ya se hayan ejecutado (`npm run migrate`)
+ */
+async function main() {
+  // En producción no se permite la contraseña de demo por defecto
+  if (process.env.NODE_ENV === 'production' && !process.env.SEED_DEMO_PASSWORD) {
+    console.error('[Seeds] SEED_DEMO_PASSWORD must be set to seed demo data with NODE_ENV=production');
+    process.exit(1);
+  }
+
+  try {
+    await runSeeds();
+  } catch (error) {
+    console.error('[Seeds] Error seeding demo data:', error);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+main();
@@ -0,0 +1,36 @@
+import { seedUsers, DEMO_USER_EMAIL } from './users.js';
+import { seedProducts } from './products.js';
+import { seedLists } from './lists.js';
+
+/**
+ * Seeds de datos de demo
+ *
+ * Crean usuarios de demo (contraseñas hasheadas con bcrypt), productos
+ * y una lista de ejemplo. Son idempotentes: se pueden ejecutar varias veces.
+ *
+ * Se ejecutan automáticamente al iniciar solo con NODE_ENV=development,
+ * o manualmente con `npm run seed`.
+ */
+
+export { DEMO_USER_EMAIL };
+
+/**
+ * Indica si los seeds y las utilidades de demo están habilitados
+ */
+export function isDevSeedMode() {
+  return process.env.NODE_ENV === 'development';
+}
+
+/**
+ * Ejecuta todos los seeds en orden
+ */
+export async function runSeeds() {
+  console.log('[Seeds] Seeding demo data...');
+
+  const users = await seedUsers();
+  const products = await seedProducts();
+  const demoUser = users.find(u => u.email === DEMO_USER_EMAIL);
+  await seedLists(demoUser, products);
+
+  console.log('[Seeds] Demo data seeded successfully');
+}
@@ -0,0 +1,30 @@
+import pool from '../../config/database.js';
+import { ShoppingList } from '../../models/ShoppingList.js';
+
+const SAMPLE_LIST_NAME = 'Compra semanal (demo)';
+
+/**
+ * Crea una lista de ejemplo para el usuario de demo (solo si no existe)
+ * @param {Object} user - Usuario de demo
+ * @param {Array} products - Productos de ejemplo
+ * @returns {Promise<Object>} Lista de ejemplo
+ */
+export async function seedLists(user, products) {
+  const existing = await pool.query(
+    'SELECT * FROM shopping_lists WHERE user_id = $1 AND name = $2',
+    [user.id, SAMPLE_LIST_NAME]
+  );
+  if (existing.rows[0]) {
+    console.log('[Seeds] Sample list already exists, skipping');
+    return existing.rows[0];
+  }
+
+  const list = await ShoppingList.create(user.id, SAMPLE_LIST_NAME, 20);
+  const [milk, , , bread, apples] = products;
+  await ShoppingList.addItem(list.id, milk.id, 2);
+  await ShoppingList.addItem(list.id, bread.id, 1);
+  await ShoppingList.addItem(list.id, apples.id, 1);
+
+  console.log(`[Seeds] Sample list "${SAMPLE_LIST_NAME}" created for ${user.email}`);
+  return list;
+}
@@ -0,0 +1,118 @@
+import { Product } from '../../models/Product.js';
+
+/**
+ * Productos de ejemplo (precios base en EUR)
+ * Usan barcodes con prefijo "seed-" para no chocar con productos de Open Food Facts
+ */
+const SAMPLE_PRODUCTS = [
+  {
+    barcode: 'seed-0001',
+    name: 'Leche entera',
+    brand: 'Granja Demo',
+    category: 'Lácteos, Leches, Leche entera',
+    price: 1.15,
+    nutrition_grade: 'B',
+    eco_score: 'C',
+    carbon_footprint: 1.3,
+    openfoodfacts_data: {
+      categories_tags: ['en:dairies', 'en:milks', 'en:whole-milks'],
+      labels_tags: [],
+      allergens: 'en:milk',
+      origins: 'España'
+    }
+  },
+  {
+    barcode: 'seed-0002',
+    name: 'Leche entera ecológica',
+    brand: 'Bio Demo',
+    category: 'Lácteos, Leches, Leche entera',
+    price: 1.45,
+    nutrition_grade: 'B',
+    eco_score: 'A',
+    carbon_footprint: 0.9,
+    openfoodfacts_data: {
+      categories_tags: ['en:dairies', 'en:milks', 'en:whole-milks'],
+      labels_tags: ['en:organic'],
+      allergens: 'en:milk',
+      origins: 'España'
+    }
+  },
+  {
+    barcode: 'seed-0003',
+    name: 'Bebida de avena',
+    brand: 'Avena Demo',
+    category: 'Bebidas vegetales, Bebidas de avena',
+    price: 1.60,
+    nutrition_grade: 'A',
+    eco_score: 'A',
+    carbon_footprint: 0.3,
+    openfoodfacts_data: {
+      categories_tags: ['en:plant-based-beverages', 'en:oat-based-drinks'],
+      labels_tags: ['en:vegan'],
+      allergens: 'en:gluten',
+      origins: 'España'
+    }
+  },
+  {
+    barcode: 'seed-0004',
+    name: 'Pan de molde integral',
+    brand: 'Panadería Demo',
+    category: 'Panes, Pan de molde',
+    price: 1.90,
+    nutrition_grade: 'A',
+    eco_score: 'B',
+    carbon_footprint: 0.8,
+    openfoodfacts_data: {
+      categories_tags: ['en:breads', 'en:sliced-breads'],
+      labels_tags: [],
+      allergens: 'en:gluten',
+      origins: 'España'
+    }
+  },
+  {
+    barcode: 'seed-0005',
+    name: 'Manzanas golden',
+    brand: 'Huerta Demo',
+    category: 'Frutas, Manzanas',
+    price: 2.30,
+    nutrition_grade: 'A',
+    eco_score: 'A',
+    carbon_footprint: 0.4,
+    openfoodfacts_data: {
+      categories_tags: ['en:fruits', 'en:apples'],
+      labels_tags: [],
+      allergens: '',
+      origins: 'España'
+    }
+  },
+  {
+    barcode: 'seed-0006',
+    name: 'Pechuga de pollo',
+    brand: 'Granja Demo',
+    category: 'Carnes, Pollo',
+    price: 5.80,
+    nutrition_grade: 'A',
+    eco_score: 'C',
+    carbon_footprint: 3.2,
+    openfoodfacts_data: {
+      categories_tags: ['en:meats', 'en:poultries', 'en:chicken-breasts'],
+      labels_tags: [],
+      allergens: '',
+      origins: 'España'
+    }
+  }
+];
+
+/**
+ * Crea (o actualiza) los productos de ejemplo
+ * @returns {Promise<Array>} Productos guardados
+ */
+export async function seedProducts() {
+  const products = [];
+  for (const sample of SAMPLE_PRODUCTS) {
+    products.push(await Product.create({ ...sample }));
+  }
+
+  console.log(`[Seeds] ${products.length} sample products ready`);
+  return products;
+}
@@ -0,0 +1,50 @@
+import bcrypt from 'bcryptjs';
+import pool from '../../config/database.js';
+
+/**
+ * Usuarios de demo (solo desarrollo)
+ * Las contraseñas se toman de SEED_DEMO_PASSWORD (usuario de demo) y
+ * SEED_ADMIN_PASSWORD (administrador) y siempre se guardan hasheadas
+ */
+export const DEMO_USER_EMAIL = 'test@example.com';
+export const DEMO_ADMIN_EMAIL = 'admin@example.com';
+
+const DEMO_USERS = [
+  { email: DEMO_USER_EMAIL, name: 'Usuario TEST', role: 'user', passwordEnv: 'SEED_DEMO_PASSWORD', defaultPassword: 'demo1234' },
+  // El administrador no tiene contraseña por defecto: sin SEED_ADMIN_PASSWORD no se crea
+  { email: DEMO_ADMIN_EMAIL, name: 'Administrador', role: 'admin', passwordEnv: 'SEED_ADMIN_PASSWORD', defaultPassword: null }
+];
+
+/**
+ * Crea los usuarios de demo que no existen
+ * Los que ya existen no se modifican (ni nombre ni rol); solo se les pone la
+ * contraseña si no tienen (p. ej. el usuario TEST de versiones anteriores,
+ * cuya contraseña en texto plano borró la migración 008)
+ * @returns {Promise<Array>} Usuarios de demo (creados o existentes)
+ */
+export async function seedUsers() {
+  const users = [];
+  for (const demoUser of DEMO_USERS) {
+    const password = process.env[demoUser.passwordEnv] || demoUser.defaultPassword;
+    if (!password) {
+      console.log(`[Seeds] ${demoUser.passwordEnv} not set, skipping ${demoUser.email}`);
+      continue;
+    }
+
+    const inserted = await pool.query(
+      `INSERT INTO users (email, name, password, role, preferences)
+       VALUES ($1, $2, $3, $4, '{}'::jsonb)
+       ON CONFLICT (email) DO UPDATE
+         SET password = EXCLUDED.password, updated_at = CURRENT_TIMESTAMP
+         WHERE users.password IS NULL
+       RETURNING *`,
+      [demoUser.email, demoUser.name, await bcrypt.hash(password, 10), demoUser.role]
+    );
+    const user = inserted.rows[0]
+      || (await pool.query('SELECT * FROM users WHERE email = $1', [demoUser.email])).rows[0];
+    users.push(user);
+  }
+
+  console.log(`[Seeds] ${users.length} demo users ready (${users.map(u => u.email).join(', ')})`);
+  return users;
+}
@@ -0,0 +1,27 @@
+import pool from '../config/database.js';
+
+/**
+ * Ejecuta una función dentro de una transacción
+ *
+ * Toma un cliente del pool, hace BEGIN, ejecuta fn(client) y hace COMMIT;
+ * si fn lanza un error hace ROLLBACK y lo relanza. Los métodos de los
+ * modelos aceptan este cliente como último parámetro opcional (por defecto
+ * usan el pool) para participar en la misma transacción.
+ *
+ * @param {Function} fn - async (client) => resultado
+ * @returns {Promise<*>} Resultado de fn
+ */
+export async function withTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
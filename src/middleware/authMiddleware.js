@@ -0,0 +1,39 @@
+import { verifyAccessToken } from '../services/tokenService.js';
+import { UnauthorizedError } from '../utils/errors.js';
+
+/**
+ * Middleware de autenticación
+ * Exige un header "Authorization: Bearer <accessToken>" válido y deja
+ * el usuario autenticado en req.user = { id, email, role }
+ */
+export function requireAuth(req, res, next) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return next(new UnauthorizedError('Not authenticated'));
+  }
+
+  try {
+    const payload = verifyAccessToken(token);
+    req.user = {
+      id: parseInt(payload.sub),
+      email: payload.email,
+      role: payload.role || 'user'
+    };
+    next();
+  } catch (error) {
+    next(new UnauthorizedError(error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token'));
+  }
+}
+
+/**
+ * Autenticación opcional para rutas públicas
+ * Sin header Authorization sigue como anónimo; con header se comporta como requireAuth
+ */
+export function optionalAuth(req, res, next) {
+  if (!req.headers.authorization) {
+    return next();
+  }
+  requireAuth(req, res, next);
+}
@@ -0,0 +1,89 @@
+import { ShoppingList } from '../models/ShoppingList.js';
+import { Purchase } from '../models/Purchase.js';
+import { ForbiddenError, NotFoundError } from '../utils/errors.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+
+/**
+ * Middlewares de autorización
+ * Se usan después de requireAuth: comprueban que el usuario autenticado
+ * sea dueño del recurso (o tenga el rol requerido). Siempre responden
+ * con ForbiddenError (403) cuando el acceso no está permitido.
+ */
+
+/**
+ * Exige que el usuario autenticado tenga el rol indicado
+ * @param {string} role - Rol requerido (ej: 'admin')
+ */
+export function requireRole(role) {
+  return (req, res, next) => {
+    if (req.user?.role !== role) {
+      return next(new ForbiddenError());
+    }
+    next();
+  };
+}
+
+/**
+ * Exige que el parámetro de ruta con el id de usuario sea el usuario autenticado
+ * @param {string} param - Nombre del parámetro de ruta (default: 'userId')
+ */
+export function requireSelf(param = 'userId') {
+  return (req, res, next) => {
+    if (parseInt(req.params[param]) !== req.user?.id) {
+      return next(new ForbiddenError());
+    }
+    next();
+  };
+}
+
+/**
+ * Crea un middleware que carga un recurso y verifica que pertenezca al usuario
+ * El recurso cargado queda disponible en req[attachAs] para el controlador
+ * @param {Object} config
+ * @param {Function} config.load - Función async (id) => registro con user_id
+ * @param {string} config.param - Parámetro de ruta con el id del recurso
+ * @param {string} config.attachAs - Propiedad de req donde guardar el recurso
+ * @param {string} config.notFoundMessage - Mensaje de error 404
+ */
+export function requireOwnership({ load, param, attachAs, notFoundMessage }) {
+  return asyncHandler(async (req, res, next) => {
+    const record = await load(req.params[param]);
+
+    if (!record) {
+      throw new NotFoundError(notFoundMessage);
+    }
+
+    if (record.user_id !== req.user?.id) {
+      throw new ForbiddenError();
+    }
+
+    req[attachAs] = record;
+    next();
+  });
+}
+
+/**
+ * Verifica que la lista de compras pertenezca al usuario (deja la lista en req.list)
+ * @param {string} param - Parámetro de ruta con el id de la lista (default: 'id')
+ */
+export function requireListOwner(param = 'id') {
+  return requireOwnership({
+    load: (id) => ShoppingList.findById(id),
+    param,
+    attachAs: 'list',
+    notFoundMessage: 'List not found'
+  });
+}
+
+/**
+ * Verifica que la compra pertenezca al usuario (deja la compra en req.purchase)
+ * @param {string} param - Parámetro de ruta con el id de la compra (default: 'id')
+ */
+export function requirePurchaseOwner(param = 'id') {
+  return requireOwnership({
+    load: (id) => Purchase.findById(id),
+    param,
+    attachAs: 'purchase',
+    notFoundMessage: 'Purchase not found'
+  });
+}
@@ -0,0 +1,59 @@
+import { AppError, NotFoundError } from '../utils/errors.js';
+
+/**
+ * Middleware para rutas inexistentes (debe registrarse después de todas las rutas)
+ */
+export function notFoundHandler(req, res, next) {
+  next(new NotFoundError(`Route ${req.method} ${req.originalUrl} not found`));
+}
+
+/**
+ * Convierte errores no tipados conocidos (JSON inválido, payload enorme) en AppError
+ */
+function toAppError(error) {
+  if (error instanceof AppError) {
+    return error;
+  }
+  if (error.type === 'entity.parse.failed') {
+    return new AppError('Invalid JSON body', { status: 400, code: 'INVALID_JSON' });
+  }
+  if (error.type === 'entity.too.large') {
+    return new AppError('Request body too large', { status: 413, code: 'PAYLOAD_TOO_LARGE' });
+  }
+  return null;
+}
+
+/**
+ * Middleware central de errores
+ * Responde siempre con el mismo formato: { error, code, requestId, details? }
+ * Los errores inesperados se registran y se devuelven como 500 sin detalles internos
+ */
+export function errorHandler(error, req, res, next) {
+  // Si la respuesta ya empezó a enviarse, delegar en el handler por defecto de Express
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  const appError = toAppError(error);
+
+  if (!appError) {
+    console.error(`[${req.id}] Unhandled error in ${req.method} ${req.originalUrl}:`, error);
+  } else if (appError.status >= 500) {
+    console.error(`[${req.id}] ${appError.code} in ${req.method} ${req.originalUrl}: ${appError.message}`);
+  }
+
+  const status = appError?.status || 500;
+  const body = {
+    error: appError?.message || 'Internal server error',
+    code: appError?.code || 'INTERNAL_ERROR',
+    requestId: req.id
+  };
+  if (appError?.details) {
+    body.details = appError.details;
+  }
+  if (appError?.retryAfterSeconds) {
+    res.set('Retry-After', String(appError.retryAfterSeconds));
+  }
+
+  res.status(status).json(body);
+}
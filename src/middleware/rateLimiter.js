@@ -0,0 +1,38 @@
+import { checkAuthThrottle } from '../services/authThrottleService.js';
+import { TooManyRequestsError } from '../utils/errors.js';
+
+// Longitud máxima de un email (RFC 5321)
+const MAX_EMAIL_LENGTH = 254;
+
+/**
+ * Middleware de rate limiting para endpoints de autenticación
+ * Responde 429 con header Retry-After cuando se superan los límites
+ * @param {string} action - 'login' | 'register'
+ */
+export function authRateLimit(action) {
+  return async (req, res, next) => {
+    try {
+      // Se ejecuta antes de validar el body: solo usar el email si parece uno
+      const email = req.body?.email;
+      const { allowed, retryAfterSeconds, reason } = await checkAuthThrottle(action, {
+        ip: req.ip,
+        email: typeof email === 'string' && email.length <= MAX_EMAIL_LENGTH ? email : null
+      });
+
+      if (!allowed) {
+        return next(new TooManyRequestsError(
+          reason === 'account_locked'
+            ? 'Account temporarily locked due to too many failed attempts'
+            : 'Too many attempts, please try again later',
+          retryAfterSeconds
+        ));
+      }
+
+      next();
+    } catch (error) {
+      // Si el store falla no bloquear el acceso, solo registrar el error
+      console.error('Error in authRateLimit:', error);
+      next();
+    }
+  };
+}
@@ -0,0 +1,14 @@
+import crypto from 'crypto';
+
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,128}$/;
+
+/**
+ * Asigna un id a cada request (respeta X-Request-Id si el cliente lo envía)
+ * y lo devuelve en el header X-Request-Id de la respuesta
+ */
+export function requestId(req, res, next) {
+  const incoming = req.headers['x-request-id'];
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+}
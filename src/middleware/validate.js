@@ -0,0 +1,30 @@
+import { checkSchema, validationResult } from 'express-validator';
+import { ValidationError } from '../utils/errors.js';
+
+/**
+ * Middleware de validación de requests
+ * Recibe un schema de express-validator y responde 400 (ValidationError)
+ * con la lista de errores por campo si la validación falla:
+ * { error: 'Validation failed', code: 'VALIDATION_ERROR', details: [{ field, location, message }] }
+ * @param {Object} schema - Schema declarativo (checkSchema)
+ * @returns {Array} Middlewares para usar en la ruta
+ */
+export function validate(schema) {
+  return [
+    checkSchema(schema),
+    (req, res, next) => {
+      const result = validationResult(req);
+      if (result.isEmpty()) {
+        return next();
+      }
+
+      const details = result.array().map(error => ({
+        field: error.path,
+        location: error.location,
+        message: error.msg
+      }));
+
+      next(new ValidationError(details));
+    }
+  ];
+}
@@ -1,4 +1,5 @@
 import pool from '../config/database.js';
+import { MAX_ITEM_QUANTITY } from '../validators/common.js';
 
 export class Cart {
   static async getItems(userId) {
@@ -15,15 +16,16 @@ export class Cart {
 
   static async addItem(userId, productId, quantity = 1) {
     // Usar UPSERT (Insert or Update) para manejar concurrencia y evitar errores de llave duplicada
+    // Si ya estaba se suma la cantidad, sin pasar de MAX_ITEM_QUANTITY
     const result = await pool.query(
       `INSERT INTO user_cart_items (user_id, product_id, quantity) 
        VALUES ($1, $2, $3)
        ON CONFLICT (user_id, product_id) 
        DO UPDATE SET 
-         quantity = user_cart_items.quantity + EXCLUDED.quantity,
+         quantity = LEAST(user_cart_items.quantity + EXCLUDED.quantity, $4),
          updated_at = CURRENT_TIMESTAMP
        RETURNING *`,
-      [userId, productId, quantity]
+      [userId, productId, quantity, MAX_ITEM_QUANTITY]
     );
     return result.rows[0];
   }
@@ -55,12 +57,27 @@ export class Cart {
     );
   }
 
-  static async clear(userId) {
-    await pool.query(
+  /**
+   * @param {Object} client - Cliente de transacción opcional (ver db/transaction.js)
+   */
+  static async clear(userId, client = pool) {
+    await client.query(
       'DELETE FROM user_cart_items WHERE user_id = $1',
       [userId]
     );
   }
+
+  /**
+   * Quita varios productos del carrito
+   * @returns {Promise<number>} Cantidad de items eliminados
+   */
+  static async removeItems(userId, productIds, client = pool) {
+    const result = await client.query(
+      'DELETE FROM user_cart_items WHERE user_id = $1 AND product_id = ANY($2::int[])',
+      [userId, productIds]
+    );
+    return result.rowCount;
+  }
 }
 
 
@@ -0,0 +1,169 @@
+import pool from '../config/database.js';
+
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+export const ACTIVE_JOB_STATUSES = [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING];
+
+export class OptimizationJob {
+  /**
+   * Encola un trabajo de optimización
+   * @param {Object} job - { listId, userId, options } options: { options, country } de la petición
+   * @returns {Promise<Object|null>} null si la lista ya tiene un trabajo pendiente o en ejecución
+   */
+  static async create({ listId, userId, options }) {
+    try {
+      const result = await pool.query(
+        'INSERT INTO optimization_jobs (list_id, user_id, options) VALUES ($1, $2, $3) RETURNING *',
+        [listId, userId, options || {}]
+      );
+      return result.rows[0];
+    } catch (error) {
+      // idx_optimization_jobs_active_list: un solo trabajo activo por lista
+      if (error.code === '23505') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    const result = await pool.query('SELECT * FROM optimization_jobs WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  static async findActiveByListId(listId) {
+    const result = await pool.query(
+      'SELECT * FROM optimization_jobs WHERE list_id = $1 AND status = ANY($2) ORDER BY id DESC LIMIT 1',
+      [listId, ACTIVE_JOB_STATUSES]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Toma el trabajo pendiente más antiguo y lo marca en ejecución
+   * (SKIP LOCKED: varias instancias pueden buscar trabajos a la vez sin tomar el mismo)
+   * Cada toma incrementa attempt: es la concesión que exigen updateProgress, complete y fail
+   * @returns {Promise<Object|null>} null si no hay trabajos pendientes
+   */
+  static async claimNext() {
+    const result = await pool.query(
+      `UPDATE optimization_jobs
+       SET status = $1, attempt = attempt + 1, started_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = (
+         SELECT id FROM optimization_jobs
+         WHERE status = $2
+         ORDER BY created_at, id
+         LIMIT 1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [JOB_STATUS.RUNNING, JOB_STATUS.QUEUED]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Guarda el avance de un trabajo en ejecución
+   * @param {Object} claim - { id, attempt } trabajo devuelto por claimNext
+   * @returns {Promise<boolean>} false si la toma ya no es válida (cancelado o reencolado)
+   */
+  static async updateProgress({ id, attempt }, completed, total) {
+    const result = await pool.query(
+      `UPDATE optimization_jobs
+       SET progress_completed = $3, progress_total = $4, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND attempt = $2 AND status = $5`,
+      [id, attempt, completed, total, JOB_STATUS.RUNNING]
+    );
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Renueva la toma sin cambiar el avance (el worker sigue vivo aunque un item tarde)
+   * @returns {Promise<boolean>} false si la toma ya no es válida
+   */
+  static async heartbeat({ id, attempt }) {
+    const result = await pool.query(
+      `UPDATE optimization_jobs SET updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND attempt = $2 AND status = $3`,
+      [id, attempt, JOB_STATUS.RUNNING]
+    );
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Marca el trabajo como terminado con la respuesta de la optimización
+   * @param {Object} claim - { id, attempt } trabajo devuelto por claimNext
+   * @returns {Promise<Object|null>} null si la toma ya no es válida (cancelado o reencolado)
+   */
+  static async complete({ id, attempt }, runId, result) {
+    const updated = await pool.query(
+      `UPDATE optimization_jobs
+       SET status = $3, run_id = $4, result = $5, progress_completed = progress_total,
+           updated_at = CURRENT_TIMESTAMP, finished_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND attempt = $2 AND status = $6
+       RETURNING *`,
+      [id, attempt, JOB_STATUS.COMPLETED, runId, JSON.stringify(result), JOB_STATUS.RUNNING]
+    );
+    return updated.rows[0] || null;
+  }
+
+  /**
+   * @param {Object} claim - { id, attempt } trabajo devuelto por claimNext
+   * @returns {Promise<Object|null>} null si la toma ya no es válida
+   */
+  static async fail({ id, attempt }, message) {
+    const result = await pool.query(
+      `UPDATE optimization_jobs
+       SET status = $3, error = $4, updated_at = CURRENT_TIMESTAMP, finished_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND attempt = $2 AND status = $5
+       RETURNING *`,
+      [id, attempt, JOB_STATUS.FAILED, message, JOB_STATUS.RUNNING]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Cancela un trabajo pendiente o en ejecución
+   * (el worker lo detiene al guardar el siguiente avance)
+   * @returns {Promise<Object|null>} null si el trabajo ya había terminado
+   */
+  static async cancel(id) {
+    const result = await pool.query(
+      `UPDATE optimization_jobs
+       SET status = $2, updated_at = CURRENT_TIMESTAMP, finished_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = ANY($3)
+       RETURNING *`,
+      [id, JOB_STATUS.CANCELLED, ACTIVE_JOB_STATUSES]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Vuelve a encolar los trabajos en ejecución sin avances ni heartbeat desde hace minutes
+   * (la instancia que los ejecutaba se detuvo a mitad; si no, sus escrituras se descartan por attempt)
+   * Los que ya llevan maxAttempts intentos se marcan como fallidos en lugar de reencolarse
+   * @returns {Promise<Object>} { requeued, failed } número de trabajos de cada tipo
+   */
+  static async requeueStale(minutes, maxAttempts) {
+    const result = await pool.query(
+      `UPDATE optimization_jobs
+       SET status = CASE WHEN attempt >= $4 THEN $5 ELSE $1 END,
+           error = CASE WHEN attempt >= $4 THEN $6 ELSE error END,
+           finished_at = CASE WHEN attempt >= $4 THEN CURRENT_TIMESTAMP ELSE finished_at END,
+           progress_completed = CASE WHEN attempt >= $4 THEN progress_completed ELSE 0 END,
+           started_at = CASE WHEN attempt >= $4 THEN started_at ELSE NULL END,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE status = $2 AND updated_at < CURRENT_TIMESTAMP - make_interval(mins => $3)
+       RETURNING status`,
+      [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING, minutes, maxAttempts, JOB_STATUS.FAILED, 'Job exceeded the maximum number of attempts']
+    );
+    const failed = result.rows.filter(row => row.status === JOB_STATUS.FAILED).length;
+    return { requeued: result.rowCount - failed, failed };
+  }
+}
@@ -0,0 +1,110 @@
+import pool from '../config/database.js';
+import { withTransaction } from '../db/transaction.js';
+
+export const SWAP_STATUS = {
+  SUGGESTED: 'suggested',
+  ACCEPTED: 'accepted',
+  REJECTED: 'rejected'
+};
+
+// Columnas de la ejecución sin el snapshot (puede ser grande; ver getSnapshot)
+const RUN_COLUMNS = `id, list_id, user_id, options, original_items, optimized_items, totals, created_at,
+  replay_of_run_id, snapshot IS NOT NULL AS replayable`;
+
+export class OptimizationRun {
+  /**
+   * Guarda una ejecución de optimización junto con sus swaps sugeridos
+   * @param {Object} run - { listId, userId, options, originalItems, optimizedItems, totals, swaps, snapshot, replayOfRunId }
+   */
+  static async create({ listId, userId, options, originalItems, optimizedItems, totals, swaps, snapshot = null, replayOfRunId = null }) {
+    return withTransaction(async (client) => {
+      const runResult = await client.query(
+        `INSERT INTO optimization_runs
+           (list_id, user_id, options, original_items, optimized_items, totals, snapshot, replay_of_run_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING ${RUN_COLUMNS}`,
+        [
+          listId, userId, options || {}, JSON.stringify(originalItems), JSON.stringify(optimizedItems), totals,
+          snapshot ? JSON.stringify(snapshot) : null, replayOfRunId
+        ]
+      );
+      const run = runResult.rows[0];
+
+      const savedSwaps = [];
+      for (const swap of swaps) {
+        const swapResult = await client.query(
+          `INSERT INTO optimization_swaps
+             (run_id, list_item_id, original_product_id, substitute_product_id, quantity, score_improvement, cost_difference)
+           VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+          [run.id, swap.listItemId, swap.originalProductId, swap.substituteProductId, swap.quantity, swap.scoreImprovement, swap.costDifference]
+        );
+        savedSwaps.push(swapResult.rows[0]);
+      }
+
+      return { ...run, swaps: savedSwaps };
+    });
+  }
+
+  static async findById(id) {
+    const result = await pool.query(`SELECT ${RUN_COLUMNS} FROM optimization_runs WHERE id = $1`, [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Entradas guardadas de la ejecución o null si no tiene (ejecuciones anteriores a los snapshots)
+   */
+  static async getSnapshot(id) {
+    const result = await pool.query('SELECT snapshot FROM optimization_runs WHERE id = $1', [id]);
+    return result.rows[0]?.snapshot || null;
+  }
+
+  /**
+   * Ejecuciones de una lista (sin los items, solo totales y conteo de swaps)
+   */
+  static async findByListId(listId) {
+    const result = await pool.query(
+      `SELECT r.id, r.list_id, r.options, r.totals, r.created_at, r.replay_of_run_id,
+              r.snapshot IS NOT NULL AS replayable,
+              COUNT(s.id)::int AS swap_count,
+              COUNT(s.id) FILTER (WHERE s.status = 'suggested')::int AS pending_swaps,
+              COUNT(s.id) FILTER (WHERE s.status = 'accepted')::int AS accepted_swaps
+       FROM optimization_runs r
+       LEFT JOIN optimization_swaps s ON s.run_id = r.id
+       WHERE r.list_id = $1
+       GROUP BY r.id
+       ORDER BY r.created_at DESC, r.id DESC`,
+      [listId]
+    );
+    return result.rows;
+  }
+
+  static async getSwaps(runId) {
+    const result = await pool.query(
+      'SELECT * FROM optimization_swaps WHERE run_id = $1 ORDER BY id',
+      [runId]
+    );
+    return result.rows;
+  }
+
+  static async findSwap(runId, swapId) {
+    const result = await pool.query(
+      'SELECT * FROM optimization_swaps WHERE id = $1 AND run_id = $2',
+      [swapId, runId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Rechaza un swap pendiente
+   * @returns {Promise<Object|null>} null si el swap ya estaba decidido
+   */
+  static async rejectSwap(runId, swapId) {
+    const result = await pool.query(
+      `UPDATE optimization_swaps
+       SET status = $1, decided_at = CURRENT_TIMESTAMP
+       WHERE id = $2 AND run_id = $3 AND status = $4
+       RETURNING *`,
+      [SWAP_STATUS.REJECTED, swapId, runId, SWAP_STATUS.SUGGESTED]
+    );
+    return result.rows[0] || null;
+  }
+}
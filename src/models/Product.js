@@ -1,5 +1,7 @@
 import pool from '../config/database.js';
+import { withTransaction } from '../db/transaction.js';
 import { normalizePriceToEUR } from '../utils/priceNormalization.js';
+import { getProductCategoryTags } from '../utils/categoryTags.js';
 
 export class Product {
   static async findByBarcode(barcode) {
@@ -18,6 +20,18 @@ export class Product {
     return result.rows[0] || null;
   }
 
+  /**
+   * Productos con los ids indicados (los que no existen no aparecen)
+   * @param {Array<number>} ids
+   */
+  static async findByIds(ids) {
+    const result = await pool.query(
+      'SELECT * FROM products_cache WHERE id = ANY($1::int[])',
+      [ids]
+    );
+    return result.rows;
+  }
+
   static sanitizeProductData(data) {
     const truncate = (value, maxLength) => {
       if (!value || typeof value !== 'string') return value || null;
@@ -73,27 +87,120 @@ export class Product {
       ? openfoodfacts_data
       : JSON.stringify(openfoodfacts_data || {});
 
+    // El producto y su índice de categorías se guardan juntos
+    return withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO products_cache 
+         (barcode, name, brand, category, price, image_url, nutrition_grade, eco_score, carbon_footprint, country, openfoodfacts_data)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+         ON CONFLICT (barcode) 
+         DO UPDATE SET 
+           name = EXCLUDED.name,
+           brand = EXCLUDED.brand,
+           category = EXCLUDED.category,
+           price = EXCLUDED.price,
+           image_url = EXCLUDED.image_url,
+           nutrition_grade = EXCLUDED.nutrition_grade,
+           eco_score = EXCLUDED.eco_score,
+           carbon_footprint = EXCLUDED.carbon_footprint,
+           country = COALESCE(EXCLUDED.country, products_cache.country),
+           openfoodfacts_data = EXCLUDED.openfoodfacts_data,
+           updated_at = CURRENT_TIMESTAMP
+         RETURNING *`,
+        [barcode, name, brand, category, price, image_url, nutrition_grade, eco_score, carbon_footprint, country || null, openFoodFactsPayload]
+      );
+      const product = result.rows[0];
+      await Product.indexCategoryTags(product, client);
+      return product;
+    });
+  }
+
+  /**
+   * Actualiza los tags de categoría del producto en product_categories
+   * (ver utils/categoryTags.js) y lo marca como indexado (categories_indexed_at)
+   * @param {Object} product - Fila de products_cache
+   * @param {Object} client - Cliente de la transacción (default: pool)
+   */
+  static async indexCategoryTags(product, client = pool) {
+    const tags = getProductCategoryTags(product);
+    await client.query(
+      'UPDATE products_cache SET categories_indexed_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [product.id]
+    );
+    await client.query(
+      'DELETE FROM product_categories WHERE product_id = $1 AND NOT (tag = ANY($2::text[]))',
+      [product.id, tags.map(({ tag }) => tag)]
+    );
+    if (tags.length === 0) {
+      return;
+    }
+    await client.query(
+      `INSERT INTO product_categories (product_id, tag, depth)
+       SELECT $1, tag, depth FROM unnest($2::text[], $3::smallint[]) AS t(tag, depth)
+       ON CONFLICT (product_id, tag) DO UPDATE SET depth = EXCLUDED.depth`,
+      [product.id, tags.map(({ tag }) => tag), tags.map(({ depth }) => depth)]
+    );
+  }
+
+  /**
+   * Indexa las categorías de un lote de productos pendientes (categories_indexed_at NULL)
+   * SKIP LOCKED: varias instancias pueden indexar a la vez sin tomar los mismos productos
+   * @param {number} limit - Productos por lote
+   * @returns {Promise<number>} Productos indexados (0 si no quedan pendientes)
+   */
+  static async indexPendingCategoryTags(limit = 200) {
+    return withTransaction(async (client) => {
+      const result = await client.query(
+        `SELECT * FROM products_cache
+         WHERE categories_indexed_at IS NULL
+         ORDER BY id
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED`,
+        [limit]
+      );
+      for (const product of result.rows) {
+        await Product.indexCategoryTags(product, client);
+      }
+      return result.rows.length;
+    });
+  }
+
+  /**
+   * Productos que comparten tags de categoría con un producto, los más cercanos primero:
+   * por la profundidad de la categoría compartida en la jerarquía del producto original
+   * (la más específica que comparten) y luego por número de categorías compartidas
+   * @param {Array<Object>} tags - [{ tag, depth }] del producto original (utils/categoryTags.js)
+   * @param {Object} options - { excludeId, limit, country } country: a igual cercanía, primero los de ese país
+   * @returns {Promise<Array>} Productos con matched_tags ([{ tag, depth }] compartidos, depth en el
+   *   producto original, el más específico primero), shared_tags, shared_depth y category_tags
+   *   (todos los tags del candidato, del más general al más específico)
+   */
+  static async findByCategoryTags(tags, { excludeId = null, limit = 50, country = null } = {}) {
+    if (!tags || tags.length === 0) {
+      return [];
+    }
     const result = await pool.query(
-      `INSERT INTO products_cache 
-       (barcode, name, brand, category, price, image_url, nutrition_grade, eco_score, carbon_footprint, country, openfoodfacts_data)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
-       ON CONFLICT (barcode) 
-       DO UPDATE SET 
-         name = EXCLUDED.name,
-         brand = EXCLUDED.brand,
-         category = EXCLUDED.category,
-         price = EXCLUDED.price,
-         image_url = EXCLUDED.image_url,
-         nutrition_grade = EXCLUDED.nutrition_grade,
-         eco_score = EXCLUDED.eco_score,
-         carbon_footprint = EXCLUDED.carbon_footprint,
-         country = COALESCE(EXCLUDED.country, products_cache.country),
-         openfoodfacts_data = EXCLUDED.openfoodfacts_data,
-         updated_at = CURRENT_TIMESTAMP
-       RETURNING *`,
-      [barcode, name, brand, category, price, image_url, nutrition_grade, eco_score, carbon_footprint, country || null, openFoodFactsPayload]
+      `SELECT r.*,
+              ARRAY(SELECT c.tag FROM product_categories c WHERE c.product_id = r.id ORDER BY c.depth, c.tag) AS category_tags
+       FROM (
+         SELECT p.*, m.matched_tags, m.shared_tags, m.shared_depth,
+                CASE WHEN $5::text IS NOT NULL AND $5 <> 'all' AND p.country = $5 THEN 0 ELSE 1 END AS country_rank
+         FROM (
+           SELECT pc.product_id, COUNT(*)::int AS shared_tags, MAX(o.depth)::int AS shared_depth,
+                  json_agg(json_build_object('tag', pc.tag, 'depth', o.depth) ORDER BY o.depth DESC, pc.tag) AS matched_tags
+           FROM product_categories pc
+           JOIN unnest($1::text[], $2::int[]) AS o(tag, depth) ON o.tag = pc.tag
+           WHERE $3::int IS NULL OR pc.product_id <> $3
+           GROUP BY pc.product_id
+         ) m
+         JOIN products_cache p ON p.id = m.product_id
+         ORDER BY m.shared_depth DESC, m.shared_tags DESC, country_rank, p.id
+         LIMIT $4
+       ) r
+       ORDER BY r.shared_depth DESC, r.shared_tags DESC, r.country_rank, r.id`,
+      [tags.map(({ tag }) => tag), tags.map(({ depth }) => depth), excludeId, limit, country]
     );
-    return result.rows[0];
+    return result.rows.map(({ country_rank, ...product }) => product);
   }
 
   static async search(query, limit = 20, offset = 0, country = null) {
@@ -1,29 +1,164 @@
 import pool from '../config/database.js';
 
+/**
+ * create y addItem aceptan un cliente de transacción opcional (ver db/transaction.js)
+ */
 export class Purchase {
-  static async create(userId, listId, totalPrice, totalCarbon, totalSavings) {
-    const result = await pool.query(
-      `INSERT INTO purchases (user_id, list_id, total_price, total_carbon, total_savings)
-       VALUES ($1, $2, $3, $4, $5) RETURNING *`,
-      [userId, listId, totalPrice, totalCarbon, totalSavings]
+  /**
+   * Crea la compra. Con idempotencyKey, si el usuario ya tiene una compra con
+   * esa clave no se inserta nada y retorna null
+   * idempotencyTarget: destino de la request ('list:<id>', 'cart', 'purchase')
+   */
+  static async create(userId, listId, totalPrice, totalCarbon, totalSavings, idempotencyKey = null, idempotencyTarget = null, client = pool) {
+    const result = await client.query(
+      `INSERT INTO purchases (user_id, list_id, total_price, total_carbon, total_savings, idempotency_key, idempotency_target)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (user_id, idempotency_key) WHERE idempotency_key IS NOT NULL DO NOTHING
+       RETURNING *`,
+      [userId, listId, totalPrice, totalCarbon, totalSavings, idempotencyKey, idempotencyKey ? idempotencyTarget : null]
     );
-    return result.rows[0];
+    return result.rows[0] || null;
   }
 
-  static async addItem(purchaseId, productId, quantity, price) {
-    const result = await pool.query(
+  static async addItem(purchaseId, productId, quantity, price, client = pool) {
+    const result = await client.query(
       'INSERT INTO purchase_items (purchase_id, product_id, quantity, price) VALUES ($1, $2, $3, $4) RETURNING *',
       [purchaseId, productId, quantity, price]
     );
     return result.rows[0];
   }
 
-  static async findByUserId(userId) {
+  static async findById(id) {
+    const result = await pool.query(
+      'SELECT * FROM purchases WHERE id = $1',
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  static async findByIdempotencyKey(userId, idempotencyKey) {
+    const result = await pool.query(
+      'SELECT * FROM purchases WHERE user_id = $1 AND idempotency_key = $2',
+      [userId, idempotencyKey]
+    );
+    return result.rows[0] || null;
+  }
+
+  static async getItems(purchaseId) {
     const result = await pool.query(
-      'SELECT * FROM purchases WHERE user_id = $1 ORDER BY purchase_date DESC',
-      [userId]
+      'SELECT * FROM purchase_items WHERE purchase_id = $1 ORDER BY id',
+      [purchaseId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Compras del usuario, más recientes primero
+   * @param {Object} filters - { limit, offset, from, to } (from/to: Date, inclusivos)
+   */
+  static async findByUserId(userId, { limit = null, offset = 0, from = null, to = null } = {}) {
+    const result = await pool.query(
+      `SELECT p.*, COUNT(pi.id)::int AS item_count
+       FROM purchases p
+       LEFT JOIN purchase_items pi ON pi.purchase_id = p.id
+       WHERE p.user_id = $1
+         AND ($2::timestamp IS NULL OR p.purchase_date >= $2)
+         AND ($3::timestamp IS NULL OR p.purchase_date <= $3)
+       GROUP BY p.id
+       ORDER BY p.purchase_date DESC, p.id DESC
+       LIMIT $4 OFFSET $5`,
+      [userId, from, to, limit, offset]
+    );
+    return result.rows;
+  }
+
+  static async countByUserId(userId, { from = null, to = null } = {}) {
+    const result = await pool.query(
+      `SELECT COUNT(*)::int AS count
+       FROM purchases
+       WHERE user_id = $1
+         AND ($2::timestamp IS NULL OR purchase_date >= $2)
+         AND ($3::timestamp IS NULL OR purchase_date <= $3)`,
+      [userId, from, to]
+    );
+    return result.rows[0].count;
+  }
+
+  /**
+   * kg CO2e registrados en las compras del usuario entre dos fechas
+   * @param {Object} range - { from, to } (Date; from inclusivo, to exclusivo)
+   */
+  static async sumCarbonByUserId(userId, { from, to }) {
+    const result = await pool.query(
+      `SELECT COALESCE(SUM(total_carbon), 0) AS total_carbon, COUNT(*)::int AS purchase_count
+       FROM purchases
+       WHERE user_id = $1 AND purchase_date >= $2 AND purchase_date < $3`,
+      [userId, from, to]
+    );
+    return {
+      totalCarbon: parseFloat(result.rows[0].total_carbon),
+      purchaseCount: result.rows[0].purchase_count
+    };
+  }
+
+  /**
+   * Items de una o varias compras con los datos del producto
+   * @param {Array<number>} purchaseIds
+   */
+  static async getItemsWithProducts(purchaseIds) {
+    const result = await pool.query(
+      `SELECT pi.*, p.barcode, p.name, p.brand, p.image_url, p.eco_score,
+              p.nutrition_grade, p.carbon_footprint
+       FROM purchase_items pi
+       JOIN products_cache p ON p.id = pi.product_id
+       WHERE pi.purchase_id = ANY($1::int[])
+       ORDER BY pi.purchase_id, pi.id`,
+      [purchaseIds]
     );
     return result.rows;
   }
-}
 
+  /**
+   * Items de las compras del usuario con el producto completo y la fecha de compra
+   * (quantity y paid_price son los de la compra; el resto, del producto)
+   * @param {Object} filters - { from, to } (Date, inclusivos)
+   */
+  static async getItemsByUserId(userId, { from = null, to = null } = {}) {
+    const result = await pool.query(
+      `SELECT p.*, pi.purchase_id, pi.product_id, pi.quantity, pi.price AS paid_price, pu.purchase_date
+       FROM purchase_items pi
+       JOIN purchases pu ON pu.id = pi.purchase_id
+       JOIN products_cache p ON p.id = pi.product_id
+       WHERE pu.user_id = $1
+         AND ($2::timestamp IS NULL OR pu.purchase_date >= $2)
+         AND ($3::timestamp IS NULL OR pu.purchase_date <= $3)
+       ORDER BY pu.purchase_date, pi.id`,
+      [userId, from, to]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Swaps aceptados en la lista de cada compra cuyo sustituto se compró
+   * (con el carbono del producto original y del sustituto)
+   * @param {Array<number>} purchaseIds
+   */
+  static async getAcceptedSwaps(purchaseIds) {
+    const result = await pool.query(
+      `SELECT DISTINCT ON (pu.id, s.substitute_product_id)
+              pu.id AS purchase_id, s.id, s.original_product_id, s.substitute_product_id, pi.quantity,
+              orig.name AS original_name, orig.carbon_footprint AS original_carbon_footprint,
+              sub.name AS substitute_name, sub.carbon_footprint AS substitute_carbon_footprint
+       FROM purchases pu
+       JOIN optimization_runs r ON r.list_id = pu.list_id
+       JOIN optimization_swaps s ON s.run_id = r.id AND s.status = 'accepted'
+       JOIN purchase_items pi ON pi.purchase_id = pu.id AND pi.product_id = s.substitute_product_id
+       JOIN products_cache orig ON orig.id = s.original_product_id
+       JOIN products_cache sub ON sub.id = s.substitute_product_id
+       WHERE pu.id = ANY($1::int[])
+       ORDER BY pu.id, s.substitute_product_id, s.decided_at DESC`,
+      [purchaseIds]
+    );
+    return result.rows;
+  }
+}
@@ -0,0 +1,66 @@
+import pool from '../config/database.js';
+
+export class RefreshToken {
+  static async create(userId, tokenId, expiresAt) {
+    const result = await pool.query(
+      'INSERT INTO refresh_tokens (user_id, token_id, expires_at) VALUES ($1, $2, $3) RETURNING *',
+      [userId, tokenId, expiresAt]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Obtiene un refresh token vigente (no revocado ni expirado)
+   */
+  static async findActive(tokenId) {
+    const result = await pool.query(
+      `SELECT * FROM refresh_tokens
+       WHERE token_id = $1
+         AND revoked_at IS NULL
+         AND expires_at > CURRENT_TIMESTAMP`,
+      [tokenId]
+    );
+    return result.rows[0] || null;
+  }
+
+  static async findByTokenId(tokenId) {
+    const result = await pool.query('SELECT * FROM refresh_tokens WHERE token_id = $1', [tokenId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Revoca un refresh token vigente del usuario en una sola sentencia
+   * @returns {Promise<Object|null>} El token revocado o null si ya estaba revocado, expirado o no existe
+   */
+  static async consume(tokenId, userId) {
+    const result = await pool.query(
+      `UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP
+       WHERE token_id = $1 AND user_id = $2
+         AND revoked_at IS NULL
+         AND expires_at > CURRENT_TIMESTAMP
+       RETURNING *`,
+      [tokenId, userId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Revoca un refresh token. Retorna false si ya estaba revocado o no existe
+   */
+  static async revoke(tokenId) {
+    const result = await pool.query(
+      `UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP
+       WHERE token_id = $1 AND revoked_at IS NULL
+       RETURNING id`,
+      [tokenId]
+    );
+    return result.rowCount > 0;
+  }
+
+  static async revokeAllForUser(userId) {
+    await pool.query(
+      'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL',
+      [userId]
+    );
+  }
+}
@@ -1,4 +1,5 @@
 import pool from '../config/database.js';
+import { MAX_ITEM_QUANTITY } from '../validators/common.js';
 
 export class ShoppingList {
   static async create(userId, name, budget) {
@@ -19,41 +20,116 @@ export class ShoppingList {
 
   static async findByUserId(userId) {
     const result = await pool.query(
-      'SELECT * FROM shopping_lists WHERE user_id = $1 ORDER BY created_at DESC',
+      `SELECT sl.*, COUNT(li.id)::int AS item_count
+       FROM shopping_lists sl
+       LEFT JOIN list_items li ON li.list_id = sl.id
+       WHERE sl.user_id = $1
+       GROUP BY sl.id
+       ORDER BY sl.created_at DESC`,
       [userId]
     );
     return result.rows;
   }
 
-  static async updateStatus(id, status) {
+  /**
+   * Actualiza nombre y/o presupuesto (los campos undefined no se modifican)
+   */
+  static async update(id, { name, budget }) {
     const result = await pool.query(
+      `UPDATE shopping_lists
+       SET name = COALESCE($1, name),
+           budget = COALESCE($2, budget),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3
+       RETURNING *`,
+      [name ?? null, budget ?? null, id]
+    );
+    return result.rows[0] || null;
+  }
+
+  static async delete(id) {
+    // list_items se elimina en cascada
+    await pool.query('DELETE FROM shopping_lists WHERE id = $1', [id]);
+  }
+
+  /**
+   * Lee la lista bloqueando la fila hasta el fin de la transacción del cliente
+   */
+  static async findByIdForUpdate(id, client) {
+    const result = await client.query(
+      'SELECT * FROM shopping_lists WHERE id = $1 FOR UPDATE',
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * @param {Object} client - Cliente de transacción opcional (ver db/transaction.js)
+   */
+  static async updateStatus(id, status, client = pool) {
+    const result = await client.query(
       'UPDATE shopping_lists SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
       [status, id]
     );
     return result.rows[0];
   }
 
-  static async addItem(listId, productId, quantity = 1) {
+  static async addItem(listId, productId, quantity = 1, mustHave = false) {
+    // UPSERT: si el producto ya está en la lista se suma la cantidad, sin pasar de MAX_ITEM_QUANTITY
+    // (y queda como imprescindible si cualquiera de los dos lo era)
     const result = await pool.query(
-      'INSERT INTO list_items (list_id, product_id, quantity) VALUES ($1, $2, $3) RETURNING *',
-      [listId, productId, quantity]
+      `INSERT INTO list_items (list_id, product_id, quantity, must_have)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (list_id, product_id)
+       DO UPDATE SET
+         quantity = LEAST(list_items.quantity + EXCLUDED.quantity, $5),
+         must_have = list_items.must_have OR EXCLUDED.must_have
+       RETURNING *`,
+      [listId, productId, quantity, mustHave, MAX_ITEM_QUANTITY]
     );
     return result.rows[0];
   }
 
+  /**
+   * Items de la lista con los datos del producto
+   * id es el id del producto (p.*); el id del item de la lista es item_id
+   */
   static async getItems(listId) {
     const result = await pool.query(
-      `SELECT li.*, p.* 
+      `SELECT li.*, p.*, li.id AS item_id
        FROM list_items li
        JOIN products_cache p ON li.product_id = p.id
-       WHERE li.list_id = $1`,
+       WHERE li.list_id = $1
+       ORDER BY li.created_at, li.id`,
       [listId]
     );
     return result.rows;
   }
 
-  static async deleteItem(itemId) {
-    await pool.query('DELETE FROM list_items WHERE id = $1', [itemId]);
+  /**
+   * Cambia la cantidad y/o la marca de imprescindible (los campos undefined no cambian)
+   * @param {Object} changes - { quantity, mustHave }
+   */
+  static async updateItem(listId, itemId, { quantity, mustHave }) {
+    const result = await pool.query(
+      `UPDATE list_items
+       SET quantity = COALESCE($1, quantity),
+           must_have = COALESCE($2, must_have)
+       WHERE id = $3 AND list_id = $4
+       RETURNING *`,
+      [quantity ?? null, mustHave ?? null, itemId, listId]
+    );
+    return result.rows[0] || null;
   }
-}
 
+  /**
+   * @returns {Promise<boolean>} false si el item no pertenece a la lista
+   */
+  static async deleteItem(listId, itemId) {
+    const result = await pool.query(
+      'DELETE FROM list_items WHERE id = $1 AND list_id = $2',
+      [itemId, listId]
+    );
+    return result.rowCount > 0;
+  }
+}
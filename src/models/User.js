@@ -115,5 +115,21 @@ export class User {
     );
     return result.rows[0] || null;
   }
-}
 
+  static async updatePassword(id, password) {
+    const result = await pool.query(
+      'UPDATE users SET password = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
+      [password, id]
+    );
+    return result.rows[0] || null;
+  }
+
+  static async markEmailVerified(id) {
+    const result = await pool.query(
+      `UPDATE users SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 RETURNING *`,
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+}
@@ -0,0 +1,39 @@
+import pool from '../config/database.js';
+
+export class UserToken {
+  static async create(userId, type, tokenHash, expiresAt) {
+    const result = await pool.query(
+      'INSERT INTO user_tokens (user_id, type, token_hash, expires_at) VALUES ($1, $2, $3, $4) RETURNING *',
+      [userId, type, tokenHash, expiresAt]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Marca un token como usado de forma atómica
+   * Retorna null si no existe, ya fue usado o expiró
+   */
+  static async consume(type, tokenHash) {
+    const result = await pool.query(
+      `UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP
+       WHERE type = $1
+         AND token_hash = $2
+         AND used_at IS NULL
+         AND expires_at > CURRENT_TIMESTAMP
+       RETURNING *`,
+      [type, tokenHash]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Invalida los tokens pendientes de un tipo para un usuario
+   */
+  static async invalidateForUser(userId, type) {
+    await pool.query(
+      `UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1 AND type = $2 AND used_at IS NULL`,
+      [userId, type]
+    );
+  }
+}
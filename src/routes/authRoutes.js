@@ -3,16 +3,44 @@ import {
   registerController,
   loginController,
   quickLoginTestController,
-  getCurrentUserController
+  refreshTokenController,
+  logoutController,
+  getCurrentUserController,
+  resendVerificationController,
+  verifyEmailController,
+  forgotPasswordController,
+  resetPasswordController
 } from '../controllers/authController.js';
+import { requireAuth } from '../middleware/authMiddleware.js';
+import { authRateLimit } from '../middleware/rateLimiter.js';
+import { validate } from '../middleware/validate.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import {
+  registerSchema,
+  loginSchema,
+  refreshTokenSchema,
+  verifyEmailSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema
+} from '../validators/authValidators.js';
 
 const router = express.Router();
 
-router.post('/register', registerController);
-router.post('/login', loginController);
-router.post('/quick-login-test', quickLoginTestController);
-router.get('/me', getCurrentUserController);
+// El rate limit va antes de la validación: los intentos mal formados también cuentan
+router.post('/register', authRateLimit('register'), validate(registerSchema), asyncHandler(registerController));
+router.post('/login', authRateLimit('login'), validate(loginSchema), asyncHandler(loginController));
+router.post('/quick-login-test', asyncHandler(quickLoginTestController));
+router.post('/refresh', validate(refreshTokenSchema), asyncHandler(refreshTokenController));
+router.post('/logout', validate(refreshTokenSchema), asyncHandler(logoutController));
+router.get('/me', requireAuth, asyncHandler(getCurrentUserController));
 
-export default router;
+// Verificación de email
+router.post('/verify-email', validate(verifyEmailSchema), asyncHandler(verifyEmailController));
+router.post('/verify-email/resend', requireAuth, asyncHandler(resendVerificationController));
 
+// Recuperación de contraseña
+router.post('/password/forgot', validate(forgotPasswordSchema), asyncHandler(forgotPasswordController));
+router.post('/password/reset', validate(resetPasswordSchema), asyncHandler(resetPasswordController));
+
+export default router;
 
@@ -4,16 +4,31 @@ import {
   addToCartController,
   updateCartItemController,
   removeFromCartController,
-  clearCartController
+  clearCartController,
+  checkoutCartController
 } from '../controllers/cartController.js';
+import { requireAuth } from '../middleware/authMiddleware.js';
+import { validate } from '../middleware/validate.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import {
+  getCartSchema,
+  addToCartSchema,
+  updateCartItemSchema,
+  removeFromCartSchema,
+  checkoutCartSchema
+} from '../validators/cartValidators.js';
 
 const router = express.Router();
 
-router.get('/', getCartController);
-router.post('/add', addToCartController);
-router.put('/update', updateCartItemController);
-router.delete('/remove', removeFromCartController);
-router.delete('/clear', clearCartController);
+// Todas las rutas requieren usuario autenticado
+router.use(requireAuth);
+
+router.get('/', validate(getCartSchema), asyncHandler(getCartController));
+router.post('/add', validate(addToCartSchema), asyncHandler(addToCartController));
+router.put('/update', validate(updateCartItemSchema), asyncHandler(updateCartItemController));
+router.delete('/remove', validate(removeFromCartSchema), asyncHandler(removeFromCartController));
+router.delete('/clear', asyncHandler(clearCartController));
+router.post('/checkout', validate(checkoutCartSchema), asyncHandler(checkoutCartController));
 
 export default router;
 
@@ -1,19 +1,80 @@
 import express from 'express';
 import {
   createListController,
+  getListsController,
   getListByIdController,
+  updateListController,
+  deleteListController,
   addItemToListController,
+  updateListItemController,
+  removeListItemController,
   optimizeListController,
+  createOptimizationJobController,
+  getOptimizationJobController,
+  cancelOptimizationJobController,
+  getOptimizationRunsController,
+  getOptimizationRunController,
+  replayOptimizationRunController,
+  diffOptimizationRunsController,
+  acceptAllSwapsController,
+  acceptSwapController,
+  rejectSwapController,
+  checkoutListController,
   getSubstitutesController
 } from '../controllers/listController.js';
+import { requireAuth } from '../middleware/authMiddleware.js';
+import { requireListOwner } from '../middleware/authorization.js';
+import { validate } from '../middleware/validate.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import {
+  createListSchema,
+  listListsSchema,
+  getListSchema,
+  updateListSchema,
+  deleteListSchema,
+  addItemToListSchema,
+  updateListItemSchema,
+  removeListItemSchema,
+  optimizeListSchema,
+  optimizationJobSchema,
+  optimizationRunsSchema,
+  optimizationRunSchema,
+  optimizationRunDiffSchema,
+  optimizationSwapSchema,
+  checkoutListSchema,
+  getSubstitutesSchema
+} from '../validators/listValidators.js';
 
 const router = express.Router();
 
-router.post('/', createListController);
-router.get('/:id', getListByIdController);
-router.post('/:listId/items', addItemToListController);
-router.post('/:id/optimize', optimizeListController);
-router.get('/substitutes/:productId', getSubstitutesController);
+// Todas las rutas requieren usuario autenticado
+router.use(requireAuth);
 
-export default router;
+router.get('/', validate(listListsSchema), asyncHandler(getListsController));
+router.post('/', validate(createListSchema), asyncHandler(createListController));
+router.get('/substitutes/:productId', validate(getSubstitutesSchema), asyncHandler(getSubstitutesController));
+router.get('/:id', validate(getListSchema), requireListOwner('id'), asyncHandler(getListByIdController));
+router.patch('/:id', validate(updateListSchema), requireListOwner('id'), asyncHandler(updateListController));
+router.delete('/:id', validate(deleteListSchema), requireListOwner('id'), asyncHandler(deleteListController));
+router.post('/:listId/items', validate(addItemToListSchema), requireListOwner('listId'), asyncHandler(addItemToListController));
+router.patch('/:listId/items/:itemId', validate(updateListItemSchema), requireListOwner('listId'), asyncHandler(updateListItemController));
+router.delete('/:listId/items/:itemId', validate(removeListItemSchema), requireListOwner('listId'), asyncHandler(removeListItemController));
+router.post('/:id/optimize', validate(optimizeListSchema), requireListOwner('id'), asyncHandler(optimizeListController));
+
+// Optimización en segundo plano para listas grandes (mismas opciones que /optimize)
+router.post('/:id/optimize/jobs', validate(optimizeListSchema), requireListOwner('id'), asyncHandler(createOptimizationJobController));
+router.get('/:id/optimize/jobs/:jobId', validate(optimizationJobSchema), requireListOwner('id'), asyncHandler(getOptimizationJobController));
+router.post('/:id/optimize/jobs/:jobId/cancel', validate(optimizationJobSchema), requireListOwner('id'), asyncHandler(cancelOptimizationJobController));
 
+// Ejecuciones de optimización guardadas y decisión sobre los swaps sugeridos
+router.get('/:id/optimizations', validate(optimizationRunsSchema), requireListOwner('id'), asyncHandler(getOptimizationRunsController));
+router.get('/:id/optimizations/:runId', validate(optimizationRunSchema), requireListOwner('id'), asyncHandler(getOptimizationRunController));
+router.post('/:id/optimizations/:runId/replay', validate(optimizationRunSchema), requireListOwner('id'), asyncHandler(replayOptimizationRunController));
+router.get('/:id/optimizations/:runId/diff/:otherRunId', validate(optimizationRunDiffSchema), requireListOwner('id'), asyncHandler(diffOptimizationRunsController));
+router.post('/:id/optimizations/:runId/accept', validate(optimizationRunSchema), requireListOwner('id'), asyncHandler(acceptAllSwapsController));
+router.post('/:id/optimizations/:runId/swaps/:swapId/accept', validate(optimizationSwapSchema), requireListOwner('id'), asyncHandler(acceptSwapController));
+router.post('/:id/optimizations/:runId/swaps/:swapId/reject', validate(optimizationSwapSchema), requireListOwner('id'), asyncHandler(rejectSwapController));
+
+router.post('/:id/checkout', validate(checkoutListSchema), requireListOwner('id'), asyncHandler(checkoutListController));
+
+export default router;
@@ -7,26 +7,39 @@ import {
   fixMultiplePricesController,
   getInvalidPricesController
 } from '../controllers/priceValidationController.js';
+import { requireAuth } from '../middleware/authMiddleware.js';
+import { requireRole } from '../middleware/authorization.js';
+import { validate } from '../middleware/validate.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import {
+  invalidPricesSchema,
+  validatePricesSchema,
+  fixProductPriceSchema,
+  fixMultiplePricesSchema
+} from '../validators/priceValidationValidators.js';
 
 const router = express.Router();
 
+// Rutas de mantenimiento: solo administradores
+router.use(requireAuth, requireRole('admin'));
+
 // Estadísticas de precios
-router.get('/statistics', getPriceStatisticsController);
+router.get('/statistics', asyncHandler(getPriceStatisticsController));
 
 // Obtener productos con precios inválidos
-router.get('/invalid', getInvalidPricesController);
+router.get('/invalid', validate(invalidPricesSchema), asyncHandler(getInvalidPricesController));
 
 // Revisar precios (solo lectura, no corrige)
-router.get('/validate', validatePricesController);
+router.get('/validate', validate(validatePricesSchema), asyncHandler(validatePricesController));
 
 // Corregir precios automáticamente
-router.post('/fix', fixPricesController);
+router.post('/fix', validate(validatePricesSchema), asyncHandler(fixPricesController));
 
 // Corregir precio de un producto específico
-router.post('/fix/:id', fixProductPriceController);
+router.post('/fix/:id', validate(fixProductPriceSchema), asyncHandler(fixProductPriceController));
 
 // Corregir múltiples productos
-router.post('/fix-multiple', fixMultiplePricesController);
+router.post('/fix-multiple', validate(fixMultiplePricesSchema), asyncHandler(fixMultiplePricesController));
 
 export default router;
 
@@ -5,13 +5,25 @@ import {
   getProductByIdController,
   ensureProductExistsController
 } from '../controllers/productController.js';
+import { optionalAuth } from '../middleware/authMiddleware.js';
+import { validate } from '../middleware/validate.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import {
+  getProductByBarcodeSchema,
+  searchProductsSchema,
+  ensureProductExistsSchema,
+  getProductByIdSchema
+} from '../validators/productValidators.js';
 
 const router = express.Router();
 
-router.get('/barcode/:barcode', getProductByBarcodeController);
-router.get('/search', searchProductsController);
-router.post('/cache', ensureProductExistsController); // Asegurar que producto exista en BD
-router.get('/:id', getProductByIdController);
+// Rutas públicas; con sesión los scores usan las preferencias del usuario
+router.use(optionalAuth);
+
+router.get('/barcode/:barcode', validate(getProductByBarcodeSchema), asyncHandler(getProductByBarcodeController));
+router.get('/search', validate(searchProductsSchema), asyncHandler(searchProductsController));
+router.post('/cache', validate(ensureProductExistsSchema), asyncHandler(ensureProductExistsController)); // Asegurar que producto exista en BD
+router.get('/:id', validate(getProductByIdSchema), asyncHandler(getProductByIdController));
 
 export default router;
 
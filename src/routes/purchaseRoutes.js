@@ -1,13 +1,22 @@
 import express from 'express';
 import {
   createPurchaseController,
-  getPurchaseHistoryController
+  getPurchaseHistoryController,
+  getPurchaseController
 } from '../controllers/purchaseController.js';
+import { requireAuth } from '../middleware/authMiddleware.js';
+import { requireSelf, requirePurchaseOwner } from '../middleware/authorization.js';
+import { validate } from '../middleware/validate.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { createPurchaseSchema, purchaseHistorySchema, getPurchaseSchema } from '../validators/purchaseValidators.js';
 
 const router = express.Router();
 
-router.post('/', createPurchaseController);
-router.get('/user/:userId', getPurchaseHistoryController);
+// Todas las rutas requieren usuario autenticado
+router.use(requireAuth);
 
-export default router;
+router.post('/', validate(createPurchaseSchema), asyncHandler(createPurchaseController));
+router.get('/user/:userId', validate(purchaseHistorySchema), requireSelf('userId'), asyncHandler(getPurchaseHistoryController));
+router.get('/:id', validate(getPurchaseSchema), requirePurchaseOwner('id'), asyncHandler(getPurchaseController));
 
+export default router;
@@ -1,9 +1,19 @@
 import express from 'express';
-import { updatePreferencesController, getUserController } from '../controllers/userController.js';
+import { updatePreferencesController, getUserController, getDashboardController, getCarbonBudgetController } from '../controllers/userController.js';
+import { requireAuth } from '../middleware/authMiddleware.js';
+import { requireSelf } from '../middleware/authorization.js';
+import { validate } from '../middleware/validate.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { getUserSchema, updatePreferencesSchema, dashboardSchema, carbonBudgetSchema } from '../validators/userValidators.js';
 
 const router = express.Router();
 
-router.get('/:userId', getUserController);
-router.put('/:userId/preferences', updatePreferencesController);
+// Todas las rutas requieren usuario autenticado y solo permiten acceder al propio perfil
+router.use(requireAuth);
+
+router.get('/:userId', validate(getUserSchema), requireSelf('userId'), asyncHandler(getUserController));
+router.put('/:userId/preferences', validate(updatePreferencesSchema), requireSelf('userId'), asyncHandler(updatePreferencesController));
+router.get('/:userId/dashboard', validate(dashboardSchema), requireSelf('userId'), asyncHandler(getDashboardController));
+router.get('/:userId/carbon-budget', validate(carbonBudgetSchema), requireSelf('userId'), asyncHandler(getCarbonBudgetController));
 
 export default router;
@@ -2,9 +2,6 @@ import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
 import dotenv from 'dotenv';
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
 import pool from './config/database.js';
 import productRoutes from './routes/productRoutes.js';
 import listRoutes from './routes/listRoutes.js';
@@ -14,16 +11,26 @@ import cartRoutes from './routes/cartRoutes.js';
 import priceValidationRoutes from './routes/priceValidationRoutes.js';
 import userRoutes from './routes/userRoutes.js';
 import { startScheduledTasks } from './services/scheduledTasks.js';
+import { startOptimizationWorker } from './services/optimizationJobService.js';
+import { indexPendingProducts } from './services/categoryIndexService.js';
+import { migrateUp } from './db/migrator.js';
+import { runSeeds, isDevSeedMode } from './db/seeds/index.js';
+import { requestId } from './middleware/requestId.js';
+import { notFoundHandler, errorHandler } from './middleware/errorHandler.js';
 
 dotenv.config();
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Detrás de un proxy (Render, Heroku, etc.) usar la IP real del cliente para el rate limiting
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : (/^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy));
+}
+
 // Middleware
+app.use(requestId);
 app.use(helmet());
 app.use(cors());
 app.use(express.json());
@@ -48,50 +55,37 @@ app.use('/api/cart', cartRoutes);
 app.use('/api/prices', priceValidationRoutes);
 app.use('/api/users', userRoutes);
 
-// Initialize database
-async function initializeDatabase() {
+// Manejo de errores (siempre después de las rutas)
+app.use(notFoundHandler);
+app.use(errorHandler);
+
+// Start server
+async function startServer() {
   try {
-    // Ejecutar migraciones en orden
-    const migrations = [
-      '001_create_tables.sql',
-      '002_add_user_cart.sql',
-      '003_add_auth_and_cart.sql',
-      '004_add_user_preferences.sql',
-      '005_add_country_to_products.sql'
-    ];
+    // Aplicar migraciones pendientes; si alguna falla el servidor no arranca
+    await migrateUp();
 
-    for (const migrationFile of migrations) {
+    // Datos de demo solo en desarrollo
+    if (isDevSeedMode()) {
       try {
-        const migrationPath = path.join(__dirname, 'db', 'migrations', migrationFile);
-        const migrationSQL = fs.readFileSync(migrationPath, 'utf8');
-        await pool.query(migrationSQL);
-        console.log(`Migration ${migrationFile} executed successfully`);
+        await runSeeds();
       } catch (error) {
-        if (error.code === '42P07' || error.message.includes('already exists')) {
-          console.log(`Migration ${migrationFile} already applied`);
-        } else {
-          console.error(`Error executing migration ${migrationFile}:`, error.message);
-        }
+        console.error('Error seeding demo data:', error.message);
       }
     }
 
-    console.log('Database initialized successfully');
-  } catch (error) {
-    console.error('Error initializing database:', error);
-  }
-}
-
-// Start server
-async function startServer() {
-  try {
-    await initializeDatabase();
-
     app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
       console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
 
       // Iniciar tareas programadas después de que el servidor esté listo
       startScheduledTasks();
+      startOptimizationWorker();
+
+      // Productos pendientes del índice de categorías (en segundo plano)
+      indexPendingProducts().catch(error => {
+        console.error('[Category Index] Error indexing product categories:', error);
+      });
     });
   } catch (error) {
     console.error('Failed to start server:', error);
@@ -0,0 +1,85 @@
+import { fitToBudget } from '../listOptimizationService.js';
+
+describe('fitToBudget', () => {
+  const createMockItem = (itemId, price, quantity, score, mustHave = false) => ({
+    item_id: itemId,
+    id: itemId * 10,
+    name: `Product ${itemId}`,
+    price,
+    quantity,
+    must_have: mustHave,
+    sustainability_score: { total: score }
+  });
+
+  const totalCost = (items) => items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+
+  test('should keep every item when the list fits the budget', () => {
+    const items = [createMockItem(1, 2, 2, 0.6), createMockItem(2, 3, 1, 0.4)];
+
+    const { items: kept, dropped } = fitToBudget(items, 10);
+
+    expect(dropped).toEqual([]);
+    expect(kept.map(item => item.quantity)).toEqual([2, 1]);
+  });
+
+  test('should keep must-have items whole and reduce the rest to fit', () => {
+    const items = [
+      createMockItem(1, 4, 1, 0.2, true),
+      createMockItem(2, 2, 5, 0.8),
+      createMockItem(3, 3, 2, 0.5)
+    ];
+
+    const { items: kept, dropped } = fitToBudget(items, 10);
+
+    expect(totalCost(kept)).toBeLessThanOrEqual(10);
+    expect(kept.find(item => item.item_id === 1).quantity).toBe(1);
+    expect(dropped.length).toBeGreaterThan(0);
+    expect(dropped.map(item => item.item_id)).not.toContain(1);
+    dropped.forEach(item => {
+      expect(item.reason).toBe('over_budget');
+      expect(item.quantity).toBeLessThan(item.original_quantity);
+    });
+  });
+
+  test('should reduce the quantity of an item instead of dropping it entirely', () => {
+    const items = [createMockItem(1, 2, 5, 0.8)];
+
+    const { items: kept, dropped } = fitToBudget(items, 6);
+
+    expect(kept).toHaveLength(1);
+    expect(kept[0].quantity).toBe(3);
+    expect(dropped).toEqual([{
+      item_id: 1,
+      product_id: 10,
+      replaces_product_id: null,
+      name: 'Product 1',
+      original_quantity: 5,
+      quantity: 3,
+      reason: 'over_budget'
+    }]);
+  });
+
+  test('should drop everything else when the must-have items exceed the budget', () => {
+    const items = [
+      createMockItem(1, 8, 1, 0.5, true),
+      createMockItem(2, 4, 1, 0.5, true),
+      createMockItem(3, 1, 2, 0.9)
+    ];
+
+    const { items: kept, dropped } = fitToBudget(items, 10);
+
+    expect(kept.map(item => item.item_id)).toEqual([1, 2]);
+    expect(dropped).toHaveLength(1);
+    expect(dropped[0]).toMatchObject({ item_id: 3, original_quantity: 2, quantity: 0, reason: 'must_have_items_exceed_budget' });
+  });
+
+  test('should always keep items without a price', () => {
+    const items = [createMockItem(1, 0, 3, 0.5), createMockItem(2, 5, 2, 0.5)];
+
+    const { items: kept, dropped } = fitToBudget(items, 5);
+
+    expect(kept.find(item => item.item_id === 1).quantity).toBe(3);
+    expect(dropped).toHaveLength(1);
+    expect(dropped[0]).toMatchObject({ item_id: 2, original_quantity: 2, quantity: 1 });
+  });
+});
@@ -0,0 +1,77 @@
+import { diffOptimizationRuns } from '../optimizationDiffService.js';
+
+describe('Optimization Diff Service', () => {
+  const createMockRun = (id, items, totals = { totalCost: 10, totalCarbon: 2, totalScore: 1.5 }) => ({
+    id,
+    optimized_items: items,
+    totals: { optimized: totals }
+  });
+
+  const createMockItem = (listItemId, productId, quantity = 1, replacesProductId = null) => ({
+    item_id: listItemId,
+    id: productId,
+    name: `Product ${productId}`,
+    quantity,
+    replaces_product_id: replacesProductId
+  });
+
+  test('should report identical runs', () => {
+    const items = [createMockItem(1, 10), createMockItem(2, 20, 2)];
+
+    const diff = diffOptimizationRuns(createMockRun(1, items), createMockRun(2, items));
+
+    expect(diff).toMatchObject({ baseRunId: 1, otherRunId: 2, identical: true, items: [] });
+    expect(diff.totals.totalCost).toEqual({ base: 10, other: 10, delta: 0 });
+  });
+
+  test('should classify changed items by list item', () => {
+    const base = createMockRun(1, [
+      createMockItem(1, 10),
+      createMockItem(2, 20),
+      createMockItem(3, 30, 2),
+      createMockItem(4, 40)
+    ]);
+    const other = createMockRun(2, [
+      createMockItem(5, 50),
+      createMockItem(3, 30, 1),
+      createMockItem(2, 21, 1, 20),
+      createMockItem(1, 10)
+    ]);
+
+    const diff = diffOptimizationRuns(base, other);
+
+    expect(diff.identical).toBe(false);
+    expect(diff.items.map(({ listItemId, change }) => [listItemId, change])).toEqual([
+      [2, 'product_changed'],
+      [3, 'quantity_changed'],
+      [4, 'removed'],
+      [5, 'added']
+    ]);
+    expect(diff.items[0].other).toEqual({ productId: 21, name: 'Product 21', quantity: 1, replacesProductId: 20 });
+    expect(diff.items[2].other).toBeNull();
+    expect(diff.items[3].base).toBeNull();
+  });
+
+  test('should compute total deltas rounded to 4 decimals', () => {
+    const items = [createMockItem(1, 10)];
+    const base = createMockRun(1, items, { totalCost: 10.1, totalCarbon: 2.2, totalScore: 0.3 });
+    const other = createMockRun(2, items, { totalCost: 10.3, totalCarbon: 2.2, totalScore: 0.1 });
+
+    const diff = diffOptimizationRuns(base, other);
+
+    expect(diff.totals.totalCost.delta).toBe(0.2);
+    expect(diff.totals.totalCarbon.delta).toBe(0);
+    expect(diff.totals.totalScore.delta).toBe(-0.2);
+    expect(diff.identical).toBe(false);
+  });
+
+  test('should leave the delta empty when a run has no totals', () => {
+    const items = [createMockItem(1, 10)];
+    const other = { id: 2, optimized_items: items };
+
+    const diff = diffOptimizationRuns(createMockRun(1, items), other);
+
+    expect(diff.totals.totalScore).toEqual({ base: 1.5, other: null, delta: null });
+    expect(diff.identical).toBe(false);
+  });
+});
@@ -0,0 +1,114 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import { User } from '../models/User.js';
+import { UserToken } from '../models/UserToken.js';
+import { RefreshToken } from '../models/RefreshToken.js';
+import { sendMail } from './mailService.js';
+
+/**
+ * Servicio de Recuperación de Cuenta
+ *
+ * Gestiona los tokens de un solo uso para verificar el email y resetear
+ * la contraseña. El token en claro solo viaja en el email; en la BD se
+ * guarda su hash SHA-256.
+ */
+
+export const TOKEN_TYPES = {
+  PASSWORD_RESET: 'password_reset',
+  EMAIL_VERIFICATION: 'email_verification'
+};
+
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60');
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS || '48');
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function buildLink(pathname, token) {
+  const baseUrl = (process.env.APP_BASE_URL || 'http://localhost:5173').replace(/\/$/, '');
+  return `${baseUrl}${pathname}?token=${token}`;
+}
+
+/**
+ * Genera un token nuevo para el usuario (invalida los anteriores del mismo tipo)
+ * @returns {Promise<string>} Token en claro
+ */
+async function createToken(userId, type, ttlMs) {
+  await UserToken.invalidateForUser(userId, type);
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await UserToken.create(userId, type, hashToken(token), new Date(Date.now() + ttlMs));
+  return token;
+}
+
+/**
+ * Envía el email de verificación de cuenta
+ */
+export async function sendVerificationEmail(user) {
+  const token = await createToken(
+    user.id,
+    TOKEN_TYPES.EMAIL_VERIFICATION,
+    EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000
+  );
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verifica tu cuenta',
+    text: `Hola ${user.name}, confirma tu email en el siguiente enlace (válido ${EMAIL_VERIFICATION_TTL_HOURS} horas): ${buildLink('/verify-email', token)}`
+  });
+}
+
+/**
+ * Confirma el email con un token de verificación
+ * @returns {Promise<Object|null>} Usuario verificado o null si el token no es válido
+ */
+export async function verifyEmail(token) {
+  const record = await UserToken.consume(TOKEN_TYPES.EMAIL_VERIFICATION, hashToken(token));
+  if (!record) {
+    return null;
+  }
+  return await User.markEmailVerified(record.user_id);
+}
+
+/**
+ * Inicia el reseteo de contraseña
+ * No revela si el email existe: si no existe, simplemente no envía nada
+ */
+export async function requestPasswordReset(email) {
+  const user = await User.findByEmail(email);
+  if (!user) {
+    return;
+  }
+
+  const token = await createToken(
+    user.id,
+    TOKEN_TYPES.PASSWORD_RESET,
+    PASSWORD_RESET_TTL_MINUTES * 60 * 1000
+  );
+
+  await sendMail({
+    to: user.email,
+    subject: 'Restablece tu contraseña',
+    text: `Hola ${user.name}, para elegir una nueva contraseña usa el siguiente enlace (válido ${PASSWORD_RESET_TTL_MINUTES} minutos): ${buildLink('/reset-password', token)}. Si no lo solicitaste, ignora este email.`
+  });
+}
+
+/**
+ * Cambia la contraseña usando un token de reseteo
+ * Cierra todas las sesiones abiertas del usuario (revoca sus refresh tokens)
+ * @returns {Promise<boolean>} false si el token no es válido
+ */
+export async function resetPassword(token, newPassword) {
+  const record = await UserToken.consume(TOKEN_TYPES.PASSWORD_RESET, hashToken(token));
+  if (!record) {
+    return false;
+  }
+
+  const hashedPassword = await bcrypt.hash(newPassword, 10);
+  await User.updatePassword(record.user_id, hashedPassword);
+  // Quien recibe el email demuestra que controla la cuenta
+  await User.markEmailVerified(record.user_id);
+  await RefreshToken.revokeAllForUser(record.user_id);
+  return true;
+}
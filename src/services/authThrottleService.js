@@ -0,0 +1,90 @@
+import { createRateLimitStore } from './rateLimitStore.js';
+
+/**
+ * Servicio de Throttling de Autenticación
+ *
+ * - Ventana deslizante de intentos por IP y por email para login y registro
+ * - Bloqueo temporal de la cuenta (email) tras N logins fallidos
+ *
+ * Configurable con variables de entorno AUTH_RATE_LIMIT_* y AUTH_LOCKOUT_*
+ */
+
+const config = {
+  windowMs: parseInt(process.env.AUTH_RATE_LIMIT_WINDOW_MS || String(15 * 60 * 1000)),
+  maxPerIp: parseInt(process.env.AUTH_RATE_LIMIT_MAX_PER_IP || '20'),
+  maxPerEmail: parseInt(process.env.AUTH_RATE_LIMIT_MAX_PER_EMAIL || '10'),
+  lockoutThreshold: parseInt(process.env.AUTH_LOCKOUT_THRESHOLD || '5'),
+  lockoutDurationMs: parseInt(process.env.AUTH_LOCKOUT_DURATION_MS || String(15 * 60 * 1000))
+};
+
+let store = createRateLimitStore();
+
+/**
+ * Reemplaza el store (útil para tests o para cambiar de store en caliente)
+ */
+export function setRateLimitStore(newStore) {
+  store = newStore;
+}
+
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
+const toRetryAfterSeconds = (untilMs) => Math.max(1, Math.ceil((untilMs - Date.now()) / 1000));
+
+/**
+ * Registra un intento de la acción y verifica los límites
+ * @param {string} action - 'login' | 'register'
+ * @param {Object} identity - { ip, email }
+ * @returns {Promise<Object>} { allowed, retryAfterSeconds, reason }
+ */
+export async function checkAuthThrottle(action, { ip, email }) {
+  // 1. Cuenta bloqueada por intentos fallidos (solo aplica al login)
+  if (action === 'login' && email) {
+    const lockedUntil = await store.getLock(`login:lock:${normalizeEmail(email)}`);
+    if (lockedUntil) {
+      return { allowed: false, retryAfterSeconds: toRetryAfterSeconds(lockedUntil), reason: 'account_locked' };
+    }
+  }
+
+  // 2. Ventana deslizante por IP y por email
+  const limits = [
+    { key: `${action}:ip:${ip}`, max: config.maxPerIp, enabled: Boolean(ip) },
+    { key: `${action}:email:${email ? normalizeEmail(email) : ''}`, max: config.maxPerEmail, enabled: Boolean(email) }
+  ];
+
+  for (const limit of limits.filter(l => l.enabled)) {
+    const { count, oldestHitAt } = await store.hit(limit.key, config.windowMs);
+    if (count > limit.max) {
+      return {
+        allowed: false,
+        retryAfterSeconds: toRetryAfterSeconds(oldestHitAt + config.windowMs),
+        reason: 'too_many_attempts'
+      };
+    }
+  }
+
+  return { allowed: true, retryAfterSeconds: 0, reason: null };
+}
+
+/**
+ * Registra un login fallido y bloquea la cuenta si se supera el umbral
+ * @returns {Promise<number|null>} Segundos de bloqueo si se bloqueó la cuenta
+ */
+export async function recordLoginFailure(email) {
+  const normalized = normalizeEmail(email);
+  const { count } = await store.hit(`login:failures:${normalized}`, config.lockoutDurationMs);
+
+  if (count >= config.lockoutThreshold) {
+    const lockedUntil = Date.now() + config.lockoutDurationMs;
+    await store.lock(`login:lock:${normalized}`, lockedUntil);
+    await store.reset(`login:failures:${normalized}`);
+    console.warn(`[AuthThrottle] Account ${normalized} locked after ${count} failed logins`);
+    return toRetryAfterSeconds(lockedUntil);
+  }
+  return null;
+}
+
+/**
+ * Limpia los logins fallidos tras un login correcto
+ */
+export async function clearLoginFailures(email) {
+  await store.reset(`login:failures:${normalizeEmail(email)}`);
+}
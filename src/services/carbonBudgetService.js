@@ -0,0 +1,93 @@
+import { User } from '../models/User.js';
+import { Purchase } from '../models/Purchase.js';
+import { NotFoundError } from '../utils/errors.js';
+import { normalizePreferences } from './userPreferencesService.js';
+
+/**
+ * Servicio de Presupuesto de Carbono
+ *
+ * El usuario define en sus preferencias un presupuesto mensual de carbono
+ * (preferences.carbonBudget, kg CO2e). El consumo del mes se calcula con
+ * purchases.total_carbon de las compras registradas en ese mes (UTC).
+ */
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Presupuesto mensual de carbono del usuario o null si no lo definió
+ */
+export function getCarbonBudgetPreference(user) {
+  return normalizePreferences(user?.preferences).carbonBudget;
+}
+
+/**
+ * Mes calendario (UTC) que contiene la fecha
+ * @param {string|Date} month - 'YYYY-MM' o una fecha dentro del mes
+ * @returns {Object} { start, end } (end es el inicio del mes siguiente)
+ */
+export function monthPeriod(month = new Date()) {
+  const date = typeof month === 'string' ? new Date(`${month}-01T00:00:00.000Z`) : month;
+  return {
+    start: new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1)),
+    end: new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1))
+  };
+}
+
+/**
+ * Estado del presupuesto de carbono del usuario en un mes
+ * @param {number} userId
+ * @param {Object} options - { month: 'YYYY-MM' (default: mes actual) }
+ * @returns {Promise<Object>} { budget, period, consumed, purchaseCount, remaining, percentageUsed, exceeded }
+ */
+export async function getCarbonBudgetStatus(userId, { month } = {}) {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  const budget = getCarbonBudgetPreference(user);
+  const period = monthPeriod(month);
+  const { totalCarbon, purchaseCount } = await Purchase.sumCarbonByUserId(userId, { from: period.start, to: period.end });
+
+  return {
+    budget,
+    period,
+    consumed: round2(totalCarbon),
+    purchaseCount,
+    remaining: budget === null ? null : round2(budget - totalCarbon),
+    percentageUsed: budget ? round2((totalCarbon / budget) * 100) : null,
+    exceeded: budget === null ? false : totalCarbon > budget
+  };
+}
+
+/**
+ * Cuánto del presupuesto restante consume una cantidad de carbono
+ * @param {Object} status - Resultado de getCarbonBudgetStatus
+ * @param {number} carbon - kg CO2e de la lista o compra
+ * @param {Object} options - { recorded: true si el carbono ya está incluido en status.consumed }
+ * @returns {Object} { carbon, shareOfBudget, shareOfRemaining, remainingAfter, exceedsBudget }
+ */
+export function describeCarbonUsage(status, carbon, { recorded = false } = {}) {
+  const kg = round2(parseFloat(carbon || 0));
+  if (status.budget === null) {
+    return { carbon: kg, shareOfBudget: null, shareOfRemaining: null, remainingAfter: null, exceedsBudget: false };
+  }
+
+  const remainingBefore = recorded ? status.remaining + kg : status.remaining;
+  const remainingAfter = round2(remainingBefore - kg);
+  return {
+    carbon: kg,
+    shareOfBudget: status.budget > 0 ? round2((kg / status.budget) * 100) : null,
+    shareOfRemaining: remainingBefore > 0 ? round2((kg / remainingBefore) * 100) : null,
+    remainingAfter,
+    exceedsBudget: remainingAfter < 0
+  };
+}
+
+/**
+ * Estado del presupuesto del mes tras registrar una compra, con lo que consumió la compra
+ */
+export async function getPurchaseCarbonBudget(userId, purchase) {
+  const status = await getCarbonBudgetStatus(userId, { month: new Date(purchase.purchase_date) });
+  return { ...status, purchase: describeCarbonUsage(status, purchase.total_carbon, { recorded: true }) };
+}
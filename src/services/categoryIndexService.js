@@ -0,0 +1,29 @@
+import { Product } from '../models/Product.js';
+
+/**
+ * Servicio del Índice de Categorías
+ *
+ * Indexa en product_categories los productos pendientes (categories_indexed_at
+ * NULL, p. ej. los que ya existían al aplicar la migración 020). Los productos
+ * nuevos o actualizados se indexan al guardarse en Product.create.
+ */
+
+const BATCH_SIZE = 200;
+
+/**
+ * Indexa por lotes todos los productos pendientes
+ * @returns {Promise<number>} Productos indexados
+ */
+export async function indexPendingProducts() {
+  let total = 0;
+  let indexed;
+  do {
+    indexed = await Product.indexPendingCategoryTags(BATCH_SIZE);
+    total += indexed;
+  } while (indexed > 0);
+
+  if (total > 0) {
+    console.log(`[Category Index] Indexed categories of ${total} product(s)`);
+  }
+  return total;
+}
@@ -0,0 +1,288 @@
+import pool from '../config/database.js';
+import { withTransaction } from '../db/transaction.js';
+import { ShoppingList } from '../models/ShoppingList.js';
+import { Cart } from '../models/Cart.js';
+import { Purchase } from '../models/Purchase.js';
+import { Product } from '../models/Product.js';
+import { getProductPrice } from './priceService.js';
+import { countryCurrencyMap } from './priceEstimationService.js';
+import { calculateTotalCarbonFootprint } from './carbonInterfaceService.js';
+import { AppError, BadRequestError, ConflictError, NotFoundError } from '../utils/errors.js';
+
+/**
+ * Servicio de Checkout
+ *
+ * Convierte una lista, el carrito o una compra manual en una compra. Los
+ * precios, el carbono y los ahorros se calculan en el servidor; el cliente
+ * solo indica qué comprar. La compra y sus items se guardan en una única transacción.
+ *
+ * Los importes de las compras se guardan siempre en EUR (el precio del país
+ * convertido con su tipo de cambio), así el historial y el dashboard pueden
+ * sumar compras hechas con distintos países.
+ *
+ * Todas las funciones aceptan una clave de idempotencia (header
+ * Idempotency-Key): repetir la request con la misma clave devuelve la
+ * compra ya creada ({ purchase, replayed: true }) en lugar de duplicarla.
+ * La clave se guarda con el destino de la request (la lista, el carrito o
+ * una compra manual): usarla con otro destino responde 422.
+ */
+
+// Otra request con la misma clave de idempotencia creó la compra primero
+class DuplicatePurchaseError extends Error {}
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Precio del producto en el país, convertido a EUR
+ * (si la moneda no tiene tipo de cambio conocido se usa el precio base en EUR)
+ */
+async function priceInEUR(product, country) {
+  const priceInfo = await getProductPrice(product, country);
+  const currency = priceInfo.currency || 'EUR';
+  if (currency === 'EUR') {
+    return round2(parseFloat(priceInfo.amount || 0));
+  }
+
+  const rate = Object.values(countryCurrencyMap).find(info => info.currency === currency)?.rate;
+  if (rate) {
+    return round2(parseFloat(priceInfo.amount || 0) / rate);
+  }
+  const basePrice = await getProductPrice(product, null);
+  return round2(parseFloat(basePrice.amount || 0));
+}
+
+/**
+ * Calcula el precio de cada item (en EUR) y los totales de la compra
+ * @param {Array} items - Productos con quantity (filas de products_cache + quantity)
+ * @param {string} country - País para el precio
+ * @returns {Promise<Object>} { lines, totalPrice, totalCarbon, currency } currency siempre EUR
+ */
+async function priceItems(items, country) {
+  const lines = await Promise.all(items.map(async (item) => ({
+    productId: item.product_id,
+    quantity: item.quantity || 1,
+    price: await priceInEUR(item, country)
+  })));
+
+  const totalPrice = lines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+  const totalCarbon = calculateTotalCarbonFootprint(items);
+
+  return {
+    lines,
+    totalPrice: round2(totalPrice),
+    totalCarbon: round2(totalCarbon),
+    currency: 'EUR'
+  };
+}
+
+/**
+ * Ahorro económico de los swaps aceptados cuyo sustituto sigue en la lista
+ * (precio del producto original menos precio del sustituto, por cantidad)
+ * Solo cuenta el último swap aceptado de cada item: repetir la optimización
+ * y volver a aceptar no suma dos veces el mismo ahorro. Tampoco se cuentan
+ * más unidades de las que quedan del sustituto en la lista
+ */
+async function calculateListSavings(listId, lines, country) {
+  const result = await pool.query(
+    `SELECT DISTINCT ON (swap_key) s.substitute_product_id, s.quantity AS swap_quantity, p.*
+     FROM optimization_swaps s
+     JOIN optimization_runs r ON r.id = s.run_id
+     JOIN products_cache p ON p.id = s.original_product_id
+     -- Items fusionados con el sustituto pierden list_item_id: se agrupan por el cambio de producto
+     CROSS JOIN LATERAL (
+       SELECT COALESCE(s.list_item_id::text, s.original_product_id || '>' || s.substitute_product_id) AS swap_key
+     ) k
+     WHERE r.list_id = $1 AND s.status = 'accepted'
+     ORDER BY swap_key, s.decided_at DESC NULLS LAST, s.id DESC`,
+    [listId]
+  );
+
+  const remaining = new Map(lines.map(line => [line.productId, line.quantity]));
+  const prices = new Map(lines.map(line => [line.productId, line.price]));
+  let savings = 0;
+  for (const original of result.rows) {
+    const available = remaining.get(original.substitute_product_id) || 0;
+    const quantity = Math.min(available, original.swap_quantity || 1);
+    if (quantity <= 0) {
+      continue;
+    }
+    remaining.set(original.substitute_product_id, available - quantity);
+    const originalPrice = await priceInEUR(original, country);
+    savings += (originalPrice - prices.get(original.substitute_product_id)) * quantity;
+  }
+  return round2(savings);
+}
+
+/**
+ * Compra ya creada con la clave de idempotencia (con sus items) o null
+ * @param {Object} idempotency - { key, target } target: 'list:<id>', 'cart' o 'purchase'
+ * @throws {AppError} 422 IDEMPOTENCY_KEY_REUSED si la clave se usó con otro destino
+ */
+async function findReplayedPurchase(userId, { key, target }) {
+  if (!key) {
+    return null;
+  }
+  const purchase = await Purchase.findByIdempotencyKey(userId, key);
+  if (!purchase) {
+    return null;
+  }
+  // Compras anteriores a idempotency_target: sin destino guardado, se repiten como antes
+  if (purchase.idempotency_target && purchase.idempotency_target !== target) {
+    throw new AppError('Idempotency-Key was already used for a different request', {
+      status: 422,
+      code: 'IDEMPOTENCY_KEY_REUSED'
+    });
+  }
+  return { ...purchase, items: await Purchase.getItems(purchase.id) };
+}
+
+/**
+ * Inserta la compra y sus items con el cliente de la transacción
+ * Lanza DuplicatePurchaseError si la clave de idempotencia ya fue usada
+ */
+async function insertPurchase(client, userId, listId, totals, lines, idempotency) {
+  const purchase = await Purchase.create(
+    userId,
+    listId,
+    totals.totalPrice,
+    totals.totalCarbon,
+    totals.totalSavings,
+    idempotency.key,
+    idempotency.target,
+    client
+  );
+  if (!purchase) {
+    throw new DuplicatePurchaseError();
+  }
+
+  const purchaseItems = [];
+  for (const line of lines) {
+    purchaseItems.push(await Purchase.addItem(purchase.id, line.productId, line.quantity, line.price, client));
+  }
+  return { ...purchase, items: purchaseItems };
+}
+
+/**
+ * Ejecuta la transacción de compra; si otra request con la misma clave de
+ * idempotencia ganó la carrera, devuelve la compra que creó esa request
+ */
+async function runPurchaseTransaction(userId, idempotency, fn) {
+  try {
+    const purchase = await withTransaction(fn);
+    return { purchase, replayed: false };
+  } catch (error) {
+    if (error instanceof DuplicatePurchaseError) {
+      return { purchase: await findReplayedPurchase(userId, idempotency), replayed: true };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Registra una compra manual con los productos y cantidades indicados
+ * Los precios y totales se calculan en el servidor (en EUR) como en el checkout
+ * @param {number} userId
+ * @param {Object} data - { listId, items: [{ productId, quantity }] }
+ * @param {Object} options - { country, idempotencyKey }
+ * @returns {Promise<Object>} { purchase, replayed }; purchase incluye sus items y la moneda usada
+ */
+export async function createPurchase(userId, data, { country = null, idempotencyKey = null } = {}) {
+  const idempotency = { key: idempotencyKey, target: 'purchase' };
+  const replayed = await findReplayedPurchase(userId, idempotency);
+  if (replayed) {
+    return { purchase: replayed, replayed: true };
+  }
+
+  const { listId, items } = data;
+  const products = new Map(
+    (await Product.findByIds(items.map(item => item.productId))).map(product => [product.id, product])
+  );
+  const missing = items.find(item => !products.has(item.productId));
+  if (missing) {
+    throw new NotFoundError(`Product ${missing.productId} not found`);
+  }
+
+  // Calcular precios antes de abrir la transacción (puede consultar APIs externas)
+  const { lines, totalPrice, totalCarbon, currency } = await priceItems(
+    items.map(item => ({ ...products.get(item.productId), product_id: item.productId, quantity: item.quantity })),
+    country
+  );
+  const totalSavings = listId ? await calculateListSavings(listId, lines, country) : null;
+
+  return runPurchaseTransaction(userId, idempotency, async (client) => {
+    const purchase = await insertPurchase(client, userId, listId || null, { totalPrice, totalCarbon, totalSavings }, lines, idempotency);
+    return { ...purchase, currency };
+  });
+}
+
+/**
+ * Compra los items de una lista y la marca como completada
+ * @param {Object} list - Lista de compras (ya verificada como del usuario)
+ * @param {number} userId
+ * @param {Object} options - { country, idempotencyKey }
+ * @returns {Promise<Object>} { purchase, replayed }; purchase incluye sus items y la moneda usada
+ */
+export async function checkoutList(list, userId, { country = null, idempotencyKey = null } = {}) {
+  const idempotency = { key: idempotencyKey, target: `list:${list.id}` };
+  const replayed = await findReplayedPurchase(userId, idempotency);
+  if (replayed) {
+    return { purchase: replayed, replayed: true };
+  }
+
+  if (list.status === 'completed') {
+    throw new ConflictError('List already checked out');
+  }
+
+  const items = await ShoppingList.getItems(list.id);
+  if (items.length === 0) {
+    throw new BadRequestError('List is empty');
+  }
+
+  // Calcular precios antes de abrir la transacción (puede consultar APIs externas)
+  const { lines, totalPrice, totalCarbon, currency } = await priceItems(items, country);
+  const totalSavings = await calculateListSavings(list.id, lines, country);
+
+  return runPurchaseTransaction(userId, idempotency, async (client) => {
+    // Bloquear la lista para que dos checkouts simultáneos no creen dos compras
+    const lockedList = await ShoppingList.findByIdForUpdate(list.id, client);
+    if (lockedList?.status === 'completed') {
+      throw new ConflictError('List already checked out');
+    }
+
+    const purchase = await insertPurchase(client, userId, list.id, { totalPrice, totalCarbon, totalSavings }, lines, idempotency);
+    await ShoppingList.updateStatus(list.id, 'completed', client);
+    return { ...purchase, currency };
+  });
+}
+
+/**
+ * Compra los items del carrito del usuario y vacía el carrito
+ * @param {number} userId
+ * @param {Object} options - { country, idempotencyKey }
+ * @returns {Promise<Object>} { purchase, replayed }; purchase incluye sus items y la moneda usada
+ */
+export async function checkoutCart(userId, { country = null, idempotencyKey = null } = {}) {
+  const idempotency = { key: idempotencyKey, target: 'cart' };
+  const replayed = await findReplayedPurchase(userId, idempotency);
+  if (replayed) {
+    return { purchase: replayed, replayed: true };
+  }
+
+  const items = await Cart.getItems(userId);
+  if (items.length === 0) {
+    throw new BadRequestError('Cart is empty');
+  }
+
+  const { lines, totalPrice, totalCarbon, currency } = await priceItems(items, country);
+
+  return runPurchaseTransaction(userId, idempotency, async (client) => {
+    const purchase = await insertPurchase(client, userId, null, { totalPrice, totalCarbon, totalSavings: null }, lines, idempotency);
+
+    // Vaciar el carrito con lo que se cobró; si otro checkout ya lo vació, no hay nada que comprar
+    const removed = await Cart.removeItems(userId, lines.map(line => line.productId), client);
+    if (removed === 0) {
+      throw new ConflictError('Cart already checked out');
+    }
+    return { ...purchase, currency };
+  });
+}
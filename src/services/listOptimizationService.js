@@ -0,0 +1,853 @@
+import { withTransaction } from '../db/transaction.js';
+import { Product } from '../models/Product.js';
+import { ShoppingList } from '../models/ShoppingList.js';
+import { OptimizationRun, SWAP_STATUS } from '../models/OptimizationRun.js';
+import { calculateScoresForProducts, calculateSustainabilityScore } from '../algorithms/sustainabilityScoring.js';
+import { findSmartSubstitutesWithExplanation, scoreDelta } from '../algorithms/smartSubstitution.js';
+import { optimizeShoppingList } from '../algorithms/knapsackOptimizer.js';
+import { findParetoFrontier, DEFAULT_MAX_BASKETS } from '../algorithms/paretoOptimizer.js';
+import { getUserPreferences, normalizePreferences, toSubstitutionCriteria } from './userPreferencesService.js';
+import { getCarbonBudgetStatus, describeCarbonUsage } from './carbonBudgetService.js';
+import { findAllergens } from '../utils/allergens.js';
+import { getSearchableCategoryTags } from '../utils/categoryTags.js';
+import { createConcurrencyLimiter } from '../utils/concurrencyLimiter.js';
+import { BadRequestError } from '../utils/errors.js';
+import { MAX_ITEM_QUANTITY } from '../validators/common.js';
+
+/**
+ * Servicio de Optimización de Listas
+ *
+ * Estrategia de Sustitución Inteligente (Smart Swap): para cada item de la
+ * lista busca sustitutos más sostenibles y propone cambiarlos si el
+ * presupuesto de la lista lo permite. La optimización no modifica la lista:
+ * se guarda como una ejecución (optimization_runs) con los cambios sugeridos
+ * (optimization_swaps), que el usuario acepta o rechaza.
+ */
+
+// Candidatos del índice de categorías por producto; con menos se completa con la búsqueda por nombre
+const CATEGORY_CANDIDATES_LIMIT = 100;
+const MIN_CATEGORY_CANDIDATES = 10;
+
+// Items de una misma optimización que buscan sustitutos a la vez: una lista
+// grande no llena la cola compartida de Open Food Facts y deja avanzar a las demás
+const ITEM_SEARCH_CONCURRENCY = parseInt(process.env.OPTIMIZATION_ITEM_CONCURRENCY) || 2;
+
+/**
+ * Busca sustitutos de un producto
+ * Compartida por la optimización de listas y el endpoint de sustitutos
+ * @param {Object} product - Producto para el cual buscar sustitutos
+ * @param {string} country - País para conversión de precios
+ * @param {Object} preferences - Preferencias normalizadas del usuario (pesos, dieta, marcas excluidas)
+ * @returns {Promise<Array>} Array de sustitutos válidos
+ */
+export async function findSubstitutesForProduct(product, country = null, preferences = normalizePreferences(null)) {
+  const { substitutes } = await findSubstitutesForProductWithExplanation(product, country, preferences);
+  return substitutes;
+}
+
+/**
+ * Igual que findSubstitutesForProduct, con los candidatos considerados y por
+ * qué se descartó cada uno (ver findSmartSubstitutesWithExplanation).
+ * snapshot guarda las entradas exactas de la selección (producto y candidatos
+ * ya puntuados y con precio) para repetirla con selectSubstitutes
+ * @returns {Promise<Object>} { substitutes, candidates, snapshot: { product, candidates } }
+ */
+export async function findSubstitutesForProductWithExplanation(product, country = null, preferences = normalizePreferences(null)) {
+  // Asegurar que el producto tenga precio convertido según el país
+  // Si el producto no tiene precio convertido, convertirlo ahora
+  let productWithPrice = { ...product };
+  if (!productWithPrice.currency || productWithPrice.currency === 'EUR' || !country) {
+    try {
+      const { getProductPrice } = await import('./priceService.js');
+      const priceInfo = await getProductPrice(product, country || null);
+      productWithPrice = {
+        ...productWithPrice,
+        price: parseFloat(priceInfo.amount || productWithPrice.price || 0),
+        currency: priceInfo.currency || 'EUR',
+        currency_symbol: priceInfo.symbol || '€'
+      };
+    } catch (err) {
+      console.warn(`Could not convert price for product ${product.id || product.name}:`, err.message);
+    }
+  }
+
+  // Candidatos por categoría compartida (índice product_categories)
+  let allCandidates = await Product.findByCategoryTags(getSearchableCategoryTags(productWithPrice), {
+    excludeId: product.id || null,
+    limit: CATEGORY_CANDIDATES_LIMIT,
+    country: country || null
+  });
+
+  // Productos sin categorías o con pocas coincidencias: completar buscando por el nombre
+  const words = productWithPrice.name.toLowerCase().split(' ').filter(w => w.length > 3);
+  const searchTerms = words.slice(0, 2); // Primeras 2 palabras significativas
+  if (allCandidates.length < MIN_CATEGORY_CANDIDATES) {
+    for (const term of searchTerms) {
+      const results = await Product.search(term, 50, 0, country || null);
+      allCandidates = [...allCandidates, ...results];
+    }
+  }
+
+  // Eliminar duplicados por ID (ordenados por ID: el resultado no depende del orden de la búsqueda)
+  // Se queda la primera aparición: la del índice de categorías trae matched_tags y category_tags
+  let uniqueCandidates = Array.from(new Map(allCandidates.reverse().map(p => [p.id, p])).values())
+    .sort((a, b) => a.id - b.id);
+
+  // Si hay pocos candidatos en BD, buscar más en Open Food Facts y guardarlos
+  if (uniqueCandidates.length < 10) {
+    try {
+      const { searchProducts } = await import('./openFoodFactsService.js');
+      const { calculateCarbonFootprint } = await import('./carbonInterfaceService.js');
+      const { estimatePriceFromCategory } = await import('./priceEstimationService.js');
+      
+      const searchQuery = searchTerms.join(' ');
+      const offResults = await searchProducts(searchQuery, 1, 20, country || null);
+      
+      if (offResults.products && offResults.products.length > 0) {
+        const existingBarcodes = new Set(uniqueCandidates.map(p => p.barcode).filter(Boolean));
+        const newCandidates = [];
+
+        for (const apiProduct of offResults.products) {
+          if (!apiProduct.barcode || existingBarcodes.has(apiProduct.barcode)) {
+            continue;
+          }
+
+          try {
+            let productToSave = { ...apiProduct };
+
+            // Calcular carbon_footprint si no existe
+            if (!productToSave.carbon_footprint) {
+              productToSave.carbon_footprint = await calculateCarbonFootprint(productToSave);
+            }
+
+            // Estimar precio base en EUR si no existe
+            if (!productToSave.price) {
+              const basePriceInfo = estimatePriceFromCategory(productToSave, null);
+              productToSave.price = basePriceInfo.amount;
+            }
+
+            const savedProduct = await Product.create({
+              ...productToSave,
+              price: productToSave.price,
+              carbon_footprint: productToSave.carbon_footprint || null,
+              country: country || null,
+              openfoodfacts_data: productToSave.openfoodfacts_data || {}
+            });
+
+            newCandidates.push(savedProduct);
+            existingBarcodes.add(savedProduct.barcode);
+          } catch (saveError) {
+            if (!saveError.message?.includes('duplicate key')) {
+              console.error(`Error saving product ${apiProduct.barcode} from Open Food Facts:`, saveError.message);
+            }
+          }
+        }
+
+        if (newCandidates.length > 0) {
+          uniqueCandidates = [...uniqueCandidates, ...newCandidates];
+          console.log(`Added ${newCandidates.length} new candidates from Open Food Facts`);
+        }
+      }
+    } catch (extraError) {
+      console.error('Error fetching extra substitutes from Open Food Facts:', extraError.message);
+    }
+  }
+
+  console.log(`Searching substitutes for "${product.name}" found ${uniqueCandidates.length} candidates`);
+
+  // Calcular scores para todos los candidatos con los pesos del usuario
+  const candidatesWithScores = calculateScoresForProducts(uniqueCandidates, preferences.weights);
+
+  // Convertir precios de candidatos según país
+  const { getProductPrice } = await import('./priceService.js');
+  const candidatesWithPrices = await Promise.all(
+    candidatesWithScores.map(async (candidate) => {
+      try {
+        const candidatePriceInfo = await getProductPrice(candidate, country || null);
+        return {
+          ...candidate,
+          price: parseFloat(candidatePriceInfo.amount || candidate.price || 0),
+          currency: candidatePriceInfo.currency || 'EUR',
+          currency_symbol: candidatePriceInfo.symbol || '€'
+        };
+      } catch (err) {
+        return {
+          ...candidate,
+          price: parseFloat(candidate.price || 0),
+          currency: 'EUR',
+          currency_symbol: '€'
+        };
+      }
+    })
+  );
+
+  // Usar productWithPrice que tiene el precio convertido correctamente
+  return {
+    ...selectSubstitutes(productWithPrice, candidatesWithPrices, preferences),
+    snapshot: { product: productWithPrice, candidates: candidatesWithPrices }
+  };
+}
+
+/**
+ * Encuentra sustitutos válidos entre candidatos ya puntuados y con precio
+ * (sin consultas: con las mismas entradas siempre da el mismo resultado)
+ * @returns {Object} { substitutes, candidates }
+ */
+function selectSubstitutes(productWithPrice, candidatesWithPrices, preferences) {
+  const { substitutes, candidates } = findSmartSubstitutesWithExplanation(productWithPrice, candidatesWithPrices, {
+    minScoreImprovement: 0.05, // 5% mejora mínima
+    sameCategory: true, // Activar comparación inteligente de categorías
+    maxResults: 5,
+    ...toSubstitutionCriteria(preferences)
+  });
+
+  console.log(`Found ${substitutes.length} valid substitutes for "${productWithPrice.name}"`);
+  if (substitutes.length > 0) {
+    console.log(`Best substitute: "${substitutes[0].name}" with score ${(substitutes[0].sustainability_score.total * 100).toFixed(0)}% and price ${substitutes[0].price} ${substitutes[0].currency}`);
+  }
+
+  return { substitutes, candidates };
+}
+
+/**
+ * Item optimizado que reemplaza a un item de la lista
+ * Conserva la referencia al item original (item_id, replaces_product_id)
+ */
+function toSwappedItem(item, substitute, scoreImprovement, costDiff) {
+  return {
+    ...substitute,
+    item_id: item.item_id,
+    quantity: item.quantity,
+    must_have: item.must_have,
+    improvement: scoreImprovement,
+    replaces_product_id: item.id,
+    cost_difference: Math.round(costDiff * 100) / 100
+  };
+}
+
+const DROP_REASON = {
+  OVER_BUDGET: 'over_budget',
+  MUST_HAVE_OVER_BUDGET: 'must_have_items_exceed_budget'
+};
+
+/**
+ * Segunda fase: si la lista (ya con los swaps) supera el presupuesto, elige con
+ * optimizeShoppingList qué unidades conservar maximizando el score.
+ * Los items imprescindibles (must_have) y los que no cuestan nada se conservan
+ * completos; el resto va a la mochila acotada (allowPartial), así se puede
+ * reducir la cantidad de un item en lugar de quitarlo entero.
+ * @param {Array} items - Items optimizados (con price, quantity y sustainability_score)
+ * @param {number} maxBudget - Presupuesto de la lista
+ * @returns {Object} { items, dropped } dropped: [{ item_id, product_id, replaces_product_id, name, original_quantity, quantity, reason }]
+ */
+export function fitToBudget(items, maxBudget) {
+  const isFixed = (item) => item.must_have || !(item.price > 0);
+  const fixedCost = items
+    .filter(isFixed)
+    .reduce((sum, item) => sum + item.price * (item.quantity || 1), 0);
+  const remainingBudget = maxBudget - fixedCost;
+
+  const candidates = items
+    .map((item, index) => ({ ...item, item_index: index }))
+    .filter(item => !isFixed(item));
+
+  const { selected } = candidates.length > 0 && remainingBudget > 0
+    ? optimizeShoppingList(candidates, remainingBudget, { allowPartial: true })
+    : { selected: [] };
+
+  const keptUnits = new Map(selected.map(item => [item.item_index, item.quantity]));
+
+  // Si ni siquiera los imprescindibles caben, se quita todo lo demás por ese motivo
+  const reason = remainingBudget < 0 ? DROP_REASON.MUST_HAVE_OVER_BUDGET : DROP_REASON.OVER_BUDGET;
+  const kept = [];
+  const dropped = [];
+  items.forEach((item, index) => {
+    const originalQuantity = item.quantity || 1;
+    const quantity = isFixed(item) ? originalQuantity : (keptUnits.get(index) || 0);
+
+    if (quantity < originalQuantity) {
+      dropped.push({
+        item_id: item.item_id,
+        product_id: item.id,
+        replaces_product_id: item.replaces_product_id || null,
+        name: item.name,
+        original_quantity: originalQuantity,
+        quantity,
+        reason
+      });
+    }
+    if (quantity > 0) {
+      kept.push({ ...item, quantity });
+    }
+  });
+
+  return { items: kept, dropped };
+}
+
+// Motivos de la decisión de cada item en la explicación de la optimización
+const SWAP_REASON = {
+  CHEAPER_AND_BETTER: 'cheaper_and_better',
+  BETTER_WITHIN_BUDGET: 'better_within_budget'
+};
+
+const KEEP_REASON = {
+  NO_CANDIDATES: 'no_candidates',
+  NO_VALID_SUBSTITUTES: 'no_valid_substitutes',
+  SAME_PRODUCT: 'same_product',
+  EXCEEDS_BUDGET: 'exceeds_budget',
+  NO_SCORE_IMPROVEMENT: 'no_score_improvement'
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Explicación de la decisión sobre un item de la lista
+ * decision: 'swapped' o 'kept' (con reason); candidates: los considerados por
+ * findSmartSubstitutesWithExplanation, con el estado final de cada uno;
+ * substitute: el mejor sustituto con su diferencia de score y efecto en el
+ * presupuesto; budgetFit: si la segunda fase quitó o redujo el item
+ */
+function explainItem(item, candidates = []) {
+  return {
+    listItemId: item.item_id,
+    productId: item.id,
+    name: item.name,
+    decision: 'kept',
+    reason: null,
+    candidatesConsidered: candidates.length,
+    candidates: candidates.map(({ id, ...candidate }) => ({ productId: id, ...candidate })),
+    substitute: null,
+    budgetFit: null
+  };
+}
+
+function markCandidate(itemExplanation, product, status, reason) {
+  const candidate = itemExplanation.candidates.find(c => c.productId === product.id);
+  if (candidate) {
+    candidate.status = status;
+    candidate.reason = reason;
+  }
+}
+
+/**
+ * Efecto de un swap en el coste de la lista y el presupuesto
+ */
+function budgetEffect(costDiff, listCost, maxBudget) {
+  const listCostAfter = listCost + costDiff;
+  return {
+    costDifference: round2(costDiff),
+    listCostBefore: round2(listCost),
+    listCostAfter: round2(listCostAfter),
+    remainingBudget: round2(maxBudget - listCostAfter),
+    withinBudget: listCostAfter <= maxBudget
+  };
+}
+
+/**
+ * Mismo producto (por ID, barcode o nombre)
+ */
+const isSameProduct = (a, b) =>
+  a.id === b.id ||
+  (a.barcode && a.barcode === b.barcode) ||
+  (a.name || '').toLowerCase().trim() === (b.name || '').toLowerCase().trim();
+
+/**
+ * Cambios sugeridos respecto a la lista original
+ */
+function toSwapSuggestions(items) {
+  return items
+    .filter(item => item.replaces_product_id)
+    .map(item => ({
+      listItemId: item.item_id,
+      originalProductId: item.replaces_product_id,
+      substituteProductId: item.id,
+      quantity: item.quantity || 1,
+      scoreImprovement: Math.round(item.improvement * 10000) / 10000,
+      costDifference: item.cost_difference
+    }));
+}
+
+/**
+ * Modo Pareto: cestas no dominadas en coste, carbono y score
+ * Cada item puede quedarse como está o cambiarse por uno de sus sustitutos
+ * (sin alérgenos del usuario); no se quitan items.
+ * @returns {Array} [{ labels, items, totalCost, totalCarbon, totalScore, withinBudget, swaps }]
+ */
+function buildParetoBaskets(itemsWithSubstitutes, maxBudget, { preferences, maxBaskets = DEFAULT_MAX_BASKETS }) {
+  const slots = itemsWithSubstitutes.map(({ item, substitutes }) => [
+    item,
+    ...(substitutes || [])
+      .filter(sub => findAllergens(sub, preferences.allergens).length === 0 && !isSameProduct(sub, item))
+      .map(sub => toSwappedItem(
+        item,
+        sub,
+        sub.sustainability_score.total - item.sustainability_score.total,
+        (sub.price - item.price) * (item.quantity || 1)
+      ))
+  ]);
+
+  const { baskets } = findParetoFrontier(slots, maxBudget, { maxBaskets });
+  const units = slots.reduce((sum, [item]) => sum + (item.quantity || 1), 0);
+
+  return baskets.map(({ choices, labels, totalCost, totalCarbon, totalScore }) => {
+    const basketItems = choices.map((choice, slot) => slots[slot][choice]);
+    return {
+      labels,
+      items: basketItems,
+      totalCost,
+      totalCarbon,
+      totalScore: units > 0 ? Math.round((totalScore / units) * 100) / 100 : 0, // Promedio
+      withinBudget: totalCost <= maxBudget,
+      swaps: toSwapSuggestions(basketItems)
+    };
+  });
+}
+
+/**
+ * Optimiza los items de una lista
+ * @param {Object} list - Lista de compras (usa budget)
+ * @param {Array} items - Items de la lista (ShoppingList.getItems)
+ * @param {Object} options - { country, preferences, pareto, snapshot } preferencias normalizadas del usuario;
+ *   pareto: { maxBaskets } para calcular también la frontera de Pareto;
+ *   snapshot: el de una ejecución anterior para repetirla sin consultar precios ni candidatos
+ *   (se ignoran items y list.budget: se usan los del snapshot);
+ *   onProgress: async (completed, total) al empezar y tras buscar los sustitutos de cada item; si lanza un
+ *   error la optimización se interrumpe con ese error (cancelación de trabajos en segundo plano)
+ * @returns {Promise<Object>} { original, optimized, swaps, explanation, snapshot, frontier } (frontier solo en modo Pareto)
+ *   explanation: decisión de cada item con los candidatos considerados (ver explainItem)
+ *   snapshot: { budget, items, substitution: [{ product, candidates } | null] } entradas de la optimización
+ */
+export async function optimizeList(list, items, { country = null, preferences = normalizePreferences(null), pareto = null, snapshot = null, onProgress = null } = {}) {
+  // Calcular scores y convertir precios según país
+  const { getProductPrice } = await import('./priceService.js');
+  const productsWithScores = snapshot ? snapshot.items : await Promise.all(
+    items.map(async (item) => {
+      // Calcular score con los pesos del usuario
+      const score = calculateSustainabilityScore(item, preferences.weights);
+
+      // Convertir precio según país
+      let priceInfo;
+      try {
+        priceInfo = await getProductPrice(item, country || null);
+      } catch (err) {
+        console.error('Error getting product price:', err);
+        priceInfo = {
+          amount: parseFloat(item.price || 0),
+          currency: 'EUR',
+          symbol: '€',
+          source: 'default'
+        };
+      }
+
+      return {
+        ...item,
+        price: parseFloat(priceInfo.amount || item.price || 0), // Asegurar que sea número
+        currency: priceInfo.currency || 'EUR',
+        currency_symbol: priceInfo.symbol || '€',
+        sustainability_score: score
+      };
+    })
+  );
+
+  // Optimizar: Estrategia de Sustitución Inteligente (Smart Swap)
+  // 1. Para cada producto, buscar sustitutos
+  // 2. Intentar mejorar el score cambiando por sustitutos si el presupuesto lo permite
+
+  // Copia de trabajo para la optimización
+  let currentItems = [...productsWithScores];
+  let currentCost = currentItems.reduce((sum, p) => sum + (p.price * (p.quantity || 1)), 0);
+  const maxBudget = snapshot ? snapshot.budget : parseFloat(list.budget);
+
+  // Buscar sustitutos para cada item, unos pocos a la vez (o repetir la selección con los candidatos del snapshot)
+  const searchSubstitutes = async (item, index) => {
+    if (snapshot) {
+      const frozen = snapshot.substitution[index];
+      return frozen
+        ? { item, ...selectSubstitutes(frozen.product, frozen.candidates, preferences), snapshot: frozen }
+        : { item, substitutes: [], candidates: [], snapshot: null };
+    }
+
+    try {
+      // Usar la función compartida findSubstitutesForProduct (con los candidatos descartados)
+      return { item, ...(await findSubstitutesForProductWithExplanation(item, country || null, preferences)) };
+    } catch (err) {
+      console.error(`Error finding substitutes for ${item.name}:`, err);
+      return { item, substitutes: [], candidates: [], snapshot: null };
+    }
+  };
+
+  let searched = 0;
+  if (onProgress) {
+    await onProgress(searched, currentItems.length);
+  }
+  const limitItems = createConcurrencyLimiter(snapshot ? currentItems.length : ITEM_SEARCH_CONCURRENCY);
+  const itemsWithSubstitutes = await Promise.all(currentItems.map(async (item, index) => {
+    const entry = await limitItems(() => searchSubstitutes(item, index));
+    if (onProgress) {
+      await onProgress(++searched, currentItems.length);
+    }
+    return entry;
+  }));
+
+  // Aplicar sustituciones
+  // findSmartSubstitutes ahora devuelve 3 opciones (económico, ambiental, social)
+  // Seleccionar automáticamente la mejor opción para la optimización
+  // Cada decisión queda en la explicación del item (explainItem)
+  const explanation = [];
+  const optimizedItems = itemsWithSubstitutes.map(({ item, substitutes, candidates }, index) => {
+    const itemExplanation = explainItem(item, candidates);
+    explanation[index] = itemExplanation;
+    const keep = (reason) => {
+      itemExplanation.reason = reason;
+      return item;
+    };
+
+    if (!substitutes || substitutes.length === 0) {
+      return keep(candidates.length > 0 ? KEEP_REASON.NO_VALID_SUBSTITUTES : KEEP_REASON.NO_CANDIDATES);
+    }
+
+    // findSmartSubstitutes devuelve hasta 3 opciones con recommendationType
+    // Seleccionar la mejor: priorizar score total, luego precio
+    const sortedSubstitutes = substitutes
+      .filter(sub => {
+        // Nunca proponer un sustituto con alérgenos del usuario (aunque venga de otra fuente)
+        if (findAllergens(sub, preferences.allergens).length > 0) {
+          markCandidate(itemExplanation, sub, 'rejected', 'contains_allergen');
+          return false;
+        }
+        // Solo considerar sustitutos que mejoren o igualen el score total
+        const subTotal = sub.sustainability_score?.total || 0;
+        const itemTotal = item.sustainability_score?.total || 0;
+        if (subTotal < itemTotal - 0.02) { // Permitir hasta 2% peor
+          markCandidate(itemExplanation, sub, 'rejected', 'score_below_item');
+          return false;
+        }
+        return true;
+      })
+      .sort((a, b) => {
+        // Priorizar mejor score total
+        const aTotal = a.sustainability_score?.total || 0;
+        const bTotal = b.sustainability_score?.total || 0;
+        if (Math.abs(aTotal - bTotal) > 0.01) {
+          return bTotal - aTotal;
+        }
+        // Si scores similares, priorizar más barato
+        return a.price - b.price;
+      });
+
+    const [bestSubstitute, ...otherSubstitutes] = sortedSubstitutes;
+    otherSubstitutes.forEach(sub => markCandidate(itemExplanation, sub, 'outranked', 'lower_ranked'));
+
+    // Si no hay mejor sustituto, mantener original
+    if (!bestSubstitute) return keep(KEEP_REASON.NO_VALID_SUBSTITUTES);
+
+    // Verificar que no sea el mismo producto (por ID, barcode o nombre)
+    if (isSameProduct(bestSubstitute, item)) {
+      console.log(`✗ Keeping "${item.name}" - substitute is the same product`);
+      markCandidate(itemExplanation, bestSubstitute, 'rejected', 'same_product');
+      return keep(KEEP_REASON.SAME_PRODUCT);
+    }
+
+    // Calcular diferencia de costo
+    // IMPORTANTE: Ambos precios deben estar en la misma moneda
+    const originalCost = item.price * (item.quantity || 1);
+    const substituteCost = bestSubstitute.price * (item.quantity || 1);
+    const costDiff = substituteCost - originalCost;
+
+    // Lógica de decisión:
+    // 1. Si mejora score y es más barato (Win-Win) -> CAMBIAR
+    // 2. Si mejora score y es más caro -> CAMBIAR SOLO SI HAY PRESUPUESTO
+
+    const scoreImprovement = bestSubstitute.sustainability_score.total - item.sustainability_score.total;
+    itemExplanation.substitute = {
+      productId: bestSubstitute.id,
+      name: bestSubstitute.name,
+      scoreDelta: scoreDelta(bestSubstitute, item),
+      budgetEffect: budgetEffect(costDiff, currentCost, maxBudget)
+    };
+
+    const swap = (reason) => {
+      currentCost += costDiff;
+      itemExplanation.decision = 'swapped';
+      itemExplanation.reason = reason;
+      markCandidate(itemExplanation, bestSubstitute, 'chosen', null);
+      return toSwappedItem(item, bestSubstitute, scoreImprovement, costDiff);
+    };
+
+    if (scoreImprovement > 0) {
+      if (costDiff <= 0) {
+        // Es más barato o igual, y mejor score: Cambiar siempre
+        console.log(`✓ Swapping "${item.name}" for "${bestSubstitute.name}" (cheaper & better)`);
+        return swap(SWAP_REASON.CHEAPER_AND_BETTER);
+      } else if (currentCost + costDiff <= maxBudget) {
+        // Es más caro, pero cabe en el presupuesto: Cambiar
+        console.log(`✓ Swapping "${item.name}" for "${bestSubstitute.name}" (better score, within budget)`);
+        return swap(SWAP_REASON.BETTER_WITHIN_BUDGET);
+      } else {
+        console.log(`✗ Keeping "${item.name}" - substitute would exceed budget`);
+        markCandidate(itemExplanation, bestSubstitute, 'rejected', 'exceeds_budget');
+        return keep(KEEP_REASON.EXCEEDS_BUDGET);
+      }
+    }
+
+    console.log(`✗ Keeping "${item.name}" - substitute does not improve score`);
+    markCandidate(itemExplanation, bestSubstitute, 'rejected', 'no_score_improvement');
+    return keep(KEEP_REASON.NO_SCORE_IMPROVEMENT);
+  });
+
+  // Si después de los swaps la lista supera el presupuesto, segunda fase:
+  // quitar items o reducir cantidades respetando los imprescindibles
+  let finalSelected = optimizedItems;
+  let dropped = [];
+  if (currentCost > maxBudget) {
+    ({ items: finalSelected, dropped } = fitToBudget(optimizedItems, maxBudget));
+    console.log(`List over budget (${currentCost.toFixed(2)} > ${maxBudget}): ${dropped.length} items dropped or reduced`);
+
+    for (const entry of dropped) {
+      const itemExplanation = explanation.find(e => e.listItemId === entry.item_id);
+      if (itemExplanation) {
+        itemExplanation.budgetFit = { originalQuantity: entry.original_quantity, quantity: entry.quantity, reason: entry.reason };
+      }
+    }
+  }
+
+  // Recalcular totales finales
+  const finalTotalCost = finalSelected.reduce((sum, p) => sum + (p.price * (p.quantity || 1)), 0);
+  const finalTotalScore = finalSelected.reduce((sum, p) => sum + (p.sustainability_score.total * (p.quantity || 1)), 0);
+  const finalTotalCarbon = finalSelected.reduce((sum, p) => sum + (parseFloat(p.carbon_footprint || 0) * (p.quantity || 1)), 0);
+
+  // Calcular ahorros
+  const originalCost = productsWithScores.reduce((sum, p) => sum + (p.price * (p.quantity || 1)), 0);
+  const originalCarbon = productsWithScores.reduce((sum, p) => sum + (parseFloat(p.carbon_footprint || 0) * (p.quantity || 1)), 0);
+
+  const optimized = {
+    selected: finalSelected,
+    totalCost: Math.round(finalTotalCost * 100) / 100,
+    totalScore: finalSelected.length > 0
+      ? Math.round((finalTotalScore / finalSelected.reduce((sum, p) => sum + (p.quantity || 1), 0)) * 100) / 100 // Promedio
+      : 0,
+    totalCarbon: Math.round(finalTotalCarbon * 100) / 100,
+    savings: {
+      economic: Math.max(0, Math.round((originalCost - finalTotalCost) * 100) / 100),
+      carbon: Math.max(0, Math.round((originalCarbon - finalTotalCarbon) * 100) / 100),
+      percentage: originalCost > 0 ? Math.round(((originalCost - finalTotalCost) / originalCost) * 100) : 0
+    },
+    budgetUsed: Math.round((finalTotalCost / maxBudget) * 100) / 100,
+    withinBudget: finalTotalCost <= maxBudget,
+    dropped,
+    message: dropped.length > 0
+      ? 'Lista optimizada con sustituciones inteligentes y ajustada al presupuesto'
+      : 'Lista optimizada con sustituciones inteligentes'
+  };
+
+  // Cambios sugeridos respecto a la lista original
+  const swaps = toSwapSuggestions(finalSelected);
+
+  const result = {
+    original: {
+      items: productsWithScores,
+      totalCost: originalCost,
+      totalCarbon: originalCarbon,
+      totalScore: productsWithScores.reduce((sum, p) => sum + (p.sustainability_score.total * (p.quantity || 1)), 0) / productsWithScores.reduce((sum, p) => sum + (p.quantity || 1), 0)
+    },
+    optimized,
+    swaps,
+    explanation,
+    snapshot: {
+      budget: maxBudget,
+      items: productsWithScores,
+      substitution: itemsWithSubstitutes.map(entry => entry.snapshot)
+    }
+  };
+
+  if (pareto) {
+    result.frontier = buildParetoBaskets(itemsWithSubstitutes, maxBudget, { preferences, maxBaskets: pareto.maxBaskets });
+  }
+
+  return result;
+}
+
+// Los datos crudos de Open Food Facts no se guardan en las ejecuciones
+const toStoredItem = ({ openfoodfacts_data, ...item }) => item;
+
+/**
+ * Guarda el resultado de optimizeList como una ejecución de la lista
+ * (con su snapshot, para poder repetirla con replayOptimizationRun)
+ * @param {Object} extra - { replayOfRunId } si la ejecución repite otra
+ * @returns {Promise<Object>} Ejecución guardada con sus swaps
+ */
+export async function saveOptimizationRun(list, userId, options, result, { replayOfRunId = null } = {}) {
+  const { items: originalItems, ...originalTotals } = result.original;
+  const { selected: optimizedItems, message, ...optimizedTotals } = result.optimized;
+
+  return OptimizationRun.create({
+    listId: list.id,
+    userId,
+    options,
+    originalItems: originalItems.map(toStoredItem),
+    optimizedItems: optimizedItems.map(toStoredItem),
+    totals: { original: originalTotals, optimized: optimizedTotals },
+    swaps: result.swaps,
+    snapshot: result.snapshot,
+    replayOfRunId
+  });
+}
+
+/**
+ * Repite una ejecución con su snapshot y sus opciones (país, preferencias,
+ * modo): mismas entradas, mismo resultado, aunque hayan cambiado precios,
+ * candidatos o la lista. Guarda la repetición como una ejecución nueva
+ * @returns {Promise<Object|null>} { run, result } o null si la ejecución no tiene snapshot
+ */
+export async function replayOptimizationRun(list, run, userId) {
+  const snapshot = await OptimizationRun.getSnapshot(run.id);
+  if (!snapshot) {
+    return null;
+  }
+
+  const options = run.options || {};
+  const result = await optimizeList(list, [], {
+    country: options.country || null,
+    preferences: normalizePreferences(options.preferences),
+    pareto: options.mode === 'pareto' ? { maxBaskets: options.maxBaskets } : null,
+    snapshot
+  });
+  const replay = await saveOptimizationRun(list, userId, options, result, { replayOfRunId: run.id });
+
+  return { run: replay, result };
+}
+
+/**
+ * Optimiza la lista con las preferencias del usuario y guarda la ejecución
+ * Compartida por POST /api/lists/:id/optimize y los trabajos en segundo plano
+ * @param {Object} list - Lista de compras
+ * @param {number} userId
+ * @param {Object} params - { options, country } opciones del body (mode, maxBaskets) y país de la query
+ * @param {Object} hooks - { onProgress, beforeSave } onProgress: ver optimizeList;
+ *   beforeSave: async () antes de guardar la ejecución; si lanza un error no se guarda
+ * @returns {Promise<Object>} Respuesta de la optimización (runId, totales, swaps, explicación, presupuesto de carbono)
+ */
+export async function runListOptimization(list, userId, { options = {}, country = null } = {}, { onProgress = null, beforeSave = null } = {}) {
+  const items = await ShoppingList.getItems(list.id);
+  console.log(`List ${list.id} has ${items.length} items`);
+
+  if (items.length === 0) {
+    throw new BadRequestError('List is empty. Add products to the list before optimizing');
+  }
+
+  // Pesos, restricciones dietéticas y marcas excluidas del usuario; su país si no se indica otro
+  const preferences = await getUserPreferences(userId);
+  const effectiveCountry = country || preferences.preferredCountry;
+
+  // Modo Pareto: además de la optimización, cestas alternativas con sus compromisos
+  const pareto = options.mode === 'pareto' ? { maxBaskets: options.maxBaskets } : null;
+  const result = await optimizeList(list, items, { country: effectiveCountry, preferences, pareto, onProgress });
+
+  // Guardar la ejecución: los cambios se aplican al aceptar los swaps
+  if (beforeSave) {
+    await beforeSave();
+  }
+  const run = await saveOptimizationRun(list, userId, { ...options, country: effectiveCountry, preferences }, result);
+
+  // Cuánto del presupuesto de carbono del mes consumiría la lista antes y después de optimizar
+  const carbonBudget = await getCarbonBudgetStatus(userId);
+
+  return {
+    listId: list.id,
+    runId: run.id,
+    original: result.original,
+    optimized: result.optimized,
+    swaps: run.swaps,
+    explanation: result.explanation,
+    ...(result.frontier ? { frontier: result.frontier } : {}),
+    carbonBudget: {
+      ...carbonBudget,
+      original: describeCarbonUsage(carbonBudget, result.original.totalCarbon),
+      optimized: describeCarbonUsage(carbonBudget, result.optimized.totalCarbon)
+    }
+  };
+}
+
+/**
+ * Aplica un swap a la lista dentro de la transacción del cliente
+ * Si el sustituto ya está en la lista se fusiona con ese item
+ * @returns {Promise<boolean>} false si el item ya no coincide con el de la sugerencia
+ */
+async function applySwap(client, listId, swap) {
+  const itemResult = await client.query(
+    'SELECT * FROM list_items WHERE id = $1 AND list_id = $2 FOR UPDATE',
+    [swap.list_item_id, listId]
+  );
+  const item = itemResult.rows[0];
+  if (!item || item.product_id !== swap.original_product_id) {
+    return false;
+  }
+
+  const existingResult = await client.query(
+    'SELECT id FROM list_items WHERE list_id = $1 AND product_id = $2 FOR UPDATE',
+    [listId, swap.substitute_product_id]
+  );
+
+  if (existingResult.rows[0]) {
+    // Se suman las cantidades sin pasar de MAX_ITEM_QUANTITY (como en ShoppingList.addItem)
+    await client.query(
+      'UPDATE list_items SET quantity = LEAST(quantity + $1, $4), must_have = must_have OR $2, is_optimized = true WHERE id = $3',
+      [item.quantity, item.must_have, existingResult.rows[0].id, MAX_ITEM_QUANTITY]
+    );
+    await client.query('DELETE FROM list_items WHERE id = $1', [item.id]);
+  } else {
+    await client.query(
+      'UPDATE list_items SET product_id = $1, is_optimized = true WHERE id = $2',
+      [swap.substitute_product_id, item.id]
+    );
+  }
+
+  await client.query(
+    'UPDATE optimization_swaps SET status = $1, decided_at = CURRENT_TIMESTAMP WHERE id = $2',
+    [SWAP_STATUS.ACCEPTED, swap.id]
+  );
+  return true;
+}
+
+/**
+ * Acepta swaps sugeridos de una ejecución y cambia los items de la lista
+ * Los swaps cuyo item cambió desde la optimización (editado, borrado o ya
+ * sustituido) no se aplican y se devuelven como "stale"
+ * @param {Object} list - Lista de compras
+ * @param {number} runId - Ejecución de optimización
+ * Los swaps cuyo sustituto contiene alérgenos del usuario (declarados
+ * después de optimizar) tampoco se aplican y se devuelven como "blocked"
+ * @param {Array<number>|null} swapIds - Swaps a aceptar (null = todos los pendientes)
+ * @param {Object} options - { allergens } alérgenos normalizados del usuario
+ * @returns {Promise<Object>} { accepted: [swapId], stale: [swapId], blocked: [swapId] }
+ */
+export async function acceptSwaps(list, runId, swapIds = null, { allergens = [] } = {}) {
+  return withTransaction(async (client) => {
+    const swapsResult = await client.query(
+      `SELECT * FROM optimization_swaps
+       WHERE run_id = $1 AND status = $2 AND ($3::int[] IS NULL OR id = ANY($3::int[]))
+       ORDER BY id
+       FOR UPDATE`,
+      [runId, SWAP_STATUS.SUGGESTED, swapIds]
+    );
+
+    const accepted = [];
+    const stale = [];
+    const blocked = [];
+    for (const swap of swapsResult.rows) {
+      const substitute = await Product.findById(swap.substitute_product_id);
+      if (findAllergens(substitute, allergens).length > 0) {
+        blocked.push(swap.id);
+      } else if (await applySwap(client, list.id, swap)) {
+        accepted.push(swap.id);
+      } else {
+        stale.push(swap.id);
+      }
+    }
+
+    if (accepted.length > 0) {
+      await ShoppingList.updateStatus(list.id, 'optimized', client);
+    }
+    return { accepted, stale, blocked };
+  });
+}
@@ -0,0 +1,66 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Servicio de Envío de Emails
+ *
+ * El transporte es configurable con MAIL_TRANSPORT:
+ * - 'console' (default): imprime el email en la consola
+ * - 'file': guarda cada email como JSON en MAIL_OUTBOX_DIR (útil para pruebas locales)
+ *
+ * Se pueden registrar otros transportes (SMTP, API de un proveedor, etc.)
+ * con registerMailTransport(name, transport).
+ */
+
+const transports = {
+  console: {
+    async send(message) {
+      console.log('[Mail] ----------------------------------------');
+      console.log(`[Mail] To: ${message.to}`);
+      console.log(`[Mail] Subject: ${message.subject}`);
+      console.log(`[Mail] ${message.text}`);
+      console.log('[Mail] ----------------------------------------');
+    }
+  },
+  file: {
+    async send(message) {
+      const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'mail-outbox');
+      await fs.promises.mkdir(outboxDir, { recursive: true });
+      const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9@._-]/gi, '_')}.json`;
+      await fs.promises.writeFile(
+        path.join(outboxDir, fileName),
+        JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+      );
+    }
+  }
+};
+
+/**
+ * Registra un transporte de email
+ * @param {string} name - Nombre usado en MAIL_TRANSPORT
+ * @param {Object} transport - Objeto con método async send({ from, to, subject, text })
+ */
+export function registerMailTransport(name, transport) {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error(`Mail transport "${name}" must implement send(message)`);
+  }
+  transports[name] = transport;
+}
+
+/**
+ * Envía un email usando el transporte configurado
+ * @param {Object} message - { to, subject, text }
+ */
+export async function sendMail(message) {
+  const transportName = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports[transportName];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${transportName}`);
+  }
+
+  await transport.send({
+    from: process.env.MAIL_FROM || 'no-reply@sustainable-shopping.local',
+    ...message
+  });
+}
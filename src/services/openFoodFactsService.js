@@ -1,4 +1,6 @@
 import axios from 'axios';
+import { UpstreamUnavailableError } from '../utils/errors.js';
+import { createConcurrencyLimiter } from '../utils/concurrencyLimiter.js';
 
 // Base URL - remover /api/v0 si está presente (solo se usa /api/v0 para obtener productos por código de barras)
 let baseUrl = process.env.OPEN_FOOD_FACTS_BASE_URL || 'https://world.openfoodfacts.org';
@@ -6,12 +8,15 @@ let baseUrl = process.env.OPEN_FOOD_FACTS_BASE_URL || 'https://world.openfoodfac
 baseUrl = baseUrl.replace(/\/api\/v0\/?$/, '');
 const OPEN_FOOD_FACTS_BASE_URL = baseUrl;
 
+// Peticiones simultáneas a Open Food Facts en todo el proceso (las demás esperan en cola)
+const limitUpstream = createConcurrencyLimiter(parseInt(process.env.OPEN_FOOD_FACTS_MAX_CONCURRENCY) || 4);
+
 /**
  * Busca un producto por código de barras
  */
 export async function getProductByBarcode(barcode) {
   try {
-    const response = await axios.get(`${OPEN_FOOD_FACTS_BASE_URL}/api/v0/product/${barcode}.json`);
+    const response = await limitUpstream(() => axios.get(`${OPEN_FOOD_FACTS_BASE_URL}/api/v0/product/${barcode}.json`));
     
     if (response.data.status === 0) {
       return null; // Producto no encontrado
@@ -20,7 +25,7 @@ export async function getProductByBarcode(barcode) {
     return normalizeProductData(response.data.product);
   } catch (error) {
     console.error('Error fetching product from Open Food Facts:', error.message);
-    throw new Error('Failed to fetch product from Open Food Facts');
+    throw new UpstreamUnavailableError('Open Food Facts', 'Failed to fetch product from Open Food Facts');
   }
 }
 
@@ -43,7 +48,7 @@ export async function searchProducts(query, page = 1, pageSize = 20, country = n
     console.log('Open Food Facts URL:', searchUrl);
     console.log('Country filter:', country || 'all');
     
-    const response = await axios.get(searchUrl, {
+    const response = await limitUpstream(() => axios.get(searchUrl, {
       timeout: 45000, // 45 segundos de timeout (aumentado para conexiones lentas)
       headers: {
         'User-Agent': 'SustainableShopping/1.0',
@@ -53,7 +58,7 @@ export async function searchProducts(query, page = 1, pageSize = 20, country = n
       validateStatus: function (status) {
         return status < 500; // Aceptar cualquier status menor a 500
       }
-    });
+    }));
 
     console.log('=== Open Food Facts Response ===');
     console.log('Query:', query);
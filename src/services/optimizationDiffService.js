@@ -0,0 +1,76 @@
+/**
+ * Servicio de Diferencias entre Ejecuciones de Optimización
+ *
+ * Compara dos ejecuciones de la misma lista (por ejemplo una ejecución y su
+ * repetición con replayOptimizationRun): qué items optimizados cambiaron y
+ * cómo variaron los totales.
+ */
+
+const TOTAL_KEYS = ['totalCost', 'totalCarbon', 'totalScore'];
+
+const round4 = (value) => Math.round(value * 10000) / 10000;
+
+function summarize(item) {
+  if (!item) {
+    return null;
+  }
+  return {
+    productId: item.id,
+    name: item.name,
+    quantity: item.quantity || 1,
+    replacesProductId: item.replaces_product_id || null
+  };
+}
+
+/**
+ * Cambio de un item entre dos ejecuciones o null si es igual
+ */
+function itemChange(base, other) {
+  if (!base) return 'added';
+  if (!other) return 'removed';
+  if (base.id !== other.id) return 'product_changed';
+  if ((base.quantity || 1) !== (other.quantity || 1)) return 'quantity_changed';
+  return null;
+}
+
+/**
+ * Diferencias entre dos ejecuciones de optimización
+ * @param {Object} base - Ejecución de referencia (optimized_items, totals)
+ * @param {Object} other - Ejecución a comparar
+ * @returns {Object} { baseRunId, otherRunId, identical, totals, items }
+ *   items: solo los que cambian, por item de la lista (listItemId), con change:
+ *   'added' | 'removed' | 'product_changed' | 'quantity_changed'
+ */
+export function diffOptimizationRuns(base, other) {
+  const byListItem = (run) => new Map((run.optimized_items || []).map(item => [item.item_id, item]));
+  const baseItems = byListItem(base);
+  const otherItems = byListItem(other);
+  const listItemIds = [...new Set([...baseItems.keys(), ...otherItems.keys()])].sort((a, b) => a - b);
+
+  const items = listItemIds
+    .map(listItemId => {
+      const change = itemChange(baseItems.get(listItemId), otherItems.get(listItemId));
+      return change && {
+        listItemId,
+        change,
+        base: summarize(baseItems.get(listItemId)),
+        other: summarize(otherItems.get(listItemId))
+      };
+    })
+    .filter(Boolean);
+
+  const totals = Object.fromEntries(TOTAL_KEYS.map(key => {
+    const baseValue = base.totals?.optimized?.[key] ?? null;
+    const otherValue = other.totals?.optimized?.[key] ?? null;
+    const delta = baseValue === null || otherValue === null ? null : round4(otherValue - baseValue);
+    return [key, { base: baseValue, other: otherValue, delta }];
+  }));
+
+  return {
+    baseRunId: base.id,
+    otherRunId: other.id,
+    identical: items.length === 0 && Object.values(totals).every(total => total.delta === 0),
+    totals,
+    items
+  };
+}
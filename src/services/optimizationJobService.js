@@ -0,0 +1,194 @@
+import { ShoppingList } from '../models/ShoppingList.js';
+import { OptimizationJob, JOB_STATUS } from '../models/OptimizationJob.js';
+import { runListOptimization } from './listOptimizationService.js';
+import { ConflictError } from '../utils/errors.js';
+
+/**
+ * Servicio de Optimizaciones en Segundo Plano
+ *
+ * Las listas grandes tardan en optimizarse (una búsqueda de sustitutos por
+ * item). POST /api/lists/:id/optimize/jobs encola un trabajo en
+ * optimization_jobs y responde enseguida; el worker de cada instancia toma
+ * los trabajos pendientes, guarda el avance por item y deja el resultado
+ * (la misma respuesta que POST /api/lists/:id/optimize) en el trabajo.
+ */
+
+// La toma del trabajo ya no es válida: se canceló o se reencoló y la tiene otro worker
+class JobClaimLostError extends Error {}
+
+let workerTimer = null;
+let activeJobs = 0;
+let polling = false;
+let workerOptions = null;
+
+/**
+ * Estado de un trabajo para la API
+ */
+export function toJobStatus(job) {
+  const total = job.progress_total || 0;
+  const completed = Math.min(job.progress_completed || 0, total);
+
+  return {
+    jobId: job.id,
+    listId: job.list_id,
+    status: job.status,
+    progress: {
+      completed,
+      total,
+      percentage: total > 0 ? Math.round((completed / total) * 100) : (job.status === JOB_STATUS.COMPLETED ? 100 : 0)
+    },
+    runId: job.run_id,
+    result: job.result || null,
+    error: job.error || null,
+    createdAt: job.created_at,
+    startedAt: job.started_at,
+    finishedAt: job.finished_at
+  };
+}
+
+/**
+ * Encola la optimización de una lista
+ * @param {Object} list - Lista de compras
+ * @param {number} userId
+ * @param {Object} params - { options, country } como en POST /api/lists/:id/optimize
+ * @returns {Promise<Object>} Trabajo creado
+ * @throws {ConflictError} si la lista ya tiene una optimización pendiente o en ejecución
+ */
+export async function enqueueOptimizationJob(list, userId, { options = {}, country = null } = {}) {
+  const job = await OptimizationJob.create({ listId: list.id, userId, options: { options, country } });
+  if (!job) {
+    throw new ConflictError('This list already has an optimization job in progress');
+  }
+
+  // No esperar al siguiente sondeo si el worker está libre
+  if (workerOptions) {
+    setImmediate(pollJobs);
+  }
+  return job;
+}
+
+/**
+ * Ejecuta un trabajo ya tomado con claimNext
+ * Todas las escrituras van con su attempt: si el trabajo se cancela o se
+ * reencola mientras tanto, la optimización se detiene en el siguiente paso
+ */
+async function processJob(job) {
+  const ensureClaim = async (stillClaimed) => {
+    if (!(await stillClaimed)) {
+      throw new JobClaimLostError();
+    }
+  };
+
+  // Renovar la toma mientras un item tarda (p. ej. esperando a Open Food Facts)
+  const heartbeat = setInterval(() => {
+    OptimizationJob.heartbeat(job).catch(err => {
+      console.error(`[Optimization Jobs] Heartbeat failed for job ${job.id}:`, err.message);
+    });
+  }, Math.max(1000, (workerOptions?.staleMinutes || 15) * 60 * 1000 / 3));
+  heartbeat.unref();
+
+  try {
+    const list = await ShoppingList.findById(job.list_id);
+    if (!list) {
+      await OptimizationJob.fail(job, 'List not found');
+      return;
+    }
+
+    const { options = {}, country = null } = job.options || {};
+    const response = await runListOptimization(list, job.user_id, { options, country }, {
+      // Guardar el avance y detener la optimización si se perdió la toma
+      onProgress: (completed, total) => ensureClaim(OptimizationJob.updateProgress(job, completed, total)),
+      // No guardar la ejecución de una toma que ya no es válida
+      beforeSave: () => ensureClaim(OptimizationJob.heartbeat(job))
+    });
+
+    await OptimizationJob.complete(job, response.runId, response);
+  } catch (error) {
+    if (error instanceof JobClaimLostError) {
+      console.log(`[Optimization Jobs] Job ${job.id} (attempt ${job.attempt}) was cancelled or claimed again; stopping`);
+      return;
+    }
+    console.error(`[Optimization Jobs] Job ${job.id} failed:`, error);
+    await OptimizationJob.fail(job, error.message).catch(err => {
+      console.error(`[Optimization Jobs] Could not mark job ${job.id} as failed:`, err);
+    });
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+/**
+ * Toma trabajos pendientes hasta llenar la concurrencia del worker
+ */
+async function pollJobs() {
+  // Un sondeo a la vez: el intervalo y los avisos de trabajos nuevos pueden coincidir
+  if (!workerOptions || polling) {
+    return;
+  }
+
+  polling = true;
+  try {
+    const { requeued, failed } = await OptimizationJob.requeueStale(workerOptions.staleMinutes, workerOptions.maxAttempts);
+    if (requeued > 0) {
+      console.log(`[Optimization Jobs] Requeued ${requeued} stale job(s)`);
+    }
+    if (failed > 0) {
+      console.warn(`[Optimization Jobs] Failed ${failed} stale job(s) after ${workerOptions.maxAttempts} attempt(s)`);
+    }
+
+    while (workerOptions && activeJobs < workerOptions.concurrency) {
+      const job = await OptimizationJob.claimNext();
+      if (!job) {
+        break;
+      }
+      activeJobs++;
+      processJob(job).finally(() => {
+        activeJobs--;
+        setImmediate(pollJobs);
+      });
+    }
+  } catch (error) {
+    console.error('[Optimization Jobs] Error polling jobs:', error);
+  } finally {
+    polling = false;
+  }
+}
+
+/**
+ * Inicia el worker de optimizaciones en segundo plano
+ *
+ * @param {Object} options - Opciones de configuración
+ * @param {number} options.concurrency - Trabajos a la vez en esta instancia (default: OPTIMIZATION_JOB_CONCURRENCY o 1)
+ * @param {number} options.pollMs - Intervalo de búsqueda de trabajos (default: OPTIMIZATION_JOB_POLL_MS o 2000)
+ * @param {number} options.staleMinutes - Minutos sin avances para reencolar un trabajo en ejecución (default: OPTIMIZATION_JOB_STALE_MINUTES o 15)
+ * @param {number} options.maxAttempts - Intentos tras los que un trabajo caído se marca como fallido (default: OPTIMIZATION_JOB_MAX_ATTEMPTS o 3)
+ */
+export function startOptimizationWorker(options = {}) {
+  const {
+    concurrency = parseInt(process.env.OPTIMIZATION_JOB_CONCURRENCY) || 1,
+    pollMs = parseInt(process.env.OPTIMIZATION_JOB_POLL_MS) || 2000,
+    staleMinutes = parseInt(process.env.OPTIMIZATION_JOB_STALE_MINUTES) || 15,
+    maxAttempts = parseInt(process.env.OPTIMIZATION_JOB_MAX_ATTEMPTS) || 3
+  } = options;
+
+  if (workerTimer) {
+    return;
+  }
+
+  workerOptions = { concurrency: Math.max(1, concurrency), staleMinutes, maxAttempts: Math.max(1, maxAttempts) };
+  workerTimer = setInterval(pollJobs, pollMs);
+  workerTimer.unref();
+  console.log(`[Optimization Jobs] Worker started (concurrency: ${workerOptions.concurrency}, poll: ${pollMs}ms)`);
+  pollJobs();
+}
+
+/**
+ * Detiene el worker (los trabajos en curso terminan; los pendientes quedan en cola)
+ */
+export function stopOptimizationWorker() {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+  workerOptions = null;
+}
@@ -0,0 +1,149 @@
+import { Purchase } from '../models/Purchase.js';
+
+/**
+ * Servicio de Historial de Compras
+ *
+ * Detalle de cada compra con sus productos y el desglose de carbono y
+ * ahorros, e historial paginado y filtrable por fechas.
+ */
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const round4 = (value) => Math.round(value * 10000) / 10000;
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Convierte los filtros de fecha de la query en Date
+ * Una fecha sin hora en "to" incluye todo ese día
+ */
+export function toDateRange(from, to) {
+  return {
+    from: from ? new Date(from) : null,
+    to: to ? new Date(DATE_ONLY_PATTERN.test(to) ? `${to}T23:59:59.999Z` : to) : null
+  };
+}
+
+/**
+ * Item de compra con totales de la línea
+ */
+function toPurchaseItem(row) {
+  const price = parseFloat(row.price || 0);
+  const carbon = parseFloat(row.carbon_footprint || 0);
+  return {
+    id: row.id,
+    product_id: row.product_id,
+    barcode: row.barcode,
+    name: row.name,
+    brand: row.brand,
+    image_url: row.image_url,
+    eco_score: row.eco_score,
+    nutrition_grade: row.nutrition_grade,
+    carbon_footprint: row.carbon_footprint === null ? null : carbon,
+    quantity: row.quantity,
+    price,
+    line_total: round2(price * row.quantity),
+    line_carbon: round4(carbon * row.quantity)
+  };
+}
+
+/**
+ * kg CO2e ahorrados por un swap aceptado (original menos sustituto, por cantidad)
+ */
+export function swapCarbonSaved(swap) {
+  const saved = parseFloat(swap.original_carbon_footprint || 0) - parseFloat(swap.substitute_carbon_footprint || 0);
+  return round4(saved * swap.quantity);
+}
+
+/**
+ * Desglose de carbono (por producto y por eco-score) y de ahorros de una compra
+ */
+function buildBreakdown(purchase, items, swaps) {
+  const totalCarbon = items.reduce((sum, item) => sum + item.line_carbon, 0);
+
+  const byEcoScore = {};
+  for (const item of items) {
+    const grade = (item.eco_score || 'unknown').toUpperCase();
+    byEcoScore[grade] = round4((byEcoScore[grade] || 0) + item.line_carbon);
+  }
+
+  const swapSavings = swaps.map(swap => ({
+    original_product_id: swap.original_product_id,
+    original_name: swap.original_name,
+    substitute_product_id: swap.substitute_product_id,
+    substitute_name: swap.substitute_name,
+    quantity: swap.quantity,
+    carbon_saved: swapCarbonSaved(swap)
+  }));
+
+  return {
+    carbon: {
+      total: round4(totalCarbon),
+      byItem: items.map(item => ({
+        product_id: item.product_id,
+        name: item.name,
+        carbon: item.line_carbon,
+        share: totalCarbon > 0 ? round4(item.line_carbon / totalCarbon) : 0
+      })),
+      byEcoScore
+    },
+    savings: {
+      economic: purchase.total_savings === null ? null : parseFloat(purchase.total_savings),
+      carbon: round4(swapSavings.reduce((sum, swap) => sum + swap.carbon_saved, 0)),
+      swaps: swapSavings
+    }
+  };
+}
+
+/**
+ * Detalle de una compra: items con producto y desglose de carbono/ahorros
+ * @param {Object} purchase - Fila de purchases (ya verificada como del usuario)
+ */
+export async function getPurchaseDetail(purchase) {
+  const [itemRows, swaps] = await Promise.all([
+    Purchase.getItemsWithProducts([purchase.id]),
+    purchase.list_id ? Purchase.getAcceptedSwaps([purchase.id]) : []
+  ]);
+  const items = itemRows.map(toPurchaseItem);
+
+  return {
+    ...purchase,
+    items,
+    breakdown: buildBreakdown(purchase, items, swaps)
+  };
+}
+
+/**
+ * Historial paginado de compras con sus items
+ * @param {number} userId
+ * @param {Object} filters - { limit, offset, from, to } (from/to: fechas ISO 8601)
+ * @returns {Promise<Object>} { purchases, total, limit, offset }
+ */
+export async function getPurchaseHistory(userId, { limit = 20, offset = 0, from = null, to = null } = {}) {
+  const range = toDateRange(from, to);
+  const [purchases, total] = await Promise.all([
+    Purchase.findByUserId(userId, { limit, offset, ...range }),
+    Purchase.countByUserId(userId, range)
+  ]);
+
+  const itemRows = purchases.length > 0
+    ? await Purchase.getItemsWithProducts(purchases.map(p => p.id))
+    : [];
+
+  const itemsByPurchase = new Map();
+  for (const row of itemRows) {
+    if (!itemsByPurchase.has(row.purchase_id)) {
+      itemsByPurchase.set(row.purchase_id, []);
+    }
+    itemsByPurchase.get(row.purchase_id).push(toPurchaseItem(row));
+  }
+
+  return {
+    purchases: purchases.map(purchase => ({
+      ...purchase,
+      items: itemsByPurchase.get(purchase.id) || []
+    })),
+    total,
+    limit,
+    offset
+  };
+}
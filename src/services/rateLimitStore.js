@@ -0,0 +1,162 @@
+import pool from '../config/database.js';
+
+/**
+ * Stores para el rate limiting (ventana deslizante) y bloqueos temporales
+ *
+ * Ambos stores implementan la misma interfaz:
+ * - hit(key, windowMs): registra un intento y retorna { count, oldestHitAt } dentro de la ventana
+ * - reset(key): elimina los intentos registrados para la clave
+ * - lock(key, lockedUntil): bloquea la clave hasta la fecha indicada (ms)
+ * - getLock(key): retorna la fecha de fin del bloqueo (ms) o null si no está bloqueada
+ *
+ * Las claves llevan el email y la IP que envía el cliente, así que los stores
+ * eliminan periódicamente (al registrar intentos) las claves sin intentos en
+ * su ventana y los bloqueos vencidos de todas las claves
+ */
+
+// Cada cuánto se limpian como mucho las claves vencidas
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Store en memoria (por defecto). Solo sirve para una única instancia del backend
+ */
+export class MemoryRateLimitStore {
+  constructor() {
+    this.hits = new Map(); // key => { windowMs, hits: [ms] }
+    this.locks = new Map();
+    this.lastPruneAt = Date.now();
+  }
+
+  async hit(key, windowMs) {
+    const now = Date.now();
+    this.prune(now);
+    const recentHits = (this.hits.get(key)?.hits || []).filter(hitAt => hitAt > now - windowMs);
+    recentHits.push(now);
+    this.hits.set(key, { windowMs, hits: recentHits });
+    return { count: recentHits.length, oldestHitAt: recentHits[0] };
+  }
+
+  /**
+   * Elimina las claves cuyo último intento quedó fuera de su ventana y los bloqueos vencidos
+   */
+  prune(now = Date.now()) {
+    if (now - this.lastPruneAt < PRUNE_INTERVAL_MS) {
+      return;
+    }
+    this.lastPruneAt = now;
+    for (const [key, entry] of this.hits) {
+      if (entry.hits[entry.hits.length - 1] <= now - entry.windowMs) {
+        this.hits.delete(key);
+      }
+    }
+    for (const [key, lockedUntil] of this.locks) {
+      if (lockedUntil <= now) {
+        this.locks.delete(key);
+      }
+    }
+  }
+
+  async reset(key) {
+    this.hits.delete(key);
+  }
+
+  async lock(key, lockedUntil) {
+    this.locks.set(key, lockedUntil);
+  }
+
+  async getLock(key) {
+    const lockedUntil = this.locks.get(key);
+    if (!lockedUntil) {
+      return null;
+    }
+    if (lockedUntil <= Date.now()) {
+      this.locks.delete(key);
+      return null;
+    }
+    return lockedUntil;
+  }
+}
+
+/**
+ * Store en PostgreSQL. Comparte contadores y bloqueos entre instancias
+ */
+export class PostgresRateLimitStore {
+  constructor() {
+    // La primera limpieza espera un intervalo para conocer las ventanas en uso
+    this.lastPruneAt = Date.now();
+    this.maxWindowMs = 0;
+  }
+
+  async hit(key, windowMs) {
+    const windowStart = new Date(Date.now() - windowMs);
+    this.maxWindowMs = Math.max(this.maxWindowMs, windowMs);
+    await this.prune();
+
+    // Limpiar intentos fuera de la ventana para esta clave
+    await pool.query(
+      'DELETE FROM auth_rate_limit_hits WHERE key = $1 AND hit_at <= $2',
+      [key, windowStart]
+    );
+    await pool.query(
+      'INSERT INTO auth_rate_limit_hits (key, hit_at) VALUES ($1, $2)',
+      [key, new Date()]
+    );
+
+    const result = await pool.query(
+      `SELECT COUNT(*) AS count, MIN(hit_at) AS oldest_hit_at
+       FROM auth_rate_limit_hits
+       WHERE key = $1 AND hit_at > $2`,
+      [key, windowStart]
+    );
+    return {
+      count: parseInt(result.rows[0].count),
+      oldestHitAt: new Date(result.rows[0].oldest_hit_at).getTime()
+    };
+  }
+
+  /**
+   * Elimina los intentos de todas las claves fuera de la mayor ventana usada y los bloqueos vencidos
+   */
+  async prune() {
+    const now = Date.now();
+    if (now - this.lastPruneAt < PRUNE_INTERVAL_MS) {
+      return;
+    }
+    this.lastPruneAt = now;
+    await pool.query('DELETE FROM auth_rate_limit_hits WHERE hit_at <= $1', [new Date(now - this.maxWindowMs)]);
+    await pool.query('DELETE FROM auth_lockouts WHERE locked_until <= $1', [new Date(now)]);
+  }
+
+  async reset(key) {
+    await pool.query('DELETE FROM auth_rate_limit_hits WHERE key = $1', [key]);
+  }
+
+  async lock(key, lockedUntil) {
+    await pool.query(
+      `INSERT INTO auth_lockouts (key, locked_until) VALUES ($1, $2)
+       ON CONFLICT (key) DO UPDATE SET locked_until = EXCLUDED.locked_until`,
+      [key, new Date(lockedUntil)]
+    );
+  }
+
+  async getLock(key) {
+    const result = await pool.query(
+      'SELECT locked_until FROM auth_lockouts WHERE key = $1 AND locked_until > $2',
+      [key, new Date()]
+    );
+    return result.rows[0] ? new Date(result.rows[0].locked_until).getTime() : null;
+  }
+}
+
+/**
+ * Crea el store configurado con RATE_LIMIT_STORE (memory | postgres)
+ */
+export function createRateLimitStore(type = process.env.RATE_LIMIT_STORE || 'memory') {
+  if (type === 'postgres') {
+    return new PostgresRateLimitStore();
+  }
+  if (type !== 'memory') {
+    console.warn(`[RateLimit] Unknown RATE_LIMIT_STORE "${type}", using memory store`);
+  }
+  return new MemoryRateLimitStore();
+}
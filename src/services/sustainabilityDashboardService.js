@@ -0,0 +1,165 @@
+import { Purchase } from '../models/Purchase.js';
+import { calculateSustainabilityScore } from '../algorithms/sustainabilityScoring.js';
+import { toDateRange, swapCarbonSaved } from './purchaseHistoryService.js';
+import { getUserPreferences } from './userPreferencesService.js';
+
+/**
+ * Servicio de Dashboard de Sostenibilidad
+ *
+ * Agrega el historial de compras del usuario por semana, mes o año:
+ * gasto, kg CO2e, score de sostenibilidad medio, distribución de eco-score,
+ * categorías principales y ahorros frente a la lista original.
+ */
+
+export const DASHBOARD_GROUP_BY = ['week', 'month', 'year'];
+
+const TOP_CATEGORIES = 5;
+const ECO_SCORE_GRADES = ['A', 'B', 'C', 'D', 'E'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const round4 = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Inicio del periodo (UTC) al que pertenece una fecha, como YYYY-MM-DD
+ * Las semanas empiezan el lunes
+ */
+function periodStart(date, groupBy) {
+  const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (groupBy === 'week') {
+    d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  } else if (groupBy === 'month') {
+    d.setUTCDate(1);
+  } else {
+    d.setUTCMonth(0, 1);
+  }
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Categoría principal de un producto (primera de la lista de Open Food Facts)
+ */
+function mainCategory(product) {
+  const first = (product.category || '').split(',')[0].trim();
+  return first || 'uncategorized';
+}
+
+function emptyPeriod(period) {
+  return {
+    period,
+    purchases: 0,
+    spend: 0,
+    carbon: 0,
+    itemCount: 0,
+    scoreSum: 0,
+    ecoScoreDistribution: Object.fromEntries([...ECO_SCORE_GRADES, 'unknown'].map(grade => [grade, 0])),
+    categories: new Map(),
+    savings: { economic: 0, carbon: 0 }
+  };
+}
+
+/**
+ * Agrega los items de una compra al periodo
+ * El score se calcula con el precio pagado en la compra, no con el actual
+ */
+function addItem(period, item, weights) {
+  const quantity = item.quantity || 1;
+  const paidPrice = parseFloat(item.paid_price || 0);
+  const score = calculateSustainabilityScore({ ...item, price: paidPrice }, weights);
+
+  period.carbon += parseFloat(item.carbon_footprint || 0) * quantity;
+  period.itemCount += quantity;
+  period.scoreSum += score.total * quantity;
+
+  const grade = ECO_SCORE_GRADES.includes(item.eco_score) ? item.eco_score : 'unknown';
+  period.ecoScoreDistribution[grade] += quantity;
+
+  const category = mainCategory(item);
+  const entry = period.categories.get(category) || { category, quantity: 0, spend: 0 };
+  entry.quantity += quantity;
+  entry.spend += paidPrice * quantity;
+  period.categories.set(category, entry);
+}
+
+function toPeriodSummary(period) {
+  const topCategories = [...period.categories.values()]
+    .sort((a, b) => b.spend - a.spend || b.quantity - a.quantity || a.category.localeCompare(b.category))
+    .slice(0, TOP_CATEGORIES)
+    .map(entry => ({ ...entry, spend: round2(entry.spend) }));
+
+  return {
+    period: period.period,
+    purchases: period.purchases,
+    spend: round2(period.spend),
+    carbon: round4(period.carbon),
+    itemCount: period.itemCount,
+    averageSustainabilityScore: period.itemCount > 0 ? round2(period.scoreSum / period.itemCount) : null,
+    ecoScoreDistribution: period.ecoScoreDistribution,
+    topCategories,
+    savings: {
+      economic: round2(period.savings.economic),
+      carbon: round4(period.savings.carbon)
+    }
+  };
+}
+
+/**
+ * Dashboard de sostenibilidad del usuario
+ * @param {number} userId
+ * @param {Object} options - { groupBy: 'week' | 'month' | 'year', from, to } (from/to: fechas ISO 8601)
+ * @returns {Promise<Object>} { groupBy, from, to, totals, periods } (periods en orden cronológico)
+ */
+export async function getSustainabilityDashboard(userId, { groupBy = 'month', from = null, to = null } = {}) {
+  const range = toDateRange(from, to);
+  const [purchases, items, preferences] = await Promise.all([
+    Purchase.findByUserId(userId, range),
+    Purchase.getItemsByUserId(userId, range),
+    getUserPreferences(userId)
+  ]);
+
+  // Solo las compras hechas desde una lista pueden tener swaps aceptados
+  const listPurchaseIds = purchases.filter(purchase => purchase.list_id).map(purchase => purchase.id);
+  const swaps = listPurchaseIds.length > 0 ? await Purchase.getAcceptedSwaps(listPurchaseIds) : [];
+
+  const periods = new Map();
+  const periodOf = (purchase) => {
+    const key = periodStart(new Date(purchase.purchase_date), groupBy);
+    if (!periods.has(key)) {
+      periods.set(key, emptyPeriod(key));
+    }
+    return periods.get(key);
+  };
+
+  const purchasesById = new Map();
+  const overall = emptyPeriod(null);
+  for (const purchase of purchases) {
+    purchasesById.set(purchase.id, purchase);
+    for (const period of [periodOf(purchase), overall]) {
+      period.purchases += 1;
+      period.spend += parseFloat(purchase.total_price || 0);
+      period.savings.economic += parseFloat(purchase.total_savings || 0);
+    }
+  }
+
+  for (const item of items) {
+    addItem(periodOf(item), item, preferences.weights);
+    addItem(overall, item, preferences.weights);
+  }
+
+  for (const swap of swaps) {
+    const saved = swapCarbonSaved(swap);
+    periodOf(purchasesById.get(swap.purchase_id)).savings.carbon += saved;
+    overall.savings.carbon += saved;
+  }
+
+  const { period: _, ...totals } = toPeriodSummary(overall);
+
+  return {
+    groupBy,
+    from: range.from,
+    to: range.to,
+    totals,
+    periods: [...periods.values()]
+      .sort((a, b) => a.period.localeCompare(b.period))
+      .map(toPeriodSummary)
+  };
+}
@@ -0,0 +1,126 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { RefreshToken } from '../models/RefreshToken.js';
+
+/**
+ * Servicio de Tokens de Sesión
+ *
+ * Emite y verifica los JWT de acceso (vida corta) y de refresh (vida larga).
+ * Los refresh tokens se registran en la BD por su jti para poder revocarlos
+ * en logout y rotarlos en cada refresh.
+ */
+
+const ACCESS_TOKEN_TTL = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.JWT_REFRESH_EXPIRES_IN_DAYS || '7');
+
+function getSecret(name, devFallback) {
+  const secret = process.env[name];
+  if (secret) {
+    return secret;
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error(`${name} must be set in production`);
+  }
+  return devFallback;
+}
+
+const accessSecret = () => getSecret('JWT_SECRET', 'dev-access-secret');
+const refreshSecret = () => getSecret('JWT_REFRESH_SECRET', 'dev-refresh-secret');
+
+/**
+ * Firma un access token para el usuario
+ */
+export function signAccessToken(user) {
+  return jwt.sign(
+    { sub: String(user.id), email: user.email, role: user.role || 'user', type: 'access' },
+    accessSecret(),
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+/**
+ * Verifica un access token y retorna su payload (lanza error si es inválido o expiró)
+ */
+export function verifyAccessToken(token) {
+  const payload = jwt.verify(token, accessSecret());
+  if (payload.type !== 'access') {
+    throw new jwt.JsonWebTokenError('invalid token type');
+  }
+  return payload;
+}
+
+/**
+ * Emite un par access + refresh token y registra el refresh en la BD
+ * @param {Object} user - Usuario autenticado
+ * @returns {Promise<Object>} { accessToken, refreshToken, tokenType, expiresIn }
+ */
+export async function issueTokens(user) {
+  const tokenId = crypto.randomUUID();
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  const refreshToken = jwt.sign(
+    { sub: String(user.id), type: 'refresh' },
+    refreshSecret(),
+    { jwtid: tokenId, expiresIn: `${REFRESH_TOKEN_TTL_DAYS}d` }
+  );
+
+  await RefreshToken.create(user.id, tokenId, expiresAt);
+
+  return {
+    accessToken: signAccessToken(user),
+    refreshToken,
+    tokenType: 'Bearer',
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+}
+
+/**
+ * Payload de un refresh token con firma válida o null
+ */
+function decodeRefreshToken(token, { ignoreExpiration = false } = {}) {
+  let payload;
+  try {
+    payload = jwt.verify(token, refreshSecret(), { ignoreExpiration });
+  } catch (error) {
+    return null;
+  }
+  return payload.type === 'refresh' && payload.jti ? payload : null;
+}
+
+/**
+ * Consume un refresh token para emitir uno nuevo (rotación de un solo uso)
+ * Si el token ya se había usado o revocado se considera robado y se revocan
+ * todas las sesiones del usuario
+ * @returns {Promise<Object|null>} { userId, tokenId } o null si no es válido
+ */
+export async function rotateRefreshToken(token) {
+  const payload = decodeRefreshToken(token);
+  if (!payload) {
+    return null;
+  }
+
+  // Solo una petición consigue revocarlo: dos refresh simultáneos no obtienen dos pares
+  const consumed = await RefreshToken.consume(payload.jti, payload.sub);
+  if (consumed) {
+    return { userId: consumed.user_id, tokenId: payload.jti };
+  }
+
+  const stored = await RefreshToken.findByTokenId(payload.jti);
+  if (stored && stored.revoked_at && String(stored.user_id) === payload.sub) {
+    console.warn(`Refresh token reuse detected for user ${stored.user_id}; revoking all sessions`);
+    await RefreshToken.revokeAllForUser(stored.user_id);
+  }
+  return null;
+}
+
+/**
+ * Revoca un refresh token (logout)
+ * @returns {Promise<boolean>} false si el token no es válido o ya estaba revocado
+ */
+export async function revokeRefreshToken(token) {
+  const payload = decodeRefreshToken(token, { ignoreExpiration: true });
+  if (!payload) {
+    return false;
+  }
+  return await RefreshToken.revoke(payload.jti);
+}
@@ -0,0 +1,103 @@
+import { User } from '../models/User.js';
+import { DEFAULT_WEIGHTS } from '../algorithms/sustainabilityScoring.js';
+import { normalizeAllergen } from '../utils/allergens.js';
+
+/**
+ * Servicio de Preferencias de Usuario
+ *
+ * Esquema de users.preferences:
+ *   weights          { economic, environmental, social } pesos del score (0-1)
+ *   vegan            boolean
+ *   glutenFree       boolean
+ *   allergens        string[] alérgenos declarados (se normalizan a tags de Open Food Facts, ver utils/allergens.js)
+ *   preferredCountry string país por defecto para precios y búsqueda
+ *   excludedBrands   string[] marcas que nunca se sugieren como sustituto
+ *   carbonBudget     number kg CO2e por mes (ver carbonBudgetService)
+ *
+ * Se valida al guardar (validators/userValidators.js) y se normaliza al
+ * leer, así las preferencias guardadas antes del esquema siguen funcionando.
+ */
+
+export const PREFERENCE_KEYS = [
+  'weights',
+  'vegan',
+  'glutenFree',
+  'allergens',
+  'preferredCountry',
+  'excludedBrands',
+  'carbonBudget'
+];
+
+export const WEIGHT_DIMENSIONS = Object.keys(DEFAULT_WEIGHTS);
+
+const normalizeList = (values) => Array.isArray(values)
+  ? [...new Set(values.filter(v => typeof v === 'string').map(v => v.toLowerCase().trim()).filter(Boolean))]
+  : [];
+
+/**
+ * Pesos del score: completa las dimensiones que faltan con el default y
+ * escala para que sumen 1
+ */
+function normalizeWeights(weights) {
+  if (!weights || typeof weights !== 'object') {
+    return DEFAULT_WEIGHTS;
+  }
+
+  const merged = Object.fromEntries(WEIGHT_DIMENSIONS.map(dimension => {
+    const value = parseFloat(weights[dimension]);
+    return [dimension, Number.isFinite(value) && value >= 0 ? value : DEFAULT_WEIGHTS[dimension]];
+  }));
+  const sum = WEIGHT_DIMENSIONS.reduce((total, dimension) => total + merged[dimension], 0);
+  if (sum <= 0) {
+    return DEFAULT_WEIGHTS;
+  }
+
+  return Object.fromEntries(WEIGHT_DIMENSIONS.map(dimension => [dimension, Math.round((merged[dimension] / sum) * 10000) / 10000]));
+}
+
+/**
+ * Preferencias con todos los campos del esquema y valores por defecto
+ * @param {Object} preferences - users.preferences (puede ser null)
+ */
+export function normalizePreferences(preferences) {
+  const prefs = preferences && typeof preferences === 'object' ? preferences : {};
+  const carbonBudget = parseFloat(prefs.carbonBudget);
+
+  return {
+    weights: normalizeWeights(prefs.weights),
+    vegan: prefs.vegan === true,
+    glutenFree: prefs.glutenFree === true,
+    allergens: [...new Set(normalizeList(prefs.allergens).map(normalizeAllergen))],
+    preferredCountry: typeof prefs.preferredCountry === 'string' && prefs.preferredCountry.trim()
+      ? prefs.preferredCountry.trim()
+      : null,
+    excludedBrands: normalizeList(prefs.excludedBrands),
+    carbonBudget: Number.isFinite(carbonBudget) ? carbonBudget : null
+  };
+}
+
+/**
+ * Preferencias normalizadas de un usuario (o las de por defecto si no hay usuario)
+ * @param {number|null} userId
+ */
+export async function getUserPreferences(userId) {
+  if (!userId) {
+    return normalizePreferences(null);
+  }
+  const user = await User.findById(userId);
+  return normalizePreferences(user?.preferences);
+}
+
+/**
+ * Criterios de findSmartSubstitutes derivados de las preferencias
+ */
+export function toSubstitutionCriteria(preferences) {
+  return {
+    excludedBrands: preferences.excludedBrands,
+    dietaryRestrictions: {
+      vegan: preferences.vegan,
+      glutenFree: preferences.glutenFree,
+      allergens: preferences.allergens
+    }
+  };
+}
@@ -0,0 +1,62 @@
+import {
+  splitCategories,
+  toCategoryTag,
+  getProductCategories,
+  getProductCategoryTags,
+  getSearchableCategoryTags
+} from '../categoryTags.js';
+
+describe('Category Tags', () => {
+  const createMockProduct = (category, categoriesTags) => ({
+    category,
+    openfoodfacts_data: categoriesTags ? { categories_tags: categoriesTags } : {}
+  });
+
+  test('splitCategories should lowercase, trim and drop empty categories', () => {
+    expect(splitCategories(' Lácteos, Leches ,, Leche entera ')).toEqual(['lácteos', 'leches', 'leche entera']);
+    expect(splitCategories(null)).toEqual([]);
+  });
+
+  test('toCategoryTag should strip the language prefix, accents and punctuation', () => {
+    expect(toCategoryTag('en:whole-milks')).toBe('whole-milks');
+    expect(toCategoryTag('Leche entera')).toBe('leche-entera');
+    expect(toCategoryTag('Lácteos')).toBe('lacteos');
+    expect(toCategoryTag('  Piñas & Frutas (en almíbar) ')).toBe('pinas-frutas-en-almibar');
+    expect(toCategoryTag('***')).toBe('');
+  });
+
+  test('getProductCategories should merge category and Open Food Facts tags without duplicates', () => {
+    const product = createMockProduct('Lácteos, Leches', ['en:dairies', 'es:leches']);
+
+    expect(getProductCategories(product)).toEqual(['lácteos', 'leches', 'dairies']);
+  });
+
+  test('getProductCategories should accept openfoodfacts_data as JSON text', () => {
+    const product = { category: '', openfoodfacts_data: JSON.stringify({ categories_tags: ['en:milks'] }) };
+
+    expect(getProductCategories(product)).toEqual(['milks']);
+    expect(getProductCategories({ openfoodfacts_data: '{not json' })).toEqual([]);
+  });
+
+  test('getProductCategoryTags should keep the deepest position of each tag', () => {
+    const product = createMockProduct('Lácteos, Leches, Leche entera', ['en:dairies', 'en:milks', 'en:leches', 'en:whole-milks']);
+
+    expect(getProductCategoryTags(product)).toEqual([
+      { tag: 'lacteos', depth: 1 },
+      { tag: 'leches', depth: 3 },
+      { tag: 'leche-entera', depth: 3 },
+      { tag: 'dairies', depth: 1 },
+      { tag: 'milks', depth: 2 },
+      { tag: 'whole-milks', depth: 4 }
+    ]);
+  });
+
+  test('getSearchableCategoryTags should leave out generic tags', () => {
+    const product = createMockProduct('Alimentos, Bebidas, Zumos', ['en:beverages', 'en:juices']);
+
+    expect(getSearchableCategoryTags(product)).toEqual([
+      { tag: 'zumos', depth: 3 },
+      { tag: 'juices', depth: 2 }
+    ]);
+  });
+});
@@ -0,0 +1,69 @@
+import { createConcurrencyLimiter } from '../concurrencyLimiter.js';
+
+describe('Concurrency Limiter', () => {
+  // Tarea que termina cuando se llama a su resolve
+  const createDeferredTask = (value) => {
+    let resolve;
+    const done = new Promise(r => { resolve = r; });
+    return { task: () => done.then(() => value), resolve };
+  };
+
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  test('should run at most maxConcurrent tasks at a time', async () => {
+    const limit = createConcurrencyLimiter(2);
+    const tasks = [1, 2, 3, 4].map(createDeferredTask);
+
+    const results = Promise.all(tasks.map(({ task }) => limit(task)));
+    await flush();
+    expect(limit.activeCount).toBe(2);
+    expect(limit.pendingCount).toBe(2);
+
+    tasks[0].resolve();
+    await flush();
+    expect(limit.activeCount).toBe(2);
+    expect(limit.pendingCount).toBe(1);
+
+    tasks.slice(1).forEach(({ resolve }) => resolve());
+    expect(await results).toEqual([1, 2, 3, 4]);
+    expect(limit.activeCount).toBe(0);
+    expect(limit.pendingCount).toBe(0);
+  });
+
+  test('should start queued tasks in FIFO order', async () => {
+    const limit = createConcurrencyLimiter(1);
+    const started = [];
+
+    await Promise.all(['a', 'b', 'c'].map(name => limit(async () => {
+      started.push(name);
+      await flush();
+    })));
+
+    expect(started).toEqual(['a', 'b', 'c']);
+  });
+
+  test('should reject with the task error and keep running the queue', async () => {
+    const limit = createConcurrencyLimiter(1);
+
+    const failing = limit(() => { throw new Error('boom'); });
+    const next = limit(async () => 'ok');
+
+    await expect(failing).rejects.toThrow('boom');
+    await expect(next).resolves.toBe('ok');
+    expect(limit.activeCount).toBe(0);
+  });
+
+  test('should run at least one task for invalid limits', async () => {
+    for (const maxConcurrent of [0, -1, NaN, undefined]) {
+      const limit = createConcurrencyLimiter(maxConcurrent);
+      const tasks = [createDeferredTask(1), createDeferredTask(2)];
+
+      const results = Promise.all(tasks.map(({ task }) => limit(task)));
+      await flush();
+      expect(limit.activeCount).toBe(1);
+
+      tasks.forEach(({ resolve }) => resolve());
+      expect(await results).toEqual([1, 2]);
+    }
+  });
+});
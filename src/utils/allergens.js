@@ -0,0 +1,83 @@
+/**
+ * Utilidades de alérgenos
+ *
+ * Open Food Facts guarda los alérgenos como tags separados por comas
+ * ("en:milk,en:gluten"). Los alérgenos declarados por el usuario pueden venir
+ * en español o en inglés; ambos se normalizan al tag de Open Food Facts sin
+ * prefijo de idioma (milk, gluten, eggs...) para poder compararlos.
+ */
+
+const ALLERGEN_SYNONYMS = {
+  gluten: ['gluten', 'trigo', 'wheat', 'cebada', 'barley', 'centeno', 'rye', 'avena', 'oats'],
+  milk: ['milk', 'leche', 'lactosa', 'lactose', 'lacteos', 'dairy'],
+  eggs: ['eggs', 'egg', 'huevo', 'huevos'],
+  nuts: ['nuts', 'frutos secos', 'frutos de cascara', 'almendra', 'almendras', 'nueces', 'avellanas'],
+  peanuts: ['peanuts', 'peanut', 'cacahuete', 'cacahuetes', 'mani'],
+  soybeans: ['soybeans', 'soy', 'soya', 'soja'],
+  fish: ['fish', 'pescado'],
+  crustaceans: ['crustaceans', 'crustaceos', 'marisco', 'mariscos'],
+  molluscs: ['molluscs', 'moluscos'],
+  celery: ['celery', 'apio'],
+  mustard: ['mustard', 'mostaza'],
+  'sesame-seeds': ['sesame-seeds', 'sesame', 'sesamo'],
+  'sulphur-dioxide-and-sulphites': ['sulphur-dioxide-and-sulphites', 'sulphites', 'sulfitos'],
+  lupin: ['lupin', 'altramuces', 'altramuz']
+};
+
+const CANONICAL_BY_SYNONYM = new Map(
+  Object.entries(ALLERGEN_SYNONYMS).flatMap(([canonical, synonyms]) => synonyms.map(synonym => [synonym, canonical]))
+);
+
+/**
+ * Normaliza un alérgeno (tag de Open Food Facts o nombre en español/inglés)
+ * @param {string} allergen - Ej: "en:milk", "Leche", "frutos secos"
+ * @returns {string} Tag canónico sin prefijo de idioma (o el valor limpio si no se reconoce)
+ */
+export function normalizeAllergen(allergen) {
+  const cleaned = String(allergen)
+    .toLowerCase()
+    .trim()
+    .replace(/^[a-z]{2}:/, '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '');
+  return CANONICAL_BY_SYNONYM.get(cleaned) || CANONICAL_BY_SYNONYM.get(cleaned.replace(/-/g, ' ')) || cleaned;
+}
+
+/**
+ * Alérgenos normalizados de un producto (de openfoodfacts_data.allergens o allergens_tags)
+ * @param {Object} product
+ * @returns {Array<string>}
+ */
+export function getProductAllergens(product) {
+  let data = product?.openfoodfacts_data;
+  if (typeof data === 'string') {
+    try {
+      data = JSON.parse(data);
+    } catch (e) {
+      data = {};
+    }
+  }
+  if (!data || typeof data !== 'object') {
+    return [];
+  }
+
+  const raw = Array.isArray(data.allergens_tags)
+    ? data.allergens_tags
+    : String(data.allergens || '').split(',');
+
+  return [...new Set(raw.map(tag => tag.trim()).filter(Boolean).map(normalizeAllergen))];
+}
+
+/**
+ * Alérgenos del usuario que contiene el producto
+ * @param {Object} product
+ * @param {Array<string>} userAllergens - Alérgenos declarados (normalizados o no)
+ * @returns {Array<string>} Tags canónicos encontrados (vacío si el producto es seguro)
+ */
+export function findAllergens(product, userAllergens = []) {
+  if (!userAllergens || userAllergens.length === 0) {
+    return [];
+  }
+  const declared = new Set(userAllergens.map(normalizeAllergen));
+  return getProductAllergens(product).filter(allergen => declared.has(allergen));
+}
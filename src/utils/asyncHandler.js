@@ -0,0 +1,11 @@
+/**
+ * Envuelve un controlador/middleware async para que los errores lanzados
+ * (o promesas rechazadas) lleguen al middleware central de errores
+ * @param {Function} handler - async (req, res, next) => ...
+ * @returns {Function} Middleware de Express
+ */
+export function asyncHandler(handler) {
+  return (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(next);
+  };
+}
@@ -0,0 +1,116 @@
+/**
+ * Utilidades de categorías
+ *
+ * Los productos traen categorías en dos formatos: el campo category
+ * ("Lácteos, Leches, Leche entera") y openfoodfacts_data.categories_tags
+ * (["en:dairies", "en:milks"]). Ambos van de lo más general a lo más
+ * específico. Para el índice product_categories se normalizan a tags sin
+ * prefijo de idioma, sin acentos y con guiones ("lacteos", "leche-entera",
+ * "milks"); es la única normalización: el índice se genera siempre desde aquí
+ * (Product.indexCategoryTags e indexPendingCategoryTags, ver migración 020).
+ */
+
+// Tags demasiado amplios para buscar sustitutos (casi cualquier producto los comparte)
+export const GENERIC_CATEGORY_TAGS = new Set([
+  'alimentos',
+  'bebidas',
+  'desayunos',
+  'alimentos-de-origen-vegetal',
+  'alimentos-y-bebidas-de-origen-vegetal',
+  'foods',
+  'beverages',
+  'breakfasts',
+  'plant-based-foods',
+  'plant-based-foods-and-beverages',
+  'specific-products',
+  'products-for-specific-diets'
+]);
+
+/**
+ * Categorías separadas por comas, en minúsculas y sin vacías
+ * @param {string} value - Ej: "Lácteos, Leches"
+ * @returns {Array<string>}
+ */
+export function splitCategories(value) {
+  return String(value || '')
+    .toLowerCase()
+    .split(',')
+    .map(category => category.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Normaliza una categoría a tag
+ * @param {string} category - Ej: "en:whole-milks", "Leche entera"
+ * @returns {string} Ej: "whole-milks", "leche-entera" (vacío si no queda nada)
+ */
+export function toCategoryTag(category) {
+  return String(category)
+    .toLowerCase()
+    .trim()
+    .replace(/^[a-z]{2}:/, '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * categories_tags de openfoodfacts_data (puede venir como texto JSON)
+ */
+function openFoodFactsCategoryTags(product) {
+  let data = product?.openfoodfacts_data;
+  if (typeof data === 'string') {
+    try {
+      data = JSON.parse(data);
+    } catch (e) {
+      data = {};
+    }
+  }
+  return data && typeof data === 'object' && Array.isArray(data.categories_tags) ? data.categories_tags : [];
+}
+
+/**
+ * Categorías de un producto (de category y openfoodfacts_data.categories_tags),
+ * en minúsculas y sin prefijo de idioma
+ * @param {Object} product
+ * @returns {Array<string>} Sin duplicados
+ */
+export function getProductCategories(product) {
+  const categories = [
+    ...splitCategories(product?.category),
+    ...openFoodFactsCategoryTags(product).map(tag => String(tag).toLowerCase().replace(/^[a-z]{2}:/, ''))
+  ];
+
+  return [...new Set(categories)];
+}
+
+/**
+ * Tags de categoría de un producto con su profundidad en la jerarquía
+ * (posición en su lista, empezando en 1: mayor es más específica)
+ * @param {Object} product
+ * @returns {Array<Object>} [{ tag, depth }] sin duplicados (se queda la mayor profundidad)
+ */
+export function getProductCategoryTags(product) {
+  const depths = new Map();
+  const add = (categories) => categories.forEach((category, index) => {
+    const tag = toCategoryTag(category);
+    if (tag && tag.length <= 255) {
+      depths.set(tag, Math.max(depths.get(tag) || 0, index + 1));
+    }
+  });
+
+  add(splitCategories(product?.category));
+  add(openFoodFactsCategoryTags(product));
+
+  return [...depths].map(([tag, depth]) => ({ tag, depth }));
+}
+
+/**
+ * Tags útiles para buscar sustitutos (sin los genéricos)
+ * @param {Object} product
+ * @returns {Array<Object>} [{ tag, depth }]
+ */
+export function getSearchableCategoryTags(product) {
+  return getProductCategoryTags(product).filter(({ tag }) => !GENERIC_CATEGORY_TAGS.has(tag));
+}
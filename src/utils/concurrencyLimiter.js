@@ -0,0 +1,45 @@
+/**
+ * Limitador de concurrencia
+ *
+ * Ejecuta como máximo maxConcurrent tareas a la vez; el resto espera en cola
+ * (FIFO). Se usa para no saturar servicios externos (Open Food Facts) cuando
+ * varias optimizaciones buscan sustitutos al mismo tiempo.
+ */
+
+/**
+ * @param {number} maxConcurrent - Tareas simultáneas (mínimo 1)
+ * @returns {Function} limit(task) => Promise con el resultado de task()
+ *   limit.activeCount y limit.pendingCount para diagnóstico
+ */
+export function createConcurrencyLimiter(maxConcurrent) {
+  const max = Math.max(1, Math.floor(maxConcurrent) || 1);
+  const queue = [];
+  let active = 0;
+
+  const next = () => {
+    if (active >= max || queue.length === 0) {
+      return;
+    }
+    const { task, resolve, reject } = queue.shift();
+    active++;
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  const limit = (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+
+  Object.defineProperties(limit, {
+    activeCount: { get: () => active },
+    pendingCount: { get: () => queue.length }
+  });
+
+  return limit;
+}
@@ -0,0 +1,77 @@
+/**
+ * Errores de aplicación tipados
+ *
+ * Cada error lleva un status HTTP y un código estable que el middleware
+ * central de errores (middleware/errorHandler.js) usa para construir la
+ * respuesta: { error, code, requestId, details? }
+ */
+
+export class AppError extends Error {
+  /**
+   * @param {string} message - Mensaje legible para el cliente
+   * @param {Object} options - { status, code, details }
+   */
+  constructor(message, { status = 500, code = 'INTERNAL_ERROR', details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export class BadRequestError extends AppError {
+  constructor(message = 'Bad request', details) {
+    super(message, { status: 400, code: 'BAD_REQUEST', details });
+  }
+}
+
+export class ValidationError extends AppError {
+  constructor(details = [], message = 'Validation failed') {
+    super(message, { status: 400, code: 'VALIDATION_ERROR', details });
+  }
+}
+
+export class UnauthorizedError extends AppError {
+  constructor(message = 'Not authenticated') {
+    super(message, { status: 401, code: 'UNAUTHORIZED' });
+  }
+}
+
+export class ForbiddenError extends AppError {
+  constructor(message = 'Forbidden') {
+    super(message, { status: 403, code: 'FORBIDDEN' });
+  }
+}
+
+export class NotFoundError extends AppError {
+  constructor(message = 'Not found') {
+    super(message, { status: 404, code: 'NOT_FOUND' });
+  }
+}
+
+export class ConflictError extends AppError {
+  constructor(message = 'Conflict') {
+    super(message, { status: 409, code: 'CONFLICT' });
+  }
+}
+
+export class TooManyRequestsError extends AppError {
+  /**
+   * @param {string} message
+   * @param {number} retryAfterSeconds - Se envía en el header Retry-After
+   */
+  constructor(message = 'Too many requests', retryAfterSeconds = null) {
+    super(message, { status: 429, code: 'TOO_MANY_REQUESTS', details: retryAfterSeconds ? { retryAfter: retryAfterSeconds } : undefined });
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+export class UpstreamUnavailableError extends AppError {
+  /**
+   * @param {string} service - Servicio externo que falló (ej: 'Open Food Facts')
+   */
+  constructor(service, message = `${service} is unavailable`) {
+    super(message, { status: 503, code: 'UPSTREAM_UNAVAILABLE', details: { service } });
+  }
+}
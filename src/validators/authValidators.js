@@ -0,0 +1,54 @@
+import { emailField, requiredStringField } from './common.js';
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const newPasswordField = {
+  in: ['body'],
+  isString: { errorMessage: 'must be a string' },
+  isLength: {
+    options: { min: MIN_PASSWORD_LENGTH, max: 128 },
+    errorMessage: `must be between ${MIN_PASSWORD_LENGTH} and 128 characters`
+  }
+};
+
+const tokenField = {
+  in: ['body'],
+  isString: { errorMessage: 'must be a string' },
+  notEmpty: { errorMessage: 'is required' }
+};
+
+export const registerSchema = {
+  email: emailField(),
+  name: requiredStringField('body'),
+  password: newPasswordField
+};
+
+export const loginSchema = {
+  email: emailField(),
+  password: {
+    in: ['body'],
+    isString: { errorMessage: 'must be a string' },
+    notEmpty: { errorMessage: 'is required' }
+  }
+};
+
+export const refreshTokenSchema = {
+  refreshToken: tokenField
+};
+
+export const verifyEmailSchema = {
+  token: {
+    ...tokenField,
+    isHexadecimal: { errorMessage: 'must be a valid token' },
+    isLength: { options: { min: 64, max: 64 }, errorMessage: 'must be a valid token' }
+  }
+};
+
+export const forgotPasswordSchema = {
+  email: emailField()
+};
+
+export const resetPasswordSchema = {
+  token: verifyEmailSchema.token,
+  password: newPasswordField
+};
@@ -0,0 +1,25 @@
+import { idField, quantityField, countryField, idempotencyKeyField } from './common.js';
+
+export const getCartSchema = {
+  country: countryField('query')
+};
+
+export const addToCartSchema = {
+  productId: idField('body'),
+  quantity: quantityField('body', { optional: true })
+};
+
+export const updateCartItemSchema = {
+  productId: idField('body'),
+  // quantity = 0 elimina el producto del carrito
+  quantity: quantityField('body', { min: 0 })
+};
+
+export const removeFromCartSchema = {
+  productId: idField('body')
+};
+
+export const checkoutCartSchema = {
+  country: countryField('query'),
+  'idempotency-key': idempotencyKeyField()
+};
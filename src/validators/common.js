@@ -0,0 +1,104 @@
+/**
+ * Reglas reutilizables para los schemas de validación
+ * Cada función retorna la definición de un campo para checkSchema
+ */
+
+export const MAX_ITEM_QUANTITY = 99;
+
+export function idField(location, { optional = false } = {}) {
+  return {
+    in: [location],
+    ...(optional ? { optional: { options: { values: 'null' } } } : {}),
+    isInt: { options: { min: 1 }, errorMessage: 'must be a positive integer' },
+    toInt: true
+  };
+}
+
+export function quantityField(location, { min = 1, optional = false } = {}) {
+  return {
+    in: [location],
+    ...(optional ? { optional: true } : {}),
+    isInt: {
+      options: { min, max: MAX_ITEM_QUANTITY },
+      errorMessage: `must be an integer between ${min} and ${MAX_ITEM_QUANTITY}`
+    },
+    toInt: true
+  };
+}
+
+export function emailField(location = 'body') {
+  return {
+    in: [location],
+    trim: true,
+    isEmail: { errorMessage: 'must be a valid email' },
+    isLength: { options: { max: 255 }, errorMessage: 'must be at most 255 characters' }
+  };
+}
+
+export function requiredStringField(location, { max = 255 } = {}) {
+  return {
+    in: [location],
+    isString: { errorMessage: 'must be a string', bail: true },
+    trim: true,
+    notEmpty: { errorMessage: 'is required' },
+    isLength: { options: { max }, errorMessage: `must be at most ${max} characters` }
+  };
+}
+
+export function countryField(location = 'query') {
+  return {
+    in: [location],
+    optional: true,
+    isString: { errorMessage: 'must be a string' },
+    trim: true,
+    isLength: { options: { max: 100 }, errorMessage: 'must be at most 100 characters' }
+  };
+}
+
+export function idempotencyKeyField() {
+  return {
+    in: ['headers'],
+    optional: true,
+    isString: { errorMessage: 'must be a string', bail: true },
+    isLength: { options: { min: 1, max: 255 }, errorMessage: 'must be between 1 and 255 characters' }
+  };
+}
+
+export function paginationFields(location = 'query', { maxLimit = 1000 } = {}) {
+  return {
+    limit: {
+      in: [location],
+      optional: true,
+      isInt: { options: { min: 1, max: maxLimit }, errorMessage: `must be an integer between 1 and ${maxLimit}` },
+      toInt: true
+    },
+    offset: {
+      in: [location],
+      optional: true,
+      isInt: { options: { min: 0 }, errorMessage: 'must be a non-negative integer' },
+      toInt: true
+    }
+  };
+}
+
+/**
+ * Rango de fechas ISO 8601 (from <= to) para filtrar por fecha
+ */
+export function dateRangeFields(location = 'query') {
+  return {
+    from: {
+      in: [location],
+      optional: true,
+      isISO8601: { errorMessage: 'must be an ISO 8601 date' }
+    },
+    to: {
+      in: [location],
+      optional: true,
+      isISO8601: { errorMessage: 'must be an ISO 8601 date', bail: true },
+      custom: {
+        options: (value, { req }) => !req[location].from || new Date(value) >= new Date(req[location].from),
+        errorMessage: 'must be on or after from'
+      }
+    }
+  };
+}
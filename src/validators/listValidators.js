@@ -0,0 +1,117 @@
+import { idField, quantityField, countryField, requiredStringField, idempotencyKeyField } from './common.js';
+import { MAX_BASKETS } from '../algorithms/paretoOptimizer.js';
+
+// swap: sustituciones inteligentes (por defecto); pareto: además, la frontera de Pareto
+export const OPTIMIZATION_MODES = ['swap', 'pareto'];
+
+const mustHaveField = {
+  in: ['body'],
+  optional: true,
+  isBoolean: { options: { strict: true }, errorMessage: 'must be a boolean' }
+};
+
+const budgetField = {
+  in: ['body'],
+  isFloat: { options: { gt: 0, max: 1000000 }, errorMessage: 'must be a positive number' },
+  toFloat: true
+};
+
+export const createListSchema = {
+  name: requiredStringField('body'),
+  budget: budgetField
+};
+
+export const listListsSchema = {
+  userId: idField('query', { optional: true })
+};
+
+export const updateListSchema = {
+  id: idField('params'),
+  name: { ...requiredStringField('body'), optional: true },
+  budget: { ...budgetField, optional: true }
+};
+
+export const deleteListSchema = {
+  id: idField('params')
+};
+
+export const getListSchema = {
+  id: idField('params')
+};
+
+export const addItemToListSchema = {
+  listId: idField('params'),
+  productId: idField('body'),
+  quantity: quantityField('body', { optional: true }),
+  mustHave: mustHaveField
+};
+
+export const updateListItemSchema = {
+  listId: idField('params'),
+  itemId: idField('params'),
+  quantity: quantityField('body', { optional: true }),
+  mustHave: mustHaveField
+};
+
+export const removeListItemSchema = {
+  listId: idField('params'),
+  itemId: idField('params')
+};
+
+export const optimizeListSchema = {
+  id: idField('params'),
+  country: countryField('query'),
+  options: {
+    in: ['body'],
+    optional: true,
+    isObject: { errorMessage: 'must be an object' }
+  },
+  'options.mode': {
+    in: ['body'],
+    optional: true,
+    isIn: { options: [OPTIMIZATION_MODES], errorMessage: `must be one of: ${OPTIMIZATION_MODES.join(', ')}` }
+  },
+  'options.maxBaskets': {
+    in: ['body'],
+    optional: true,
+    isInt: { options: { min: 1, max: MAX_BASKETS }, errorMessage: `must be an integer between 1 and ${MAX_BASKETS}` },
+    toInt: true
+  }
+};
+
+export const optimizationJobSchema = {
+  id: idField('params'),
+  jobId: idField('params')
+};
+
+export const optimizationRunsSchema = {
+  id: idField('params')
+};
+
+export const optimizationRunSchema = {
+  id: idField('params'),
+  runId: idField('params')
+};
+
+export const optimizationRunDiffSchema = {
+  id: idField('params'),
+  runId: idField('params'),
+  otherRunId: idField('params')
+};
+
+export const optimizationSwapSchema = {
+  id: idField('params'),
+  runId: idField('params'),
+  swapId: idField('params')
+};
+
+export const checkoutListSchema = {
+  id: idField('params'),
+  country: countryField('query'),
+  'idempotency-key': idempotencyKeyField()
+};
+
+export const getSubstitutesSchema = {
+  productId: idField('params'),
+  country: countryField('query')
+};
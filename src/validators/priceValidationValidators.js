@@ -0,0 +1,28 @@
+import { idField, paginationFields } from './common.js';
+
+const onlyInvalidField = {
+  in: ['query'],
+  optional: true,
+  isBoolean: { errorMessage: 'must be true or false' }
+};
+
+export const invalidPricesSchema = {
+  ...paginationFields('query')
+};
+
+export const validatePricesSchema = {
+  ...paginationFields('query', { maxLimit: 100000 }),
+  onlyInvalid: onlyInvalidField
+};
+
+export const fixProductPriceSchema = {
+  id: idField('params')
+};
+
+export const fixMultiplePricesSchema = {
+  productIds: {
+    in: ['body'],
+    isArray: { options: { min: 1, max: 500 }, errorMessage: 'must be a non-empty array of product ids' }
+  },
+  'productIds.*': idField('body')
+};
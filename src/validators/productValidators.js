@@ -0,0 +1,56 @@
+import { idField, countryField, requiredStringField } from './common.js';
+
+export const MAX_PAGE_SIZE = 100;
+
+export const getProductByBarcodeSchema = {
+  barcode: requiredStringField('params'),
+  country: countryField('query')
+};
+
+export const searchProductsSchema = {
+  query: requiredStringField('query', { max: 200 }),
+  page: {
+    in: ['query'],
+    optional: true,
+    isInt: { options: { min: 1, max: 1000 }, errorMessage: 'must be an integer between 1 and 1000' },
+    toInt: true
+  },
+  pageSize: {
+    in: ['query'],
+    optional: true,
+    isInt: { options: { min: 1, max: MAX_PAGE_SIZE }, errorMessage: `must be an integer between 1 and ${MAX_PAGE_SIZE}` },
+    toInt: true
+  },
+  country: countryField('query')
+};
+
+export const ensureProductExistsSchema = {
+  barcode: requiredStringField('body'),
+  name: {
+    in: ['body'],
+    optional: true,
+    isString: { errorMessage: 'must be a string' },
+    isLength: { options: { max: 500 }, errorMessage: 'must be at most 500 characters' }
+  },
+  price: {
+    in: ['body'],
+    optional: { options: { values: 'null' } },
+    isFloat: { options: { gt: 0 }, errorMessage: 'must be a positive number' },
+    toFloat: true
+  },
+  carbon_footprint: {
+    in: ['body'],
+    optional: { options: { values: 'null' } },
+    isFloat: { options: { min: 0 }, errorMessage: 'must be a non-negative number' }
+  },
+  country: countryField('body'),
+  openfoodfacts_data: {
+    in: ['body'],
+    optional: { options: { values: 'null' } },
+    isObject: { errorMessage: 'must be an object' }
+  }
+};
+
+export const getProductByIdSchema = {
+  id: idField('params')
+};
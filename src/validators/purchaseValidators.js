@@ -0,0 +1,26 @@
+import { idField, quantityField, countryField, idempotencyKeyField, paginationFields, dateRangeFields } from './common.js';
+
+export const MAX_HISTORY_PAGE_SIZE = 100;
+
+// Precios y totales los calcula el servidor: el cliente solo envía productos y cantidades
+export const createPurchaseSchema = {
+  country: countryField('query'),
+  'idempotency-key': idempotencyKeyField(),
+  listId: idField('body', { optional: true }),
+  items: {
+    in: ['body'],
+    isArray: { options: { min: 1, max: 500 }, errorMessage: 'must be a non-empty array' }
+  },
+  'items.*.productId': idField('body'),
+  'items.*.quantity': quantityField('body')
+};
+
+export const purchaseHistorySchema = {
+  userId: idField('params'),
+  ...paginationFields('query', { maxLimit: MAX_HISTORY_PAGE_SIZE }),
+  ...dateRangeFields('query')
+};
+
+export const getPurchaseSchema = {
+  id: idField('params')
+};
@@ -0,0 +1,97 @@
+import { idField, dateRangeFields } from './common.js';
+import { DASHBOARD_GROUP_BY } from '../services/sustainabilityDashboardService.js';
+import { PREFERENCE_KEYS, WEIGHT_DIMENSIONS } from '../services/userPreferencesService.js';
+
+export const getUserSchema = {
+  userId: idField('params')
+};
+
+const MAX_PREFERENCE_LIST = 50;
+
+const booleanPreference = () => ({
+  in: ['body'],
+  optional: true,
+  isBoolean: { options: { strict: true }, errorMessage: 'must be a boolean' }
+});
+
+const weightPreference = () => ({
+  in: ['body'],
+  optional: true,
+  isFloat: { options: { min: 0, max: 1 }, errorMessage: 'must be a number between 0 and 1' },
+  toFloat: true
+});
+
+const stringListPreference = () => ({
+  in: ['body'],
+  optional: true,
+  isArray: { options: { max: MAX_PREFERENCE_LIST }, errorMessage: `must be an array of at most ${MAX_PREFERENCE_LIST} strings` }
+});
+
+const stringListEntry = () => ({
+  in: ['body'],
+  isString: { errorMessage: 'must be a string', bail: true },
+  trim: true,
+  notEmpty: { errorMessage: 'must not be empty' },
+  isLength: { options: { max: 100 }, errorMessage: 'must be at most 100 characters' }
+});
+
+export const updatePreferencesSchema = {
+  userId: idField('params'),
+  preferences: {
+    in: ['body'],
+    isObject: { errorMessage: 'must be an object', bail: true },
+    custom: {
+      options: (value) => Object.keys(value).every(key => PREFERENCE_KEYS.includes(key)),
+      errorMessage: `only these keys are allowed: ${PREFERENCE_KEYS.join(', ')}`
+    }
+  },
+  'preferences.weights': {
+    in: ['body'],
+    optional: true,
+    isObject: { errorMessage: 'must be an object', bail: true },
+    custom: {
+      options: (value) => Object.keys(value).every(key => WEIGHT_DIMENSIONS.includes(key)) &&
+        Object.values(value).some(weight => parseFloat(weight) > 0),
+      errorMessage: `must only contain ${WEIGHT_DIMENSIONS.join(', ')} with at least one weight above 0`
+    }
+  },
+  ...Object.fromEntries(WEIGHT_DIMENSIONS.map(dimension => [`preferences.weights.${dimension}`, weightPreference()])),
+  'preferences.vegan': booleanPreference(),
+  'preferences.glutenFree': booleanPreference(),
+  'preferences.allergens': stringListPreference(),
+  'preferences.allergens.*': stringListEntry(),
+  'preferences.preferredCountry': {
+    in: ['body'],
+    optional: { options: { values: 'null' } },
+    isString: { errorMessage: 'must be a string', bail: true },
+    trim: true,
+    isLength: { options: { min: 1, max: 100 }, errorMessage: 'must be between 1 and 100 characters' }
+  },
+  'preferences.excludedBrands': stringListPreference(),
+  'preferences.excludedBrands.*': stringListEntry(),
+  'preferences.carbonBudget': {
+    in: ['body'],
+    optional: { options: { values: 'null' } },
+    isFloat: { options: { min: 0 }, errorMessage: 'must be a non-negative number (kg CO2e per month)' },
+    toFloat: true
+  }
+};
+
+export const dashboardSchema = {
+  userId: idField('params'),
+  groupBy: {
+    in: ['query'],
+    optional: true,
+    isIn: { options: [DASHBOARD_GROUP_BY], errorMessage: `must be one of: ${DASHBOARD_GROUP_BY.join(', ')}` }
+  },
+  ...dateRangeFields('query')
+};
+
+export const carbonBudgetSchema = {
+  userId: idField('params'),
+  month: {
+    in: ['query'],
+    optional: true,
+    matches: { options: [/^\d{4}-(0[1-9]|1[0-2])$/], errorMessage: 'must be a month in YYYY-MM format' }
+  }
+};